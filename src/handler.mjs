@@ -0,0 +1,31 @@
+import { runPipeline } from './libs/pipeline.mjs';
+import { withRunLock } from './libs/lock.mjs';
+import { setDryRun, getPlannedChanges } from './libs/plan.mjs';
+import { calendarResponse } from './libs/calendar.mjs';
+import { config } from './libs/config.mjs';
+
+/**
+ * Serverless entry point, e.g. for AWS Lambda with the handler set to `src/handler.handler`. Runs the same pipeline
+ * as `npm start` and returns its summary instead of printing it. Schedule it with an EventBridge (CloudWatch Events)
+ * rule; runs that would overlap are skipped. Behind a function URL or API Gateway, a GET request on
+ * `config.calendar.path` returns the calendar feed instead.
+ *
+ * @param {Object} [event] - The invocation event. `{ "dryRun": true }` computes the changes without writing them.
+ * @returns {Promise<Object>} A promise that resolves to the `createSummary` result (or { total, databases } for several
+ * databases), to { dryRun, summary, changes } for a dry run, to { skipped: true } if another run holds the lock, or to
+ * an HTTP response for a calendar request.
+ */
+export const handler = async (event = {}) => {
+  const method = event?.requestContext?.http?.method ?? event?.httpMethod;
+  if (method === 'GET' && (event.rawPath ?? event.path) === config.calendar.path) {
+    return calendarResponse(event.queryStringParameters?.token);
+  }
+
+  setDryRun(Boolean(event?.dryRun));
+  const { locked, result } = await withRunLock(() => runPipeline('serverless'));
+  if (locked) {
+    console.log("Another run is in progress, skipping.");
+    return { skipped: true, message: "Another run is in progress." };
+  }
+  return event?.dryRun ? { dryRun: true, summary: result, changes: getPlannedChanges() } : result;
+};
@@ -1,118 +1,342 @@
-import { archiveTasks, processTasks, setDateRecurring, createRecurringTasks, excludeFailedResults } from './libs/taskProcessors.mjs'
-import { createSummary, errorHandler } from './libs/helpers.mjs'
+import { processTasks } from './libs/taskProcessors.mjs'
 import { notionDatabaseQuery } from './libs/notion.mjs';
+import { runPipeline, runPagePipeline, runRetention, hasFailures } from './libs/pipeline.mjs';
+import { withRunLock } from './libs/lock.mjs';
+import { startDaemon } from './libs/scheduler.mjs';
+import { startWebhookServer } from './libs/webhook.mjs';
+import { setDryRun, isDryRun, getPlannedChanges, formatPlan } from './libs/plan.mjs';
+import { diagnoseDatabase, formatDiagnosis } from './libs/doctor.mjs';
+import { resumeUnfinishedSpawns, findDuplicateTasks, formatRepairReport } from './libs/repair.mjs';
+import { groupBySeries, computeSeriesStats, formatStatsReport } from './libs/series.mjs';
+import { listUpcoming, formatUpcoming, skipTask, recurTaskNow, rescheduleTask, commandError, exitCodes } from './libs/commands.mjs';
+import { listCalendarEvents, formatCalendar } from './libs/calendar.mjs';
+import { parseArgs } from 'node:util';
+import { writeFileSync } from 'fs';
 import { config } from './libs/config.mjs'
 
+const usage = `Usage: node src/index.mjs [command] [options]
+
+Commands:
+  run                          Process completed tasks and recur due tasks (default)
+  upcoming [--days N]          List tasks that reappear within the next N days (default 7)
+  skip <page-id>               Push a task in the Recurring Archive back by one interval
+  recur-now <page-id>          Create the next occurrence of a task in the Recurring Archive now
+  reschedule <page-id> <date>  Set a task's Date Recurring to a date (YYYY-MM-DD)
+  calendar [--days N] [--output FILE]
+                               Export the Recurring Archive and projected occurrences as an iCalendar file
+  stats                        Report completion statistics for every recurring series
+  doctor [--fix]               Check every database's schema; --fix creates what is missing
+  resume                       Finish recurrences an interrupted run left half-done
+  repair                       Same as resume, and also report duplicate tasks
+  cleanup                      Purge archived tasks past the retention period, without processing tasks
+  daemon                       Keep running and process tasks on the configured schedule
+  serve                        Same as daemon, and also process pages named by incoming webhooks
+
+Options:
+  --dry-run   Compute every change without writing to Notion and print it as a plan
+  --json      Print the result as JSON
+  --help      Show this message
+
+Exit codes: 0 success, 1 something failed, 2 invalid command line, 3 the page can't be acted on, 4 another run is in progress.`;
+
+/**
+ * Command line arguments. Unknown options exit with the usage code before anything is sent to Notion.
+ */
+let cli;
+try {
+  cli = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      fix: { type: 'boolean', default: false },
+      days: { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+} catch (error) {
+  console.error(`${error.message}\n\n${usage}`);
+  process.exit(exitCodes.usage);
+}
+
+const [command = 'run', ...commandArgs] = cli.positionals;
+setDryRun(cli.values['dry-run']);
+const jsonOutput = cli.values.json;
+
 /**
- * Processes tasks marked as done by querying the Notion database. This involves setting dates for recurring tasks,
- * archiving completed tasks, and collecting statistics about these processes.
+ * Checks every configured database for missing properties, wrong property types and missing status options, and
+ * prints the result. Sets a non-zero exit code if any problem remains.
  *
- * @returns {Promise<Object>} A promise that resolves to an object containing statistics about the processing, including totals for
- * completed tasks, archived tasks, and any failures in parsing or archiving.
+ * @param {boolean} fix - True to create missing properties and select options.
+ * @returns {Promise<void>} A promise that resolves once every database has been checked.
+ * @throws {commandError} If --fix is combined with --dry-run.
  */
-async function processDoneTasks() {
-
-  let stats = {
-    totalCompletedTasks: 0, 
-    recurringTasksCompleted: 0, 
-    archivedTasks: 0, 
-    archiveFailures: 0, 
-    recurringParseFailures: 0 
-  }
+async function runDoctor(fix) {
+  if (fix && isDryRun()) throw new commandError("doctor --fix can't run in dry-run mode; run `doctor` without --fix to see what it would create.", exitCodes.usage);
+  const results = [];
+  for (const db of config.databases) results.push(await diagnoseDatabase(db, fix));
 
-  try {
+  console.log(jsonOutput ? JSON.stringify(results, null, 2) : formatDiagnosis(results, fix));
+  if (results.some(result => result.problems.length > 0)) process.exitCode = 1;
+}
 
-  const doneTasks = await notionDatabaseQuery(config.tasksDb, config.getDoneTasksFilter);
+/**
+ * Finishes recurrences left half-done by an interrupted run, using the run journal, and optionally reports recurring
+ * tasks that already exist more than once. Duplicates are only reported, never deleted. Runs under the run lock, so it
+ * never finishes an occurrence a run is working on. Sets a non-zero exit code if duplicates are found.
+ *
+ * @param {boolean} findDuplicates - True to also look for duplicate tasks.
+ * @returns {Promise<void>} A promise that resolves once every database has been checked.
+ * @throws {commandError} If another run is in progress.
+ */
+async function runRepair(findDuplicates) {
+  const { locked, result: results } = await withRunLock(async () => {
+    const results = [];
+    for (const db of config.databases) {
+      const { resumed, pending } = await resumeUnfinishedSpawns(db);
+      const duplicates = findDuplicates ? await findDuplicateTasks(db) : undefined;
+      results.push({ database: db.name, resumed, pending, duplicates });
+    }
+    return results;
+  });
+  if (locked) throw new commandError("Another run is in progress. Try again once it has finished.", exitCodes.busy);
+
+  console.log(jsonOutput ? JSON.stringify(results, null, 2) : formatRepairReport(results));
+  if (results.some(result => result.duplicates?.length > 0)) process.exitCode = 1;
+}
 
-  if (doneTasks.results.length === 0) {
-    console.log("No completed tasks to process!");
-    return stats
+/**
+ * Reads the archive of every database and prints completion statistics per recurring series: how often it was done,
+ * the actual versus intended interval, how late or early it was done and the current on-time streak.
+ *
+ * @returns {Promise<void>} A promise that resolves once every database has been read.
+ */
+async function runStats() {
+  const results = [];
+  for (const db of config.databases) {
+    const archivedTasks = processTasks(await notionDatabaseQuery(db.tasksDb, db.getArchivedTasksFilter), db);
+    const series = groupBySeries(archivedTasks.filter(task => task.recurring || task.series_id))
+      .map(({ seriesId, name, recurring, tasks }) => ({ seriesId, name, recurring, stats: computeSeriesStats(tasks, db.timeZone) }))
+      .filter(group => group.stats.completions > 0)
+      .sort((a, b) => (a.name ?? '').localeCompare(b.name ?? ''));
+    results.push({ database: db.name, series });
   }
 
-    const processedTasks = processTasks(doneTasks);
-    const recurringTasks = processedTasks.filter(task => task.recurring || task.date_recurring);
-    const recurringResults = await setDateRecurring(recurringTasks);
-    const excludeRejectedList = excludeFailedResults(recurringResults)
+  console.log(jsonOutput ? JSON.stringify(results, null, 2) : formatStatsReport(results));
+}
 
-    let archiveStats = await archiveTasks(processedTasks, true, excludeRejectedList);
+/**
+ * Prints the result of a command that acts on a single task, followed by the plan during a dry run.
+ * @param {Object} result - The result returned by the command.
+ * @param {string} text - The result as a human-readable sentence.
+ */
+function printTaskResult(result, text) {
+  if (jsonOutput) {
+    console.log(JSON.stringify(isDryRun() ? { dryRun: true, result, changes: getPlannedChanges() } : result, null, 2));
+  } else {
+    console.log(text);
+    if (isDryRun()) console.log(`\n${formatPlan()}`);
+  }
+}
 
-    stats = {
-      totalCompletedTasks: processTasks.length,
-      recurringTasksCompleted: recurringTasks.length, 
-      archivedTasks: archiveStats.archivedTasks, 
-      archiveFailures: archiveStats.failedToArchive, 
-      recurringParseFailures: excludeRejectedList.length
-    }
+/**
+ * Checks that a command was given the number of arguments it needs.
+ * @param {number} count - The number of arguments required.
+ * @param {string} synopsis - How the command is used, for the error message.
+ * @throws {commandError} If arguments are missing or extra.
+ */
+function requireArgs(count, synopsis) {
+  if (commandArgs.length !== count) throw new commandError(`Usage: node src/index.mjs ${synopsis}`, exitCodes.usage);
+}
 
-    return stats
+/**
+ * Reads the --days option.
+ * @param {number} fallback - The number of days when the option isn't given.
+ * @returns {number} The number of days.
+ * @throws {commandError} If the option isn't a whole number.
+ */
+function parseDays(fallback) {
+  if (cli.values.days === undefined) return fallback;
+  if (!/^\d+$/.test(cli.values.days)) throw new commandError(`--days must be a whole number, got "${cli.values.days}".`, exitCodes.usage);
+  return parseInt(cli.values.days, 10);
+}
 
-  } catch (error) {
-    errorHandler('Process completed tasks', error);
+/**
+ * Runs a pipeline under the run lock and prints its summary, followed by the plan during a dry run. Sets a non-zero
+ * exit code if anything failed, or if another run is already in progress.
+ *
+ * @param {Function} run - The async function running the pipeline, e.g. `runPipeline`.
+ * @returns {Promise<void>} A promise that resolves once the pipeline has finished.
+ */
+async function runLocked(run) {
+  const { locked, result: summary } = await withRunLock(run);
+  if (locked) throw new commandError("Another run is in progress. Try again once it has finished.", exitCodes.busy);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(isDryRun() ? { dryRun: true, summary, changes: getPlannedChanges() } : summary, null, 2));
+  } else {
+    console.log("Operation completed", summary);
+    if (isDryRun()) console.log(`\n${formatPlan()}`);
   }
+
+  if (hasFailures(summary)) process.exitCode = exitCodes.failed;
 }
 
 /**
- * Handles tasks marked for recurrence by querying the Notion database for tasks in the recurring archive,
- * creating new recurring tasks based on the original archived tasks, and archiving the original tasks if necessary.
- * Also collects statistics about the handling of these recurring tasks.
+ * Processes every configured database and prints the summary. Sets a non-zero exit code if a database failed or any
+ * task couldn't be parsed, recurred or archived, or if another run is already in progress.
  *
- * @returns {Promise<Object>} A promise that resolves to an object detailing the results of handling recurring tasks,
- * including the counts of tasks recurred and any failures in creating new tasks or archiving.
+ * @returns {Promise<void>} A promise that resolves once every database has been processed.
  */
-async function handleRecurringTasks() {
+async function runAll() {
+  await runLocked(runPipeline);
+}
 
-  let stats = {
-    recurredTasks: 0,
-    recurCreationFailures: 0, 
-    archivedTasks: 0, 
-    archiveFailures: 0
+/**
+ * Purges the archived tasks of every database whose retention policy says so, and prints what was purged. With
+ * `--dry-run` it only lists the tasks that would be purged.
+ *
+ * @returns {Promise<void>} A promise that resolves once every database has been cleaned up.
+ * @throws {commandError} If no database has a retention policy.
+ */
+async function runCleanup() {
+  if (config.databases.every(db => db.retention.afterDays === null)) {
+    throw new commandError("No retention policy is configured. Set retention.afterDays in the config file or RETENTION_DAYS in .env.", exitCodes.usage);
   }
+  await runLocked(() => runRetention());
+}
 
-  try {
-    const recurringArchivedTasks = await notionDatabaseQuery(config.tasksDb, config.getRecurringArchivedTasksFilter)
-    
-    if (recurringArchivedTasks.results.length === 0) {
-      console.log("No tasks in Recurring Archive!");
-      return stats
-    }
-
-    const processedArchivedTasks = processTasks(recurringArchivedTasks);
-    const tasksToRecur = processedArchivedTasks.filter(task => new Date() >= new Date(`${task.date_recurring}T00:00`));
+/**
+ * Stops long-running services once the process receives SIGINT or SIGTERM, letting a run in progress finish first.
+ * @param {Array<Object>} services - Objects with an async `stop` function.
+ */
+function stopOnSignal(services) {
+  const shutdown = async signal => {
+    console.log(`Received ${signal}, stopping once the current run has finished.`);
+    for (const service of services) await service.stop();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
 
-    if (tasksToRecur.length === 0) {
-      console.log("No tasks to recur!");
-      return stats
-    }
+/**
+ * Starts running the full pipeline on the configured schedule. A scheduled run that finds another run holding the
+ * lock is tried again shortly after, instead of waiting for the next scheduled time.
+ * @returns {Object} The daemon, with a `stop` function.
+ * @throws {commandError} If the configured schedule is invalid or dry-run mode is on.
+ */
+function startScheduledRuns() {
+  if (isDryRun()) throw new commandError("Long-running commands can't run in dry-run mode; use `npm run plan` instead.", exitCodes.usage);
+  try {
+    return startDaemon(async () => {
+      const { locked, result: summary } = await withRunLock(() => runPipeline('schedule'));
+      if (locked) return false;
+      console.log("Operation completed", jsonOutput ? JSON.stringify(summary) : summary);
+    });
+  } catch (error) {
+    throw new commandError(error.message, exitCodes.usage);
+  }
+}
 
-    const creationResults = await createRecurringTasks(tasksToRecur);
-    const excludeRejectedList = excludeFailedResults(creationResults)
-    const archiveStats = await archiveTasks(tasksToRecur, false, excludeRejectedList);
+/**
+ * Runs the pipeline on the configured schedule until the process receives SIGINT or SIGTERM.
+ * @returns {Promise<void>} A promise that resolves once the daemon has started.
+ */
+async function runDaemon() {
+  stopOnSignal([startScheduledRuns()]);
+}
 
-    stats = {
-      recurredTasks: tasksToRecur.length,
-      recurCreationFailures: excludeRejectedList.length,
-      archivedTasks: archiveStats.archivedTasks,
-      archiveFailures: archiveStats.failedToArchive
-    };
+/**
+ * Listens for webhooks and processes the pages they name right away, while also running the full pipeline on the
+ * configured schedule to catch anything a webhook missed. Stops on SIGINT or SIGTERM.
+ * @returns {Promise<void>} A promise that resolves once the server has started.
+ * @throws {commandError} If no webhook secret or an invalid schedule is configured.
+ */
+async function runServer() {
+  if (isDryRun()) throw new commandError("Long-running commands can't run in dry-run mode; use `npm run plan` instead.", exitCodes.usage);
 
-    return stats
+  let server;
+  try {
+    server = await startWebhookServer(async pageIds => {
+      const { locked, result: summary } = await withRunLock(() => runPagePipeline(pageIds));
+      if (!locked) console.log("Webhook run completed", jsonOutput ? JSON.stringify(summary) : summary);
+      return { locked };
+    });
+  } catch (error) {
+    // A missing secret is a configuration problem; a system error such as the port being taken is not.
+    throw new commandError(error.message, error.code ? exitCodes.failed : exitCodes.usage);
+  }
 
+  let daemon;
+  try {
+    daemon = startScheduledRuns();
   } catch (error) {
-    errorHandler('Handle recurring tasks', error);
+    await server.stop();
+    throw error;
   }
+  stopOnSignal([server, daemon]);
 }
 
+/**
+ * The commands of the command line interface, keyed by name.
+ */
+const commands = {
+  run: runAll,
+  upcoming: async () => {
+    requireArgs(0, 'upcoming [--days N]');
+    const results = await listUpcoming(parseDays(7));
+    console.log(jsonOutput ? JSON.stringify(results, null, 2) : formatUpcoming(results));
+  },
+  calendar: async () => {
+    requireArgs(0, 'calendar [--days N] [--output FILE]');
+    const events = await listCalendarEvents(parseDays(config.calendar.days));
+    if (jsonOutput) return console.log(JSON.stringify(events, null, 2));
+
+    const ics = formatCalendar(events, { name: config.calendar.name, now: new Date() });
+    if (!cli.values.output) return process.stdout.write(ics);
+    writeFileSync(cli.values.output, ics);
+    console.log(`Wrote ${events.length} event(s) to ${cli.values.output}.`);
+  },
+  skip: async () => {
+    requireArgs(1, 'skip <page-id>');
+    const result = await skipTask(commandArgs[0]);
+    printTaskResult(result, result.finished
+      ? `"${result.name}" reached the end of its series and was moved to the archive.`
+      : `"${result.name}" skipped: ${result.from} → ${result.to}.`);
+  },
+  'recur-now': async () => {
+    requireArgs(1, 'recur-now <page-id>');
+    const result = await recurTaskNow(commandArgs[0]);
+    printTaskResult(result, `"${result.name}" recurred as ${result.newPageId}.`);
+  },
+  reschedule: async () => {
+    requireArgs(2, 'reschedule <page-id> <YYYY-MM-DD>');
+    const result = await rescheduleTask(commandArgs[0], commandArgs[1]);
+    printTaskResult(result, `"${result.name}" rescheduled: ${result.from ?? 'no date'} → ${result.to}.`);
+  },
+  stats: runStats,
+  doctor: () => runDoctor(cli.values.fix),
+  resume: () => runRepair(false),
+  repair: () => runRepair(true),
+  cleanup: runCleanup,
+  daemon: runDaemon,
+  serve: runServer
+};
+
 // Self-invoking async function to run the operations
 ( async () => {
   try {
-
-    const processedTaskStats = await processDoneTasks();
-    const tasksToRecurStats = await handleRecurringTasks();
-    const summary = createSummary(processedTaskStats, tasksToRecurStats);
-    
-    console.log("Operation completed", summary);
-
+    if (cli.values.help) return console.log(usage);
+    if (!commands[command]) throw new commandError(`Unknown command "${command}".\n\n${usage}`, exitCodes.usage);
+    await commands[command]();
   } catch (error) {
+    if (error instanceof commandError) {
+      console.error(error.message);
+      process.exitCode = error.exitCode;
+      return;
+    }
     console.error("A critical error occurred: ", error);
+    process.exitCode = exitCodes.failed;
   }
 })();
\ No newline at end of file
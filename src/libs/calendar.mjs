@@ -0,0 +1,216 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { addDays, format } from 'date-fns';
+import { notionDatabaseQuery } from './notion.mjs';
+import { processTasks } from './taskProcessors.mjs';
+import { parseRecurrence, nextRecurrenceDate, isSeriesFinished } from './recurrence.mjs';
+import { toCalendarDate, todayIn, parseCalendarDate } from './dates.mjs';
+import { seriesIdOf } from './series.mjs';
+import { seriesName } from './templates.mjs';
+import { config } from './config.mjs';
+
+/**
+ * Identifies the application in the calendar, as RFC 5545 requires.
+ */
+const productId = '-//Enhanced Recurring Tasks for Notion//EN';
+
+/**
+ * Lines longer than this many bytes are folded onto continuation lines, as RFC 5545 requires.
+ */
+const maxLineOctets = 75;
+
+/**
+ * Upper bound on the occurrences projected for one task, in case the horizon is set very far ahead.
+ */
+const maxProjectedOccurrences = 500;
+
+/**
+ * Builds the part of an event UID naming the series. It has to stay the same when a task recurs as a new page, so it
+ * comes from the series ID when `seriesId` is mapped. Otherwise tasks are told apart by database and the template of
+ * their title, which a rendered title would change every occurrence, or by their name if the title has no template.
+ * Hashed so UIDs look alike either way.
+ * @param {Object} task - A processed task from the Recurring Archive.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {string} The series part of the UID.
+ */
+function seriesKey(task, db) {
+  const series = db.properties.seriesId
+    ? `series:${seriesIdOf(task)}`
+    : `${db.tasksDb}:${seriesName(task, db) || task.page_id}`;
+  return createHash('sha1').update(series).digest('hex');
+}
+
+/**
+ * Lists the calendar events of a task in the Recurring Archive: its next occurrence on its "Date Recurring", even if
+ * that has passed, and the occurrences projected after it up to `until`, assuming each is done on the day it's due.
+ * Projections stop at the series' end conditions. Each event's UID is made of its series and date, so the same
+ * occurrence keeps its UID from one export to the next and calendar apps update it instead of adding it again.
+ *
+ * @param {Object} task - A processed task from the Recurring Archive.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @param {Object} range - { today, until } as yyyy-MM-dd. Projections start from today when the task is overdue.
+ * @returns {Array<Object>} Events of the form { uid, date, name, recurring, projected, pageId, database }.
+ */
+export function calendarEvents(task, db, { today, until }) {
+  if (!task.date_recurring) return [];
+  const key = seriesKey(task, db);
+  const event = (date, projected) => ({
+    uid: `${key}-${date.replace(/-/g, '')}@recurring-tasks`,
+    date,
+    name: task.name ?? 'Untitled',
+    recurring: task.recurring ?? null,
+    projected,
+    pageId: task.page_id,
+    database: db.name
+  });
+
+  const due = toCalendarDate(task.date_recurring, db.timeZone);
+  if (due > until) return [];
+  const events = [event(due, false)];
+
+  const { rule } = parseRecurrence(task.recurring);
+  if (!rule) return events;
+
+  let previous = parseCalendarDate(due < today ? today : due);
+  let occurrence = (task.occurrence ?? 1) + 1;
+  while (events.length <= maxProjectedOccurrences) {
+    const next = nextRecurrenceDate(rule, previous);
+    if (!next || next <= previous || isSeriesFinished(rule, next, occurrence)) break;
+    const date = format(next, 'yyyy-MM-dd');
+    if (date > until) break;
+    events.push(event(date, true));
+    previous = next;
+    occurrence++;
+  }
+  return events;
+}
+
+/**
+ * Escapes a text value for an iCalendar property.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line longer than 75 bytes onto continuation lines starting with a space, without splitting a
+ * multi-byte character.
+ * @param {string} line - The content line.
+ * @returns {string} The folded line.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    if (size + octets > maxLineOctets) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += octets;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+/**
+ * Formats events as an iCalendar (RFC 5545) file. Occurrences are all-day events that don't block time; projected
+ * ones are marked tentative.
+ * @param {Array<Object>} events - Events returned by `calendarEvents`.
+ * @param {Object} options - `name` of the calendar, and `now`, the time the file is generated.
+ * @returns {string} The calendar, with CRLF line endings.
+ */
+export function formatCalendar(events, { name, now }) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${productId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H'
+  ];
+
+  for (const event of events) {
+    const description = [
+      event.recurring && `Recurring: ${event.recurring}`,
+      event.projected && 'Projected, assuming the occurrences before it are done on the day they are due.'
+    ].filter(Boolean).join('\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${format(addDays(parseCalendarDate(event.date), 1), 'yyyyMMdd')}`,
+      `SUMMARY:${escapeText(event.name)}`,
+      ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+      `URL:https://www.notion.so/${event.pageId.replace(/-/g, '')}`,
+      `CATEGORIES:${escapeText(event.database)}`,
+      `STATUS:${event.projected ? 'TENTATIVE' : 'CONFIRMED'}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Lists the events of every task in the Recurring Archive of every configured database, up to a number of days ahead.
+ * @param {number} [days=config.calendar.days] - How many days ahead to project occurrences.
+ * @param {Date} [now=new Date()] - The current moment, for testing.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the events returned by `calendarEvents`, soonest first.
+ */
+export async function listCalendarEvents(days = config.calendar.days, now = new Date()) {
+  const events = [];
+
+  for (const db of config.databases) {
+    const today = todayIn(db.timeZone, now);
+    const until = format(addDays(parseCalendarDate(today), days), 'yyyy-MM-dd');
+    const tasks = processTasks(await notionDatabaseQuery(db.tasksDb, db.getRecurringArchivedTasksFilter), db);
+    events.push(...tasks.flatMap(task => calendarEvents(task, db, { today, until })));
+  }
+
+  return events.sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Checks the token a calendar subscriber passed against `config.calendar.token`, in constant time.
+ * @param {string} [token] - The token from the request.
+ * @returns {boolean} True if it matches.
+ */
+function isValidToken(token) {
+  const digest = value => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(token ?? ''), digest(config.calendar.token));
+}
+
+/**
+ * Answers a request for the calendar feed, for the webhook listener and the serverless handler. The feed is only
+ * served once `CALENDAR_TOKEN` is set, and only to requests passing it.
+ * @param {string} [token] - The `token` query parameter of the request.
+ * @returns {Promise<Object>} A promise that resolves to the HTTP response: { statusCode, headers, body }.
+ */
+export async function calendarResponse(token) {
+  const text = (statusCode, body) => ({ statusCode, headers: { 'Content-Type': 'text/plain; charset=utf-8' }, body });
+  if (!config.calendar.token) return text(404, 'Not found.');
+  if (!isValidToken(token)) return text(401, 'Invalid or missing calendar token.');
+
+  try {
+    const events = await listCalendarEvents();
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'Cache-Control': 'no-cache' },
+      body: formatCalendar(events, { name: config.calendar.name, now: new Date() })
+    };
+  } catch (error) {
+    console.error("Building the calendar failed: ", error);
+    return text(502, "Couldn't read the tasks from Notion.");
+  }
+}
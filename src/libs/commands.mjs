@@ -0,0 +1,228 @@
+import { addDays, format, parseISO, isValid } from 'date-fns';
+import { notionPageRetrieve, notionDatabaseQuery } from './notion.mjs';
+import { processTasks, setDateRecurring, createRecurringTasks, archiveTasks, excludeFailedResults, surfaceDate } from './taskProcessors.mjs';
+import { todayIn, parseCalendarDate } from './dates.mjs';
+import { pageUpdate } from './plan.mjs';
+import { withRunLock } from './lock.mjs';
+import { compactId } from './helpers.mjs';
+import { config, findDatabase } from './config.mjs';
+
+/**
+ * Exit codes of the command line interface.
+ * - `success`: everything worked
+ * - `failed`: something went wrong while processing, e.g. a task couldn't be archived or Notion returned an error
+ * - `usage`: the command line was invalid, e.g. an unknown command or a malformed date
+ * - `notApplicable`: the page given can't be acted on, e.g. it doesn't exist or isn't in the Recurring Archive
+ * - `busy`: another run holds the run lock
+ */
+export const exitCodes = { success: 0, failed: 1, usage: 2, notApplicable: 3, busy: 4 };
+
+/**
+ * Error raised by a command when it can't do what was asked, carrying the exit code to end with.
+ *
+ * @class
+ * @extends Error
+ * @param {string} message - Explanation shown to the user.
+ * @param {number} exitCode - One of `exitCodes`.
+ */
+export class commandError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.name = 'commandError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Runs a command under the run lock, so it never changes a task a run is processing at the same time.
+ * @param {Function} run - The async function carrying out the command.
+ * @returns {Promise<*>} A promise that resolves to what the function returned.
+ * @throws {commandError} If another run holds the lock.
+ */
+async function underRunLock(run) {
+  const { locked, result } = await withRunLock(run);
+  if (locked) throw new commandError("Another run is in progress. Try again once it has finished.", exitCodes.busy);
+  return result;
+}
+
+/**
+ * Extracts a page ID from what the user typed: a bare ID, with or without dashes, or a page URL.
+ * @param {string} input - The page ID or URL.
+ * @returns {string} The page ID.
+ * @throws {commandError} If no page ID can be found.
+ */
+function pageIdFrom(input) {
+  const ids = compactId(input?.split('?')[0]).match(/[0-9a-f]{32}/g);
+  if (!ids) throw new commandError(`"${input ?? ''}" is not a Notion page ID or URL.`, exitCodes.usage);
+  return ids[ids.length - 1];
+}
+
+/**
+ * Loads a task by page ID and finds the configured database it belongs to.
+ * @param {string} input - The page ID or URL.
+ * @returns {Promise<Object>} A promise that resolves to { task, db } with the processed task and its database settings.
+ * @throws {commandError} If the page doesn't exist or isn't in a configured database.
+ */
+async function loadTask(input) {
+  const pageId = pageIdFrom(input);
+  let page;
+  try {
+    page = await notionPageRetrieve(pageId);
+  } catch (error) {
+    if (error.code !== 'object_not_found') throw error;
+    throw new commandError(`Page ${pageId} wasn't found. Check the ID and that the integration has been added to its database.`, exitCodes.notApplicable);
+  }
+
+  const db = findDatabase(page.parent?.database_id);
+  if (!db) throw new commandError(`Page ${pageId} isn't in any of the configured task databases.`, exitCodes.notApplicable);
+
+  const [task] = processTasks({ results: [page] }, db);
+  return { task, db };
+}
+
+/**
+ * Makes sure a task is waiting in the Recurring Archive.
+ * @param {Object} task - The processed task.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @param {string} command - The command name, for the error message.
+ * @throws {commandError} If the task has a different status.
+ */
+function requireRecurringArchive(task, db, command) {
+  if (task.status === db.statuses.recurringArchive) return;
+  throw new commandError(`"${task.name}" is in "${task.status ?? 'no status'}", but ${command} only works on tasks in "${db.statuses.recurringArchive}".`, exitCodes.notApplicable);
+}
+
+/**
+ * Lists the tasks in the Recurring Archive of every database that will reappear within the given number of days,
+ * including any that are already due.
+ *
+ * @param {number} days - How many days ahead to look.
+ * @param {Date} [now=new Date()] - The current moment, for testing.
+ * @returns {Promise<Array<Object>>} A promise that resolves to one entry per database: { database, today, until, tasks },
+ * where each task has { pageId, name, recurring, dateRecurring, surfacesOn }, soonest first.
+ */
+export async function listUpcoming(days, now = new Date()) {
+  const results = [];
+
+  for (const db of config.databases) {
+    const today = todayIn(db.timeZone, now);
+    const until = format(addDays(parseCalendarDate(today), days), 'yyyy-MM-dd');
+    const tasks = processTasks(await notionDatabaseQuery(db.tasksDb, db.getRecurringArchivedTasksFilter), db)
+      .filter(task => task.date_recurring)
+      .map(task => ({ pageId: task.page_id, name: task.name, recurring: task.recurring ?? null, dateRecurring: task.date_recurring, surfacesOn: surfaceDate(task, db) }))
+      .filter(task => task.surfacesOn <= until)
+      .sort((a, b) => a.surfacesOn.localeCompare(b.surfacesOn));
+    results.push({ database: db.name, today, until, tasks });
+  }
+
+  return results;
+}
+
+/**
+ * Formats upcoming tasks as readable text.
+ * @param {Array<Object>} results - Results returned by `listUpcoming`.
+ * @returns {string} The list as multi-line text.
+ */
+export function formatUpcoming(results) {
+  const lines = [];
+
+  for (const { database, today, until, tasks } of results) {
+    lines.push(`${database} (until ${until}):`);
+    for (const task of tasks) {
+      const when = task.surfacesOn <= today ? 'due now   ' : task.surfacesOn;
+      const dueDate = task.dateRecurring.slice(0, 10);
+      const details = [task.recurring, task.surfacesOn !== dueDate && `due ${dueDate}`].filter(Boolean).join(', ');
+      lines.push(`  ${when}  ${task.name}${details ? ` (${details})` : ''}`);
+    }
+    if (tasks.length === 0) lines.push("  nothing coming up.");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Skips the next occurrence of a task in the Recurring Archive: its "Date Recurring" is pushed back by one interval,
+ * as if it had been completed on the date it was due. If that takes the series past its end condition, the task is
+ * moved to "Archive" instead.
+ *
+ * @param {string} input - The page ID or URL of the task.
+ * @returns {Promise<Object>} A promise that resolves to { database, pageId, name, from, to, finished }.
+ * @throws {commandError} If the task can't be skipped, or another run is in progress.
+ */
+export async function skipTask(input) {
+  return underRunLock(async () => {
+    const { task, db } = await loadTask(input);
+    requireRecurringArchive(task, db, 'skip');
+    if (!task.date_recurring) {
+      throw new commandError(`"${task.name}" has no "${db.properties.dateRecurring}" to skip.`, exitCodes.notApplicable);
+    }
+
+    const skipped = { ...task, date_recurring: undefined, date_completed: task.date_recurring };
+    const [result] = await setDateRecurring([skipped], db);
+    if (result.status === 'rejected') throw new commandError(result.reason.message, exitCodes.failed);
+
+    if (result.value.finished) {
+      const { failedToArchive } = await archiveTasks([skipped], true, [], db);
+      if (failedToArchive > 0) throw new commandError(`"${task.name}" reached the end of its series but couldn't be archived.`, exitCodes.failed);
+    }
+
+    return { database: db.name, pageId: task.page_id, name: task.name, from: task.date_recurring, to: result.value.dateRecurring ?? null, finished: Boolean(result.value.finished) };
+  });
+}
+
+/**
+ * Creates the next occurrence of a task in the Recurring Archive right away instead of waiting for its date, then
+ * archives the original, exactly as a run would once the task is due.
+ *
+ * @param {string} input - The page ID or URL of the task.
+ * @returns {Promise<Object>} A promise that resolves to { database, pageId, name, newPageId }.
+ * @throws {commandError} If the task can't be recurred, giving Notion's reason, if the original can't be archived, or if
+ * another run is in progress.
+ */
+export async function recurTaskNow(input) {
+  return underRunLock(async () => {
+    const { task, db } = await loadTask(input);
+    requireRecurringArchive(task, db, 'recur-now');
+
+    const occurrence = { ...task, date_recurring: task.date_recurring ?? todayIn(db.timeZone) };
+    const results = await createRecurringTasks([occurrence], db);
+    if (excludeFailedResults(results).length > 0) {
+      const { message, originalError } = results[0].reason;
+      throw new commandError(originalError ? `${message} ${originalError.message}` : message, exitCodes.failed);
+    }
+
+    const { failedToArchive } = await archiveTasks([occurrence], false, [], db);
+    if (failedToArchive > 0) {
+      throw new commandError(`Created ${results[0].value.newPageId} for "${task.name}", but the original couldn't be archived. Run \`node src/index.mjs resume\` to finish it.`, exitCodes.failed);
+    }
+
+    return { database: db.name, pageId: task.page_id, name: task.name, newPageId: results[0].value.newPageId };
+  });
+}
+
+/**
+ * Sets a task's "Date Recurring" to a given date. A task in the Recurring Archive then reappears on that date; an
+ * active task recurs on that date once completed, as if the date had been entered by hand.
+ *
+ * @param {string} input - The page ID or URL of the task.
+ * @param {string} date - The new date as yyyy-MM-dd.
+ * @returns {Promise<Object>} A promise that resolves to { database, pageId, name, from, to }.
+ * @throws {commandError} If the date is invalid, the task is already archived, or another run is in progress.
+ */
+export async function rescheduleTask(input, date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date ?? '') || !isValid(parseISO(date))) {
+    throw new commandError(`"${date ?? ''}" is not a valid date. Use YYYY-MM-DD, e.g. 2027-06-01.`, exitCodes.usage);
+  }
+
+  return underRunLock(async () => {
+    const { task, db } = await loadTask(input);
+    if (task.status === db.statuses.archive) {
+      throw new commandError(`"${task.name}" is in "${db.statuses.archive}" and won't recur again.`, exitCodes.notApplicable);
+    }
+
+    const properties = { [db.properties.dateRecurring]: { type: "date", date: { start: date } } };
+    await pageUpdate(task.page_id, properties, { action: 'setDateRecurring', database: db.name, taskName: task.name, description: `Date Recurring → ${date} (rescheduled from ${task.date_recurring ?? 'none'})` });
+
+    return { database: db.name, pageId: task.page_id, name: task.name, from: task.date_recurring ?? null, to: date };
+  });
+}
@@ -1,12 +1,15 @@
 import 'dotenv/config'
+import { existsSync, readFileSync } from 'fs';
+import { parse as parseYaml } from 'yaml';
+import { isValidTimeZone } from './dates.mjs';
 
 
 /**
- * The name of the status that marks a task as completed. This is used in filters and various checks
- * throughout the application to identify completed tasks.
+ * The names of the statuses that mark a task as completed. This is used in filters and various checks
+ * throughout the application to identify completed tasks. Any of the listed statuses counts as done.
  * Default template uses "Done 🙌"
  */
-const completedTaskStatus = "Done 🙌"
+const completedTaskStatuses = ["Done 🙌"]
 
 /**
  * The type of property that "Status" is. 
@@ -24,50 +27,562 @@ const statusProperty = "select"
 const recurTaskStatus = "New Recurring"
 
 /**
- * A list of properties to exclude when copying data from an existing task to create a new recurring task.
+ * The values of "Status" used to park tasks once they have been processed.
+ * Default template uses "Archive" and "Recurring Archive"
+ */
+const archiveStatus = "Archive"
+const recurringArchiveStatus = "Recurring Archive"
+
+/**
+ * The names of the properties the application reads and writes, keyed by their role.
+ * Default template uses the names below; map them to your own property names in the config file.
+ * The rest are optional and unused until named:
+ * - `dueDate`: a date property set to "Date Recurring" on each new recurring task
+ * - `occurrence`: a number property counting the occurrences of a series, needed for "5 times"
+ * - `leadTime`: a number property with the days a task should reappear before it's due, overriding "3 days early"
+ * - `seriesId`: a text property holding the ID of the first task of a series, linking every task of the series
+ * - `previousTask`: a relation to the same database, linking each new recurring task to the one it was created from
+ * - `seriesStats`: a text property the series statistics are written to on each new recurring task
+ * - `template`: a text property the application keeps the templates of a task's title and text properties in
+ */
+const propertyNames = {
+  name: "Name",
+  status: "Status",
+  recurring: "Recurring",
+  dateCompleted: "Date Completed",
+  dateRecurring: "Date Recurring",
+  dateCreated: "Date Created",
+  dueDate: null,
+  occurrence: null,
+  leadTime: null,
+  seriesId: null,
+  previousTask: null,
+  seriesStats: null,
+  template: null
+}
+
+/**
+ * How error cards are filed and closed. Open cards get `status`, or the new recurring status when null; once the
+ * problem no longer occurs on a run, `autoResolve` moves them to `resolvedStatus`, or the archive status when null.
+ * Error card properties default to the task database's name and status properties; the rest are optional and unused
+ * until named:
+ * - `task`: a relation to the task database, linking the card to the task that failed
+ * - `details`: a text property holding the underlying error message
+ * - `tag`: a multi-select property the card is tagged with `tag` in
+ * Default template files cards as "New Recurring" in the task database and archives them once resolved.
+ */
+const errorCardSettings = {
+  status: null,
+  resolvedStatus: null,
+  autoResolve: true,
+  tag: "Recurring Tasks Error"
+}
+const errorCardPropertyNames = {
+  task: null,
+  details: null,
+  tag: null
+}
+
+/**
+ * How long completed tasks stay in the archive status before they are purged, and what purging does:
+ * - "trash" moves them to Notion's trash, where they can be restored for 30 days
+ * - "move" copies them with their page body to the archive `database`, then moves them to the trash
+ * - "export" appends them to `exportFile` (CSV if the name ends in .csv, JSON lines otherwise), then moves them to the trash
+ * A task's age counts from when its page was last edited, which for an archived task is usually when it was archived.
+ * `keepPerSeries` keeps that many of the most recent tasks of every recurring series, however old they are.
+ * Default template keeps every task; set `afterDays` to turn purging on.
+ */
+const retentionSettings = {
+  afterDays: null,
+  action: 'trash',
+  database: null,
+  exportFile: 'recurring-tasks-archive.jsonl',
+  keepPerSeries: 0
+}
+const retentionActions = ['trash', 'move', 'export'];
+
+/**
+ * Rules applied to properties of each new recurring task, keyed by property name: `shift` moves a date by as many days
+ * as the task moves, `reset` unchecks a checkbox, `clear` empties the property, `increment` adds one to a number and
+ * `{ rotate: [...] }` assigns the next person of a list in a People property.
+ * Default template has no rules, so properties are copied as they are.
+ */
+const propertyRules = {}
+const propertyRuleNames = ['shift', 'reset', 'clear', 'increment'];
+
+/**
+ * How relation properties are treated when a task recurs, keyed by property name. The pages of an `owned` relation,
+ * such as Notion's "Sub-item", belong to the task: they are cloned with it and archived with it. A `shared` relation
+ * keeps pointing at the same pages.
+ * Default template has no sub-items, so every relation is shared.
+ */
+const relations = {}
+const relationKinds = ['owned', 'shared'];
+
+/**
+ * The IANA time zone (e.g. "America/Los_Angeles") used to read completion timestamps, calculate "Date Recurring"
+ * and decide which tasks are due today. Defaults to the time zone of the machine running the application.
+ */
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone
+
+/**
+ * The name of a checkbox property that marks a task as completed, used instead of the done statuses when set.
+ * Default template doesn't use one.
+ */
+const completionCheckbox = null
+
+/**
+ * Additional properties to exclude when copying data from an existing task to create a new recurring task.
  * These properties are typically time-sensitive or specific to a particular instance of a task and should not be duplicated.
- * **IMPORTANT: DO NOT REMOVE the default properties listed. Only add new properties to this list as needed.**
+ * "Date Created", "Date Completed" and "Date Recurring" (or whatever they are mapped to) are always excluded.
  */
-const propertiesToExclude = ['Date Created', 'Date Completed', 'Date Recurring'];
+const extraPropertiesToExclude = [];
+
+/**
+ * Whether the page body (checklists, notes, nested blocks) is copied onto new recurring tasks, and which block types
+ * and sections to leave out. Sections are toggles or headings matched by their text, e.g. a "Log" toggle.
+ * Default template copies everything.
+ */
+const copyContent = true
+const excludeBlockTypes = []
+const excludeSections = []
+
+/**
+ * Files searched, in order, for settings when `CONFIG_FILE` isn't set. Paths are relative to the working directory.
+ */
+const configFileNames = ['recurring-tasks.config.json', 'recurring-tasks.config.yaml', 'recurring-tasks.config.yml'];
+
+/**
+ * Environment variables that override settings from the config file, mapped to the setting they replace.
+ * List settings take comma-separated values.
+ */
+const envOverrides = {
+  STATUS_PROPERTY_TYPE: ['statusProperty'],
+  DONE_STATUSES: ['statuses', 'done'],
+  NEW_RECURRING_STATUS: ['statuses', 'newRecurring'],
+  ARCHIVE_STATUS: ['statuses', 'archive'],
+  RECURRING_ARCHIVE_STATUS: ['statuses', 'recurringArchive'],
+  COMPLETION_CHECKBOX: ['completionCheckbox'],
+  TIMEZONE: ['timeZone'],
+  PROPERTIES_TO_EXCLUDE: ['propertiesToExclude'],
+  PROPERTY_NAME: ['properties', 'name'],
+  PROPERTY_STATUS: ['properties', 'status'],
+  PROPERTY_RECURRING: ['properties', 'recurring'],
+  PROPERTY_DATE_COMPLETED: ['properties', 'dateCompleted'],
+  PROPERTY_DATE_RECURRING: ['properties', 'dateRecurring'],
+  PROPERTY_DATE_CREATED: ['properties', 'dateCreated'],
+  PROPERTY_DUE_DATE: ['properties', 'dueDate'],
+  PROPERTY_OCCURRENCE: ['properties', 'occurrence'],
+  PROPERTY_LEAD_TIME: ['properties', 'leadTime'],
+  PROPERTY_SERIES_ID: ['properties', 'seriesId'],
+  PROPERTY_PREVIOUS_TASK: ['properties', 'previousTask'],
+  PROPERTY_SERIES_STATS: ['properties', 'seriesStats'],
+  PROPERTY_TEMPLATE: ['properties', 'template'],
+  ERROR_CARD_STATUS: ['errorCards', 'status'],
+  ERROR_CARD_RESOLVED_STATUS: ['errorCards', 'resolvedStatus'],
+  ERROR_CARD_AUTO_RESOLVE: ['errorCards', 'autoResolve'],
+  RETENTION_DAYS: ['retention', 'afterDays'],
+  RETENTION_ACTION: ['retention', 'action'],
+  RETENTION_DATABASE_ID: ['retention', 'database'],
+  RETENTION_EXPORT_FILE: ['retention', 'exportFile'],
+  RETENTION_KEEP_PER_SERIES: ['retention', 'keepPerSeries']
+}
+
+/**
+ * Reads the optional JSON or YAML config file.
+ * @returns {Object} The parsed settings, or an empty object if no config file exists.
+ * @throws {Error} If `CONFIG_FILE` points at a missing file or the file can't be parsed.
+ */
+function readConfigFile() {
+  const explicitPath = process.env.CONFIG_FILE || undefined;
+  const path = explicitPath ?? configFileNames.find(fileName => existsSync(fileName));
+  if (!path) return {};
+  if (!existsSync(path)) throw new Error(`Config file ${path} does not exist.`);
+
+  try {
+    const contents = readFileSync(path, 'utf8');
+    return (/\.ya?ml$/i.test(path) ? parseYaml(contents) : JSON.parse(contents)) ?? {};
+  } catch (error) {
+    throw new Error(`Failed to parse config file ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Applies environment variable overrides on top of the file settings.
+ * @param {Object} settings - Settings read from the config file.
+ * @returns {Object} A copy of the settings with overrides applied.
+ */
+function applyEnvOverrides(settings) {
+  const result = { ...settings, properties: { ...settings.properties }, statuses: { ...settings.statuses }, errorCards: { ...settings.errorCards }, retention: { ...settings.retention } };
+  for (const [variable, [key, nestedKey]] of Object.entries(envOverrides)) {
+    const value = process.env[variable];
+    if (value === undefined || value === '') continue;
+    const listSetting = variable === 'DONE_STATUSES' || variable === 'PROPERTIES_TO_EXCLUDE';
+    const parsed = listSetting ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+    if (nestedKey) result[key][nestedKey] = parsed;
+    else result[key] = parsed;
+  }
+  return result;
+}
+
+/**
+ * Combines the defaults, config file and environment overrides into the settings used for a task database.
+ * @param {Object} settings - Settings for one database: the shared settings merged with its own definition.
+ * @returns {Object} The resolved settings, including the Notion filters derived from them.
+ * @throws {Error} If the status property type isn't supported or no done status is configured.
+ */
+function resolveTaskSettings(settings) {
+  const properties = { ...propertyNames, ...settings.properties };
+  const statusType = settings.statusProperty ?? statusProperty;
+  const done = settings.statuses?.done ?? completedTaskStatuses;
+  const statuses = {
+    done: Array.isArray(done) ? done : [done],
+    newRecurring: settings.statuses?.newRecurring ?? recurTaskStatus,
+    archive: settings.statuses?.archive ?? archiveStatus,
+    recurringArchive: settings.statuses?.recurringArchive ?? recurringArchiveStatus
+  };
+  const checkbox = settings.completionCheckbox ?? completionCheckbox;
+  const zone = settings.timeZone ?? timeZone;
+  const cards = { ...errorCardSettings, ...settings.errorCards };
+  const errorCards = {
+    database: cards.database || settings.errorCardDatabase || settings.id,
+    openStatus: cards.status ?? statuses.newRecurring,
+    resolvedStatus: cards.resolvedStatus ?? statuses.archive,
+    autoResolve: cards.autoResolve !== false && cards.autoResolve !== 'false',
+    tag: cards.tag,
+    properties: { name: properties.name, status: properties.status, ...errorCardPropertyNames, ...cards.properties }
+  };
+
+  const purge = { ...retentionSettings, ...settings.retention };
+  const retention = {
+    afterDays: purge.afterDays === null ? null : Number(purge.afterDays),
+    action: purge.action,
+    database: purge.database,
+    exportFile: purge.exportFile,
+    keepPerSeries: Number(purge.keepPerSeries ?? 0)
+  };
+
+  if (!['select', 'status'].includes(statusType)) {
+    throw new Error(`${settings.name}: statusProperty must be "select" or "status", got "${statusType}".`);
+  }
+  if (!isValidTimeZone(zone)) {
+    throw new Error(`${settings.name}: "${zone}" is not a valid IANA time zone, e.g. "America/Los_Angeles".`);
+  }
+  if (!checkbox && statuses.done.length === 0) {
+    throw new Error(`${settings.name}: at least one done status must be configured when no completion checkbox is used.`);
+  }
+
+  const rules = { ...propertyRules, ...settings.propertyRules };
+  for (const [name, rule] of Object.entries(rules)) {
+    const rotation = Array.isArray(rule?.rotate) && rule.rotate.length > 0 && rule.rotate.every(user => typeof user === 'string');
+    if (!propertyRuleNames.includes(rule) && !rotation) {
+      throw new Error(`${settings.name}: propertyRules."${name}" must be shift, reset, clear, increment or { rotate: [users] }, got ${JSON.stringify(rule)}.`);
+    }
+  }
+  const relationSettings = { ...relations, ...settings.relations };
+  for (const [name, kind] of Object.entries(relationSettings)) {
+    if (!relationKinds.includes(kind)) {
+      throw new Error(`${settings.name}: relations."${name}" must be owned or shared, got ${JSON.stringify(kind)}.`);
+    }
+  }
+  if (retention.afterDays !== null) {
+    if (!(retention.afterDays >= 0)) {
+      throw new Error(`${settings.name}: retention.afterDays must be a number of days, got "${purge.afterDays}".`);
+    }
+    if (!retentionActions.includes(retention.action)) {
+      throw new Error(`${settings.name}: retention.action must be "trash", "move" or "export", got "${retention.action}".`);
+    }
+    if (retention.action === 'move' && !retention.database) {
+      throw new Error(`${settings.name}: retention.action "move" needs retention.database, the database to move archived tasks to.`);
+    }
+    if (!Number.isInteger(retention.keepPerSeries) || retention.keepPerSeries < 0) {
+      throw new Error(`${settings.name}: retention.keepPerSeries must be a whole number, got "${purge.keepPerSeries}".`);
+    }
+  }
+
+  const statusEquals = name => ({ property: properties.status, [statusType]: { equals: name } });
+  const statusNotEquals = name => ({ property: properties.status, [statusType]: { does_not_equal: name } });
+
+  const doneTasksFilter = checkbox
+    ? { and: [
+        { property: checkbox, checkbox: { equals: true } },
+        statusNotEquals(statuses.archive),
+        statusNotEquals(statuses.recurringArchive)
+      ] }
+    : statuses.done.length === 1 ? statusEquals(statuses.done[0]) : { or: statuses.done.map(statusEquals) };
+
+  return {
+    name: settings.name,
+    tasksDb: settings.id,
+    errorCardDb: errorCards.database,
+    errorCards,
+    properties,
+    statuses,
+    statusProperty: statusType,
+    recurTaskStatus: statuses.newRecurring,
+    completionCheckbox: checkbox,
+    timeZone: zone,
+    copyContent: settings.copyContent ?? copyContent,
+    excludeBlockTypes: settings.excludeBlockTypes ?? excludeBlockTypes,
+    excludeSections: settings.excludeSections ?? excludeSections,
+    retention,
+    propertyRules: rules,
+    relations: relationSettings,
+    propertiesToExclude: [
+      properties.dateCreated, properties.dateCompleted, properties.dateRecurring,
+      ...(settings.propertiesToExclude ?? extraPropertiesToExclude)
+    ],
+    getDoneTasksFilter: doneTasksFilter,
+    getRecurringArchivedTasksFilter: statusEquals(statuses.recurringArchive),
+    getActiveTasksFilter: { and: [statusNotEquals(statuses.archive), statusNotEquals(statuses.recurringArchive)] },
+    getArchivedTasksFilter: { or: [statusEquals(statuses.archive), statusEquals(statuses.recurringArchive)] }
+  };
+}
+
+/**
+ * Resolves every task database to process. Each entry of `databases` in the config file inherits the shared
+ * top-level settings and may override any of them. Without a `databases` list, the single database from
+ * `TASK_DATABASE_ID` is used.
+ * @param {Object} settings - Settings read from the config file, with environment overrides applied.
+ * @returns {Array<Object>} The resolved settings for each database.
+ */
+function resolveDatabases(settings) {
+  const definitions = settings.databases ?? [{
+    name: 'Tasks',
+    id: process.env.TASK_DATABASE_ID,
+    errorCardDatabase: process.env.ERROR_CARD_DATABASE_ID
+  }];
+
+  return definitions.map((definition, index) => resolveTaskSettings({
+    ...settings,
+    ...definition,
+    name: definition.name ?? `Database ${index + 1}`,
+    properties: { ...settings.properties, ...definition.properties },
+    statuses: { ...settings.statuses, ...definition.statuses },
+    errorCards: { ...settings.errorCards, ...definition.errorCards, properties: { ...settings.errorCards?.properties, ...definition.errorCards?.properties } },
+    retention: { ...settings.retention, ...definition.retention },
+    propertyRules: { ...settings.propertyRules, ...definition.propertyRules },
+    relations: { ...settings.relations, ...definition.relations }
+  }));
+}
+
+const fileSettings = applyEnvOverrides(readConfigFile());
+
+/**
+ * The file the run journal is kept in. The journal records every recurring task created, so an interrupted run can
+ * be resumed without creating the same task twice.
+ */
+const journalFile = '.recurring-tasks-journal.json'
+
+/**
+ * When the daemon runs: a five-field cron expression ("0 3 * * *") or a time of day ("03:00"), read in the shared
+ * time zone. With `catchUp`, a run missed while the machine was asleep or the daemon was stopped happens once as soon
+ * as it's back; the time of the last run is kept in `stateFile` for that.
+ * Default runs every night at 3am without catching up.
+ */
+const schedule = {
+  expression: "03:00",
+  catchUp: false,
+  stateFile: '.recurring-tasks-last-run.json'
+}
+
+/**
+ * The lock file that keeps two runs from overlapping. A lock that its run hasn't refreshed for `staleAfterMinutes`
+ * is assumed to be left behind by a run that crashed.
+ */
+const runLock = {
+  file: '.recurring-tasks.lock',
+  staleAfterMinutes: 60
+}
+
+/**
+ * The webhook listener started by `node src/index.mjs serve`. Events for the same pages arriving within
+ * `debounceSeconds` of each other are processed together once they stop.
+ */
+const webhook = {
+  port: 8787,
+  path: '/webhook',
+  debounceSeconds: 10
+}
+
+/**
+ * Where the report of each run goes besides the console: a file the report is appended to as JSON lines ("-" for
+ * standard output), and a Notion database (one page per run) or page (one section per run) serving as a Run Log.
+ * Default template doesn't keep a report.
+ */
+const runReport = {
+  file: null,
+  runLogDatabase: null,
+  runLogPage: null
+}
+
+/**
+ * The iCalendar feed of upcoming recurrences, written by `node src/index.mjs calendar` and served at `path` by the
+ * webhook listener and the serverless handler. Occurrences are projected `days` ahead. The feed is only served once a
+ * token is set, since it lists task names.
+ */
+const calendar = {
+  days: 90,
+  path: '/calendar.ics',
+  name: 'Recurring Tasks'
+}
+
+/**
+ * Resolves the notifiers that receive the report of each run: the `notifications` list from the config file, plus
+ * one notifier per channel configured through environment variables. Each notifier has a `type` (webhook, email or
+ * ntfy, or one added with `registerNotifier`), its own settings and `onlyOnFailure`, which defaults to
+ * `notifyOnlyOnFailure`. Passwords and tokens are best kept in the environment: SMTP_PASSWORD and NTFY_TOKEN are
+ * used when an entry doesn't set its own.
+ * @param {Object} settings - Settings read from the config file, with environment overrides applied.
+ * @returns {Array<Object>} The notifiers.
+ */
+function resolveNotifiers(settings) {
+  const env = process.env;
+  const onlyOnFailure = env.NOTIFY_ONLY_ON_FAILURE ? env.NOTIFY_ONLY_ON_FAILURE === 'true' : settings.notifyOnlyOnFailure ?? false;
+  const notifiers = [...(settings.notifications ?? [])];
+
+  if (env.NOTIFY_WEBHOOK_URL) notifiers.push({ type: 'webhook', url: env.NOTIFY_WEBHOOK_URL });
+  if (env.NOTIFY_NTFY_URL) notifiers.push({ type: 'ntfy', url: env.NOTIFY_NTFY_URL });
+  if (env.SMTP_HOST) {
+    notifiers.push({
+      type: 'email',
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || undefined,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+      user: env.SMTP_USER,
+      from: env.NOTIFY_EMAIL_FROM,
+      to: env.NOTIFY_EMAIL_TO
+    });
+  }
+
+  return notifiers.map(notifier => ({
+    ...notifier,
+    onlyOnFailure: notifier.onlyOnFailure ?? onlyOnFailure,
+    ...(notifier.type === 'email' && { password: notifier.password ?? env.SMTP_PASSWORD }),
+    ...(notifier.type === 'ntfy' && { token: notifier.token ?? env.NTFY_TOKEN })
+  }));
+}
+
+/**
+ * Request budget for the Notion API. Notion allows an average of three requests per second per integration;
+ * every request is queued to stay within this budget, and rate-limited (429) or server (5xx) responses are
+ * retried with exponential backoff, honoring the `Retry-After` header when present.
+ */
+const notionRateLimit = {
+  requestsPerSecond: Number(process.env.NOTION_REQUESTS_PER_SECOND) || 3,
+  maxRetries: 5,
+  initialBackoffMs: 1000,
+  maxBackoffMs: 30000
+}
 
 export const config = {
     /**
    * Authentication token for Notion API, stored in environment variables for security.
    */
   authToken: process.env.NOTION_API_TOKEN,
-    /**
-   * The database ID for tasks within Notion, retrieved from environment variables.
+  /**
+   * The task databases to process. Each entry holds the settings for one database:
+   * - `name`: a label used in logs and summaries
+   * - `tasksDb`: the database ID
+   * - `errorCardDb`: the database error cards are filed in, defaults to `tasksDb`
+   * - `errorCards`: how error cards are filed and resolved: `database`, `openStatus`, `resolvedStatus`, `autoResolve`,
+   *   `tag` and `properties` (name, status, and the optional task, details and tag)
+   * - `properties`: names of the properties read and written, keyed by role (name, status, recurring, dateCompleted, dateRecurring, dateCreated,
+   *   and the optional dueDate, occurrence, leadTime, seriesId, previousTask, seriesStats and template, which are null when not used)
+   * - `statuses`: status values keyed by role: done (a list), newRecurring, archive and recurringArchive
+   * - `statusProperty`: the type of the status property, either select or status
+   * - `recurTaskStatus`: the status value for new recurred tasks
+   * - `completionCheckbox`: name of the checkbox property that marks a task as completed, or null when the done statuses are used
+   * - `timeZone`: the IANA time zone dates are interpreted in
+   * - `propertiesToExclude`: properties to exclude when creating new recurring tasks from existing tasks
+   * - `copyContent`: whether the page body is copied onto new recurring tasks
+   * - `excludeBlockTypes` / `excludeSections`: block types and toggle or heading sections left out of the copy
+   * - `propertyRules`: rules applied to properties of new recurring tasks, keyed by property name
+   * - `relations`: whether each relation property is owned (its pages are cloned with the task) or shared
+   * - `retention`: when archived tasks are purged and how: `afterDays` (null keeps them), `action` (trash, move or
+   *   export), `database` to move them to, `exportFile` to export them to and `keepPerSeries`
+   * - `getDoneTasksFilter`: filter for fetching tasks marked as 'Done', matching any done status or the completion checkbox
+   * - `getRecurringArchivedTasksFilter`: filter for fetching tasks that are in the 'Recurring Archive'
+   * - `getActiveTasksFilter`: filter for fetching tasks that are in neither archive status
+   * - `getArchivedTasksFilter`: filter for fetching tasks that are in either archive status
    */
-  tasksDb: process.env.TASK_DATABASE_ID,
-    /**
-   * List of properties to exclude when creating new recurring tasks from existing tasks.
+  databases: resolveDatabases(fileSettings),
+  /**
+   * Whether to process the databases at the same time instead of one after another. Requests still share the
+   * same rate limit either way.
    */
-  propertiesToExclude: propertiesToExclude, 
-      /**
-   * The type of the status property. Either select or status. 
+  parallelDatabases: fileSettings.parallel ?? process.env.PARALLEL_DATABASES === 'true',
+  /**
+   * Path of the run journal, relative to the working directory.
    */
-  statusProperty: statusProperty, 
+  journalFile: process.env.JOURNAL_FILE || fileSettings.journalFile || journalFile,
   /**
-   * The status value for new recurred tasks.
+   * Schedule of the daemon, with the time zone it is read in.
    */
-  recurTaskStatus: recurTaskStatus,
-    /**
-   * Filter configuration for fetching tasks marked as 'Done'. Uses the `completedTaskStatus` to identify such tasks.
+  schedule: {
+    expression: process.env.SCHEDULE || fileSettings.schedule || schedule.expression,
+    timeZone: fileSettings.timeZone ?? timeZone,
+    catchUp: process.env.CATCH_UP ? process.env.CATCH_UP === 'true' : fileSettings.catchUp ?? schedule.catchUp,
+    stateFile: process.env.SCHEDULE_STATE_FILE || fileSettings.scheduleStateFile || schedule.stateFile
+  },
+  /**
+   * The lock that keeps runs from overlapping.
    */
-  getDoneTasksFilter: {
-    "property": "Status",
-    [statusProperty]: {
-      "equals": completedTaskStatus
-    }
+  runLock: {
+    file: process.env.LOCK_FILE || fileSettings.lockFile || runLock.file,
+    staleAfterMinutes: runLock.staleAfterMinutes
   },
-    /**
-   * Filter configuration for fetching tasks that are in the 'Recurring Archive'.
-   * This is used to identify tasks that are set to recur and need processing to create new instances.
+  /**
+   * Settings of the webhook listener. The shared secret is only read from the environment, like the API token.
    */
-  getRecurringArchivedTasksFilter: {
-    property: "Status",
-    [statusProperty]: {
-      equals: "Recurring Archive"
-    }
-  }
-};
\ No newline at end of file
+  webhook: {
+    port: Number(process.env.WEBHOOK_PORT) || fileSettings.webhookPort || webhook.port,
+    path: process.env.WEBHOOK_PATH || fileSettings.webhookPath || webhook.path,
+    secret: process.env.WEBHOOK_SECRET,
+    debounceSeconds: Number(process.env.WEBHOOK_DEBOUNCE_SECONDS) || fileSettings.webhookDebounceSeconds || webhook.debounceSeconds
+  },
+  /**
+   * Where run reports are written: `file` for JSON lines, and `runLogDatabase` or `runLogPage` for a Run Log in Notion.
+   */
+  runReport: {
+    file: process.env.REPORT_FILE || fileSettings.reportFile || runReport.file,
+    runLogDatabase: process.env.RUN_LOG_DATABASE_ID || fileSettings.runLogDatabase || runReport.runLogDatabase,
+    runLogPage: process.env.RUN_LOG_PAGE_ID || fileSettings.runLogPage || runReport.runLogPage
+  },
+  /**
+   * Settings of the calendar feed. The token subscribers pass as `?token=` is only read from the environment.
+   */
+  calendar: {
+    days: Number(process.env.CALENDAR_DAYS) || fileSettings.calendarDays || calendar.days,
+    path: process.env.CALENDAR_PATH || fileSettings.calendarPath || calendar.path,
+    name: process.env.CALENDAR_NAME || fileSettings.calendarName || calendar.name,
+    token: process.env.CALENDAR_TOKEN
+  },
+  /**
+   * The notifiers run reports are sent to, as resolved by `resolveNotifiers`.
+   */
+  notifiers: resolveNotifiers(fileSettings),
+  /**
+   * Rate limiting and retry settings for every request sent to Notion.
+   */
+  notionRateLimit: notionRateLimit
+};
+
+/**
+ * Removes the dashes from a Notion ID so IDs can be compared however they were written. Defined here rather than in
+ * `helpers.mjs`, which re-exports it, because `helpers.mjs` depends on this module.
+ * @param {string} [id] - A Notion ID.
+ * @returns {string} The ID without dashes, lowercased.
+ */
+export function compactId(id) {
+  return (id ?? '').replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * Finds the configured database a page belongs to.
+ * @param {string} [databaseId] - The ID of the page's parent database, with or without dashes.
+ * @returns {Object|undefined} The database's settings from `config.databases`, or undefined if it isn't configured.
+ */
+export function findDatabase(databaseId) {
+  return databaseId ? config.databases.find(db => compactId(db.tasksDb) === compactId(databaseId)) : undefined;
+}
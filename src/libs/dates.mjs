@@ -0,0 +1,117 @@
+import { parseISO } from 'date-fns';
+
+/**
+ * Cached `Intl.DateTimeFormat` instances, one per time zone.
+ */
+const formatters = new Map();
+
+/**
+ * Returns a formatter that prints the calendar date of an instant in a time zone.
+ * @param {string} timeZone - An IANA time zone, e.g. "America/Los_Angeles".
+ * @returns {Intl.DateTimeFormat} The formatter.
+ */
+function calendarFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Cached formatters printing the wall-clock date, time and weekday of an instant, one per time zone.
+ */
+const wallClockFormatters = new Map();
+
+/**
+ * Checks that a string is a time zone the runtime knows about.
+ * @param {string} timeZone - The time zone to check.
+ * @returns {boolean} True if it is a valid IANA time zone.
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    calendarFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the calendar date (yyyy-MM-dd) of an instant as seen in a time zone.
+ * @param {Date} instant - The moment in time.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {string} The date in that time zone.
+ */
+function calendarDateOf(instant, timeZone) {
+  const parts = Object.fromEntries(calendarFormatter(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Converts a Notion date value to the calendar date it falls on in a time zone. Date-only values ("2024-05-15") and
+ * date-times without an offset are already wall-clock dates and are returned as they are; date-times with an offset
+ * or "Z" ("2024-05-15T23:30:00.000-07:00") are converted, so a task completed just before midnight lands on the right day.
+ *
+ * @param {string} value - The `start` of a Notion date property.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {string} The calendar date as yyyy-MM-dd.
+ */
+export function toCalendarDate(value, timeZone) {
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) return value.slice(0, 10);
+  return calendarDateOf(new Date(value), timeZone);
+}
+
+/**
+ * Returns the wall-clock time of an instant in a time zone, as used to match schedules.
+ * @param {Date} instant - The moment in time.
+ * @param {string} timeZone - An IANA time zone.
+ * @returns {Object} { year, month, day, hour, minute, weekday } with month 1-12 and weekday 0 (Sunday) to 6.
+ */
+export function wallClockTime(instant, timeZone) {
+  if (!wallClockFormatters.has(timeZone)) {
+    wallClockFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', weekday: 'short', hourCycle: 'h23'
+    }));
+  }
+  const parts = Object.fromEntries(wallClockFormatters.get(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Returns today's calendar date in a time zone.
+ * @param {string} timeZone - An IANA time zone.
+ * @param {Date} [now=new Date()] - The current moment, for testing.
+ * @returns {string} Today's date as yyyy-MM-dd.
+ */
+export function todayIn(timeZone, now = new Date()) {
+  return calendarDateOf(now, timeZone);
+}
+
+/**
+ * Turns a calendar date into a Date for date-fns arithmetic. Adding days, months or years works on the calendar
+ * fields, so the result formats back to the intended date regardless of the server's time zone or DST changes.
+ * @param {string} date - A date as yyyy-MM-dd.
+ * @returns {Date} A Date at the start of that day in the server's local time.
+ */
+export function parseCalendarDate(date) {
+  return parseISO(date);
+}
+
+/**
+ * Decides whether a task in the Recurring Archive is due, i.e. whether its recurring date is today or earlier in
+ * the configured time zone.
+ * @param {string} dateRecurring - The `start` of the task's "Date Recurring".
+ * @param {string} timeZone - An IANA time zone.
+ * @param {Date} [now=new Date()] - The current moment, for testing.
+ * @returns {boolean} True if the task should recur now.
+ */
+export function isDue(dateRecurring, timeZone, now = new Date()) {
+  return toCalendarDate(dateRecurring, timeZone) <= todayIn(timeZone, now);
+}
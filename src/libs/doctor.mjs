@@ -0,0 +1,235 @@
+import { notionDatabaseRetrieve, notionDatabaseUpdate } from "./notion.mjs";
+import { propertyRuleTypes } from "./templates.mjs";
+import { isDryRun } from "./plan.mjs";
+
+/**
+ * Human-readable names for the Notion property types the application relies on.
+ */
+const typeLabels = {
+  title: "Title",
+  rich_text: "Text",
+  date: "Date",
+  checkbox: "Checkbox",
+  number: "Number",
+  relation: "Relation",
+  select: "Select",
+  multi_select: "Multi-select",
+  people: "Person",
+  status: "Status"
+};
+
+/**
+ * Lists the properties a task database needs, with the type each must have and the options it must offer.
+ * @param {Object} db - Settings of the database, as listed in `config.databases`.
+ * @returns {Array<Object>} Requirements of the form { role, name, type, options, databaseId }.
+ */
+function taskDatabaseRequirements(db) {
+  const { properties, statuses } = db;
+  const statusOptions = [statuses.archive, statuses.recurringArchive, statuses.newRecurring];
+  if (!db.completionCheckbox) statusOptions.push(...statuses.done);
+
+  const requirements = [
+    { role: "name", name: properties.name, type: "title" },
+    { role: "status", name: properties.status, type: db.statusProperty, options: [...new Set(statusOptions)] },
+    { role: "recurring", name: properties.recurring, type: "rich_text" },
+    { role: "dateCompleted", name: properties.dateCompleted, type: "date" },
+    { role: "dateRecurring", name: properties.dateRecurring, type: "date" }
+  ];
+  if (db.completionCheckbox) requirements.push({ role: "completionCheckbox", name: db.completionCheckbox, type: "checkbox" });
+  if (properties.dueDate) requirements.push({ role: "dueDate", name: properties.dueDate, type: "date" });
+  if (properties.occurrence) requirements.push({ role: "occurrence", name: properties.occurrence, type: "number" });
+  if (properties.leadTime) requirements.push({ role: "leadTime", name: properties.leadTime, type: "number" });
+  if (properties.seriesId) requirements.push({ role: "seriesId", name: properties.seriesId, type: "rich_text" });
+  if (properties.previousTask) requirements.push({ role: "previousTask", name: properties.previousTask, type: "relation", databaseId: db.tasksDb });
+  if (properties.seriesStats) requirements.push({ role: "seriesStats", name: properties.seriesStats, type: "rich_text" });
+  if (properties.template) requirements.push({ role: "template", name: properties.template, type: "rich_text" });
+  propertyRuleTypes(db.propertyRules).forEach(({ name, type }) => requirements.push({ role: "propertyRules", name, type }));
+  Object.keys(db.relations).forEach(name => requirements.push({ role: "relations", name, type: "relation", databaseId: db.tasksDb }));
+  return requirements;
+}
+
+/**
+ * Lists the properties error cards need, in the task database or their own database.
+ * @param {Object} db - Settings of the database, as listed in `config.databases`.
+ * @returns {Array<Object>} Requirements of the form { role, name, type, options, databaseId }.
+ */
+function errorCardRequirements(db) {
+  const { properties, openStatus, resolvedStatus } = db.errorCards;
+  const requirements = [
+    { role: "name", name: properties.name, type: "title" },
+    { role: "status", name: properties.status, type: db.statusProperty, options: [...new Set([openStatus, resolvedStatus])] }
+  ];
+  if (properties.task) requirements.push({ role: "task", name: properties.task, type: "relation", databaseId: db.tasksDb });
+  if (properties.details) requirements.push({ role: "details", name: properties.details, type: "rich_text" });
+  if (properties.tag) requirements.push({ role: "tag", name: properties.tag, type: "multi_select" });
+  return requirements;
+}
+
+/**
+ * Combines two lists of requirements on the same database. A property required by both keeps the first requirement,
+ * with the options of both.
+ * @param {Array<Object>} requirements - The requirements to extend.
+ * @param {Array<Object>} additional - The requirements to add.
+ * @returns {Array<Object>} The combined requirements.
+ */
+function mergeRequirements(requirements, additional) {
+  const merged = requirements.map(requirement => ({ ...requirement }));
+  for (const requirement of additional) {
+    const existing = merged.find(candidate => candidate.name === requirement.name);
+    if (!existing) merged.push(requirement);
+    else if (requirement.options) existing.options = [...new Set([...(existing.options ?? []), ...requirement.options])];
+  }
+  return merged;
+}
+
+/**
+ * Compares a database schema against a list of requirements.
+ * @param {Object} schema - The database object returned by `notionDatabaseRetrieve`.
+ * @param {Array<Object>} requirements - The properties the database needs.
+ * @returns {Array<Object>} Problems found, each with a `kind`, the affected `property`, whether it is `fixable`, a plain-language
+ * `message` and, for fixable problems, the `fixedMessage` reported once it has been fixed.
+ */
+function checkSchema(schema, requirements) {
+  const problems = [];
+
+  for (const requirement of requirements) {
+    const property = schema.properties[requirement.name];
+    const expected = typeLabels[requirement.type];
+
+    if (!property) {
+      const titleProperty = Object.values(schema.properties).find(candidate => candidate.type === "title");
+      problems.push(requirement.type === "title"
+        ? { kind: "missingProperty", property: requirement.name, requirement, fixable: false,
+            message: `The title property is called "${titleProperty?.name}", not "${requirement.name}". Rename it in Notion or map properties.name to "${titleProperty?.name}".` }
+        : { kind: "missingProperty", property: requirement.name, requirement, fixable: true,
+            message: `Property "${requirement.name}" is missing. It should be a ${expected} property.`,
+            fixedMessage: `Created ${expected} property "${requirement.name}".` });
+      continue;
+    }
+
+    if (property.type !== requirement.type) {
+      problems.push({ kind: "wrongType", property: requirement.name, requirement, fixable: false,
+        message: `Property "${requirement.name}" is a ${typeLabels[property.type] ?? property.type} property but should be a ${expected} property. Change its type in Notion${requirement.role === "status" ? " or set statusProperty to match" : ""}.` });
+      continue;
+    }
+
+    const existingOptions = property[property.type]?.options?.map(option => option.name) ?? [];
+    for (const option of requirement.options ?? []) {
+      if (existingOptions.includes(option)) continue;
+      problems.push(requirement.type === "select"
+        ? { kind: "missingOption", property: requirement.name, option, requirement, fixable: true,
+            message: `Option "${option}" is missing from "${requirement.name}".`,
+            fixedMessage: `Added option "${option}" to "${requirement.name}".` }
+        : { kind: "missingOption", property: requirement.name, option, requirement, fixable: false,
+            message: `Option "${option}" is missing from "${requirement.name}". Notion doesn't allow adding options to status properties through the API, so add it in Notion.` });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Builds the database update that fixes the fixable problems: missing properties are created with the required type and
+ * missing select options are appended to the existing ones. Relations are created pointing at the requirement's `databaseId`.
+ * @param {Object} schema - The database object returned by `notionDatabaseRetrieve`.
+ * @param {Array<Object>} problems - Problems returned by `checkSchema`.
+ * @returns {Object} A Notion properties object for `notionDatabaseUpdate`.
+ */
+function buildSchemaFix(schema, problems) {
+  const update = {};
+
+  for (const problem of problems.filter(problem => problem.fixable)) {
+    const { name, type, options = [], databaseId } = problem.requirement;
+    if (problem.kind === "missingProperty") {
+      const definition = type === "select" ? { options: options.map(option => ({ name: option })) }
+        : type === "relation" ? { database_id: databaseId, single_property: {} }
+        : {};
+      update[name] = { [type]: definition };
+    }
+    if (problem.kind === "missingOption") {
+      const existing = update[name]?.select.options ?? schema.properties[name].select.options.map(({ id, name }) => ({ id, name }));
+      update[name] = { select: { options: [...existing, { name: problem.option }] } };
+    }
+  }
+
+  return update;
+}
+
+/**
+ * Checks one database against its requirements and, when asked, creates what is missing.
+ * @param {string} databaseId - The ID of the database to check.
+ * @param {Array<Object>} requirements - The properties the database needs.
+ * @param {boolean} fix - True to create missing properties and options.
+ * @returns {Promise<Object>} A promise that resolves to { problems, fixed } where `fixed` lists the problems that were resolved.
+ */
+async function diagnoseSchema(databaseId, requirements, fix) {
+  let schema;
+  try {
+    schema = await notionDatabaseRetrieve(databaseId);
+  } catch (error) {
+    return {
+      problems: [{ kind: "unreachable", fixable: false,
+        message: `Couldn't open database ${databaseId} (${error.message}). Check the ID and that the integration has been added to the database.` }],
+      fixed: []
+    };
+  }
+
+  const problems = checkSchema(schema, requirements);
+  const fixable = problems.filter(problem => problem.fixable);
+  if (!fix || fixable.length === 0) return { problems, fixed: [] };
+
+  await notionDatabaseUpdate(databaseId, buildSchemaFix(schema, problems));
+  return { problems: problems.filter(problem => !problem.fixable), fixed: fixable };
+}
+
+/**
+ * Validates that a configured database has every property, type and status option the application needs, and
+ * optionally provisions whatever is missing.
+ *
+ * @param {Object} db - Settings of the database, as listed in `config.databases`.
+ * @param {boolean} [fix=false] - True to create missing properties and select options.
+ * @returns {Promise<Object>} A promise that resolves to { database, problems, fixed }.
+ * @throws {Error} If asked to fix during a dry run, since schema changes aren't planned.
+ */
+export async function diagnoseDatabase(db, fix = false) {
+  if (fix && isDryRun()) throw new Error("Schema fixes can't be planned; diagnose without fixing during a dry run.");
+  if (db.errorCardDb === db.tasksDb) {
+    const requirements = mergeRequirements(taskDatabaseRequirements(db), errorCardRequirements(db));
+    return { database: db.name, ...await diagnoseSchema(db.tasksDb, requirements, fix) };
+  }
+
+  const tasks = await diagnoseSchema(db.tasksDb, taskDatabaseRequirements(db), fix);
+  const errorCards = await diagnoseSchema(db.errorCardDb, errorCardRequirements(db), fix);
+  const label = problem => ({
+    ...problem,
+    message: `Error card database: ${problem.message}`,
+    fixedMessage: problem.fixedMessage && `Error card database: ${problem.fixedMessage}`
+  });
+  return {
+    database: db.name,
+    problems: [...tasks.problems, ...errorCards.problems.map(label)],
+    fixed: [...tasks.fixed, ...errorCards.fixed.map(label)]
+  };
+}
+
+/**
+ * Formats doctor results as readable text.
+ * @param {Array<Object>} results - Results returned by `diagnoseDatabase`.
+ * @param {boolean} fix - Whether `--fix` was used, which changes the hint shown for fixable problems.
+ * @returns {string} The report as multi-line text.
+ */
+export function formatDiagnosis(results, fix) {
+  const lines = [];
+
+  for (const { database, problems, fixed } of results) {
+    lines.push(problems.length === 0 ? `${database}: everything looks good.` : `${database}: ${problems.length} problem(s) found.`);
+    fixed.forEach(problem => lines.push(`  fixed: ${problem.fixedMessage}`));
+    problems.forEach(problem => lines.push(`  - ${problem.message}`));
+  }
+
+  if (!fix && results.some(result => result.problems.some(problem => problem.fixable))) {
+    lines.push("", "Run again with --fix to create the missing properties and options.");
+  }
+
+  return lines.join("\n");
+}
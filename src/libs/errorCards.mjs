@@ -0,0 +1,219 @@
+import { notionDatabaseQuery, notionBlockChildrenAppend, notionPageRetrieve } from "./notion.mjs";
+import { pageCreate, pageUpdate, isDryRun } from "./plan.mjs";
+import { recordFailure } from "./report.mjs";
+import { config, findDatabase } from "./config.mjs";
+import { compactId, richText } from "./helpers.mjs";
+
+/**
+ * Error types whose cards are never closed automatically, because a later run can't tell whether the problem was
+ * dealt with. Content or related pages that failed to copy stay missing on the new task until someone adds them.
+ */
+const manualResolutionTypes = ['ContentCopyFailed', 'RelationCloneFailed'];
+
+/**
+ * The errors reported during the current run, as `<task id>:<error type>` keys. Cards for errors that weren't
+ * reported again are resolved at the end of the run.
+ */
+const reportedErrors = new Set();
+
+/**
+ * Builds the title of an error card. The title names the task by ID and ends with the error type in brackets, so
+ * later runs can find the card again even when the reason changes.
+ * @param {string} taskId - The ID of the task that failed.
+ * @param {string} taskName - The name of the task that failed.
+ * @param {string} errorType - The type of error.
+ * @param {string} [reason] - Explanation of what was wrong.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {string} The title.
+ */
+function errorCardTitle(taskId, taskName, errorType, reason, db) {
+  let name;
+
+  if (errorType === "InvalidRecurring") name = `Recurring format is invalid for task ${taskId} with name ${taskName}.`
+  if (errorType === "RecurCreationFail") name = `Failed to create recurring task for task ${taskId} with name ${taskName}.`
+  if (errorType === "ArchiveFailed") name = `Failed to archive task ${taskId} with name ${taskName}.`
+  if (errorType === "ContentCopyFailed") name = `Recurred task ${taskId} with name ${taskName}, but its page content couldn't be copied.`
+  if (errorType === "RelationCloneFailed") name = `Recurred task ${taskId} with name ${taskName}, but its sub-items or other owned pages couldn't all be cloned.`
+  if (errorType === "MissingDateCompleted") name = `Task ${taskId} with name ${taskName} has no "${db.properties.dateCompleted}", so its next date can't be calculated.`
+  if (errorType === "MissingDateRecurring") name = `Task ${taskId} with name ${taskName} is in "${db.statuses.recurringArchive}" without a "${db.properties.dateRecurring}".`
+  if (reason) name = `${name} ${reason}`
+
+  return `${name} [${errorType}]`;
+}
+
+/**
+ * Reads the task ID and error type back from an error card's title. Cards filed before error types were added to
+ * titles have no type.
+ * @param {Object} card - An error card page returned by Notion.
+ * @param {Object} cards - The error card settings of the database.
+ * @returns {Object|null} { taskId, errorType, title }, or null if the page isn't an error card.
+ */
+function parseErrorCard(card, cards) {
+  const title = (card.properties[cards.properties.name]?.title ?? []).map(text => text.plain_text ?? text.text?.content ?? '').join('');
+  const task = title.match(/task ([0-9a-f-]{32,36}) with name/i);
+  if (!task) return null;
+  return { taskId: compactId(task[1]), errorType: title.match(/\[(\w+)\]$/)?.[1] ?? null, title };
+}
+
+/**
+ * Builds the filter matching open error cards, optionally only those naming a task.
+ * @param {Object} db - Settings of the database the tasks belong to.
+ * @param {string} [taskId] - The ID of the task, as it appears in card titles.
+ * @returns {Object} A Notion database query filter.
+ */
+function openErrorCardsFilter(db, taskId) {
+  const { properties, openStatus } = db.errorCards;
+  return {
+    and: [
+      { property: properties.status, [db.statusProperty]: { equals: openStatus } },
+      { property: properties.name, title: { contains: taskId ? `task ${taskId} with name` : ' with name ' } }
+    ]
+  };
+}
+
+/**
+ * Builds the body of a new error card: a mention of the task, the underlying error and how the card gets closed.
+ * @param {string} taskId - The ID of the task that failed.
+ * @param {string} message - The error message.
+ * @param {string} errorType - The type of error.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {Array<Object>} The Notion blocks.
+ */
+function errorCardBody(taskId, message, errorType, db) {
+  const { autoResolve, resolvedStatus } = db.errorCards;
+  const closing = autoResolve && !manualResolutionTypes.includes(errorType)
+    ? `This card moves to "${resolvedStatus}" by itself once the task is processed without this error.`
+    : `Move this card to "${resolvedStatus}" once the problem has been dealt with.`;
+  const paragraph = rich_text => ({ object: 'block', type: 'paragraph', paragraph: { rich_text } });
+
+  return [
+    paragraph([{ type: 'text', text: { content: 'Task: ' } }, { type: 'mention', mention: { page: { id: taskId } } }]),
+    paragraph(richText(`Error: ${message}`).rich_text),
+    paragraph(richText(`First seen ${new Date().toISOString()}. ${closing}`).rich_text)
+  ];
+}
+
+/**
+ * Files an error card about a task that couldn't be processed, and adds the failure to the run report. The card
+ * carries the underlying error message and a mention of the task, and is linked to it through the `task` relation
+ * and tagged when those error card properties are mapped. If an open card about the same error on the same task
+ * already exists, it is updated instead of filed twice.
+ * @param {string} taskId - The ID of the task that failed.
+ * @param {string} taskName - The name of the task that failed.
+ * @param {string} errorType - The type of error being logged
+ * @param {string} [reason] - Optional explanation of what was wrong, such as the underlying error message.
+ * @param {Object} [db] - Settings of the database the task belongs to. The card is filed in its `errorCardDb`.
+ * @returns {Promise<void>} A promise that resolves when the error card has been successfully created.
+ */
+export async function createErrorCard(taskId, taskName, errorType, reason, db = config.databases[0]) {
+  const cards = db.errorCards;
+  const name = errorCardTitle(taskId, taskName, errorType, reason, db);
+  const message = reason ?? name.replace(/ \[\w+\]$/, '');
+  reportedErrors.add(`${compactId(taskId)}:${errorType}`);
+  recordFailure({ database: db.name, pageId: taskId, taskName, code: errorType, reason: message });
+
+  try {
+    const properties = {
+      [cards.properties.name]: { title: [{ text: { content: name } }] },
+      [cards.properties.status]: { [db.statusProperty]: { name: cards.openStatus } }
+    };
+    if (cards.properties.details) properties[cards.properties.details] = richText(message);
+    if (cards.properties.task) properties[cards.properties.task] = { relation: [{ id: taskId }] };
+    if (cards.properties.tag) properties[cards.properties.tag] = { multi_select: [{ name: cards.tag }] };
+
+    const existingCards = await notionDatabaseQuery(cards.database, openErrorCardsFilter(db, taskId));
+    const existingCard = existingCards.results
+      .map(card => ({ card, parsed: parseErrorCard(card, cards) }))
+      .find(({ parsed }) => parsed && (parsed.errorType === errorType || (!parsed.errorType && name.startsWith(parsed.title))));
+
+    if (!existingCard) {
+      const card = await pageCreate(cards.database, properties, { action: 'createErrorCard', database: db.name, taskName: taskName, pageId: taskId, description: name });
+      if (!isDryRun()) await notionBlockChildrenAppend(card.id, errorCardBody(taskId, message, errorType, db));
+    } else if (existingCard.parsed.title !== name) {
+      const { [cards.properties.status]: status, ...changed } = properties;
+      await pageUpdate(existingCard.card.id, changed, { action: 'updateErrorCard', database: db.name, taskName: taskName, pageId: existingCard.card.id, description: message });
+    } else {
+      console.log(`Error card already created for ${taskId}`)
+    }
+  } catch(error) {
+    console.error(`Failed to create Error Page for ${taskId}} with name ${taskName}`, error)
+  }
+}
+
+/**
+ * Forgets the errors reported so far. Called when a run starts, so `resolveErrorCards` only keeps the cards for
+ * errors that occur again in this run.
+ */
+export function resetReportedErrors() {
+  reportedErrors.clear();
+}
+
+/**
+ * Finds the configured database a task belongs to, so a card in an error card database shared by several task
+ * databases is resolved with the settings it was filed with.
+ * @param {string} taskId - The ID of the task the card is about.
+ * @param {Object} db - Settings of the database whose query found the card, taken when the task no longer exists.
+ * @returns {Promise<Object|undefined>} A promise that resolves to the settings of the task's database, or undefined if
+ * it isn't a configured database.
+ */
+async function cardOwner(taskId, db) {
+  try {
+    const task = await notionPageRetrieve(taskId);
+    return findDatabase(task.parent?.database_id);
+  } catch (error) {
+    if (error.code === 'object_not_found') return db;
+    throw error;
+  }
+}
+
+/**
+ * Closes the open error cards of a database whose error didn't occur again during the current run: the task was
+ * fixed, processed successfully, moved out of the way or deleted. Cards filed before error types were added to titles
+ * are closed once their task reported no error at all. Content copy failures are left for the user to close. When other
+ * databases file cards in the same database, only the cards about this database's tasks are closed.
+ * @param {Object} db - Settings of the database whose cards to check.
+ * @param {Array<string>} [taskIds] - Only check the cards of these tasks, e.g. the pages a webhook named. Every open
+ * card is checked when omitted, which is only correct after every database filing cards there has been processed.
+ * @returns {Promise<number>} A promise that resolves to the number of cards closed. Failures are logged, not thrown.
+ */
+export async function resolveErrorCards(db, taskIds) {
+  const cards = db.errorCards;
+  if (!cards.autoResolve) return 0;
+
+  const scope = taskIds && new Set(taskIds.map(compactId));
+  const reportedTasks = new Set([...reportedErrors].map(key => key.split(':')[0]));
+  let openCards;
+  try {
+    openCards = await notionDatabaseQuery(cards.database, openErrorCardsFilter(db));
+  } catch (error) {
+    console.error(`${db.name}: failed to look up open error cards`, error);
+    return 0;
+  }
+
+  const resolvable = openCards.results.filter(card => {
+    const parsed = parseErrorCard(card, cards);
+    if (!parsed || (scope && !scope.has(parsed.taskId))) return false;
+    if (manualResolutionTypes.includes(parsed.errorType)) return false;
+    return parsed.errorType ? !reportedErrors.has(`${parsed.taskId}:${parsed.errorType}`) : !reportedTasks.has(parsed.taskId);
+  });
+
+  let owned = resolvable;
+  if (config.databases.some(other => other !== db && other.errorCardDb === db.errorCardDb)) {
+    const owners = await Promise.allSettled(resolvable.map(card => cardOwner(parseErrorCard(card, cards).taskId, db)));
+    owners.forEach(owner => {
+      if (owner.status === 'rejected') console.error(`${db.name}: failed to look up the task of an error card`, owner.reason);
+    });
+    owned = resolvable.filter((card, index) => owners[index].status === 'fulfilled' && owners[index].value === db);
+  }
+
+  const results = await Promise.allSettled(owned.map(card => pageUpdate(
+    card.id,
+    { [cards.properties.status]: { [db.statusProperty]: { name: cards.resolvedStatus } } },
+    { action: 'resolveErrorCard', database: db.name, taskName: parseErrorCard(card, cards).title, description: `Status → ${cards.resolvedStatus} (no longer occurs)` }
+  )));
+
+  results.forEach(result => {
+    if (result.status === 'rejected') console.error("Failed to resolve an error card", result.reason);
+  });
+  return results.filter(result => result.status === 'fulfilled').length;
+}
@@ -1,5 +1,8 @@
-import { notionPageCreate, notionDatabaseQuery } from "./notion.mjs";
+import { isDryRun } from "./plan.mjs";
 import { config } from "./config.mjs";
+
+export { compactId } from "./config.mjs";
+
 /**
  * Delays the execution for a specified amount of milliseconds.
  * @param {number} ms - The amount of milliseconds to delay.
@@ -9,6 +12,21 @@ export async function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Property types Notion computes itself. Pages can't be created or updated with values for them, so they are left
+ * out when a page is copied.
+ */
+export const readOnlyPropertyTypes = ['formula', 'rollup', 'created_time', 'created_by', 'last_edited_time', 'last_edited_by', 'unique_id', 'verification', 'button'];
+
+/**
+ * Builds the value of a text property, cut to Notion's limit of 2000 characters.
+ * @param {string} content - The text.
+ * @returns {Object} A Notion rich text property value.
+ */
+export function richText(content) {
+  return { rich_text: [{ type: "text", text: { content: content.slice(0, 2000) } }] };
+}
+
 /**
  * Logs an error and rethrows it to be handled by the caller.
  * @param {string} context - Description of where the error occurred.
@@ -20,11 +38,12 @@ export function errorHandler(context, error) {
 }
 
 /**
- * Logs task activity for better traceability.
+ * Logs task activity for better traceability. Silent during a dry run, where the plan is printed instead.
  * @param {string} taskId - The ID of the task being logged.
  * @param {string} action - The action taken on the task (e.g., 'archived', 'created').
  */
 export function logTaskActivity(taskId, action) {
+    if (isDryRun()) return;
     console.log(`Task ${taskId} successfully ${action}.`);
 }
 
@@ -40,14 +59,45 @@ export function createSummary(doneTasks, tasksToRecur) {
     totalCompletedTasks: doneTasks.totalCompletedTasks,
     recurringTasksProcessed: doneTasks.recurringTasksCompleted - doneTasks.recurringParseFailures, 
     recurringParseFailures: doneTasks.recurringParseFailures,
+    finishedSeries: doneTasks.finishedSeries ?? 0,
     archivedTasks: doneTasks.archivedTasks + tasksToRecur.archivedTasks,
     archiveFailures: doneTasks.archiveFailures + tasksToRecur.archiveFailures,
     recurredTasks: tasksToRecur.recurredTasks,
+    resumedTasks: tasksToRecur.resumedTasks ?? 0,
     recurCreationFailures: tasksToRecur.recurCreationFailures,
+    skippedTasks: tasksToRecur.skippedTasks ?? 0,
     message: (doneTasks.totalCompletedTasks > 0 ? "Archived and processed completed tasks." : "No completed tasks to archive.") + (tasksToRecur.recurredTasks > 0 ? ` Created and archived recurring tasks.` : " No new recurring tasks created.")
   };
 }
 
+/**
+ * Combines the summaries of several databases into one by adding up their counts. Databases that failed to process
+ * are counted in `failedDatabases`.
+ * @param {Array<Object>} summaries - Summaries returned by `createSummary`, one per database.
+ * @returns {Object} An object with the same counts as `createSummary`, totalled across all databases.
+ */
+export function aggregateSummaries(summaries) {
+  const succeeded = summaries.filter(summary => !summary.error);
+  const counts = ['totalCompletedTasks', 'recurringTasksProcessed', 'recurringParseFailures', 'finishedSeries', 'archivedTasks', 'archiveFailures', 'recurredTasks', 'resumedTasks', 'recurCreationFailures', 'skippedTasks', 'resolvedErrorCards', 'purgedTasks', 'keptForSeries', 'purgeFailures'];
+  const total = Object.fromEntries(counts.map(key => [key, succeeded.reduce((sum, summary) => sum + (summary[key] ?? 0), 0)]));
+  return {
+    ...total,
+    databases: summaries.length,
+    failedDatabases: summaries.length - succeeded.length,
+    message: `Processed ${succeeded.length} of ${summaries.length} databases.`
+  };
+}
+
+/**
+ * Builds the property update that sets a task's status, using the configured status property name and type.
+ * @param {string} status - The status value to set.
+ * @param {Object} [db] - Settings of the database the page belongs to, as listed in `config.databases`.
+ * @returns {Object} A Notion properties object setting the status.
+ */
+export function buildStatusProperty(status, db = config.databases[0]) {
+  return { [db.properties.status]: { [db.statusProperty]: { name: status } } };
+}
+
 /**
  * Custom error class for handling exceptions with additional metadata specific to page operations.
  * 
@@ -66,43 +116,3 @@ export class errorPageId extends Error {
     this.originalError = originalError
   }
 }
-
-
-/**
- * Creates a new Notion page to log an error about an invalid recurring date format for a task.
- * @param {string} taskId - The ID of the task with the invalid date format.
- * @param {string} taskName - The name of the task with the invalid date format.
- * @param {string} errorType - The type of error being logged 
- * @returns {Promise<void>} A promise that resolves when the error card has been successfully created.
- */
-export async function createErrorCard(taskId, taskName, errorType) {
-  try {
-    let name;
-
-    if (errorType === "InvalidRecurring") name = `Recurring format is invalid for task ${taskId} with name ${taskName}.`    
-    if (errorType === "RecurCreationFail") name = `Failed to create recurring task for task ${taskId} with name ${taskName}.`
-    if (errorType === "ArchiveFailed") name = `Failed to archive task ${taskId} with name ${taskName}.`
-
-    let properties = { 
-      Name: { title: [ { text: { content : name } } ] }, 
-      Status: { [config.statusProperty] : { name : config.recurTaskStatus } }
-      }
-
-    const filter = {
-      "and": [
-        {
-          property: "Name",
-          title: {
-            equals: name
-          }
-        }
-      ]
-    };
-
-    let existingPage = await notionDatabaseQuery(config.tasksDb, filter)
-    existingPage.results.length === 0 ? await notionPageCreate(config.tasksDb, properties) : console.log(`Error card already created for ${taskId}`)
-
-  } catch(error) {
-    console.error(`Failed to create Error Page for ${taskId}} with name ${taskName}`, error)
-  }
-}
@@ -0,0 +1,122 @@
+import { existsSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { config } from './config.mjs';
+import { isDryRun } from './plan.mjs';
+
+/**
+ * Number of days finished entries are kept, so a source page that is processed again shortly after (e.g. restored from
+ * the archive by hand) can still be recognised.
+ */
+const retentionDays = 60;
+
+/**
+ * Journal entries keyed by `<source page id>:<occurrence date>`, loaded lazily from `config.journalFile`.
+ */
+let entries = null;
+
+/**
+ * Builds the key identifying one occurrence of a recurring task.
+ * @param {string} pageId - The ID of the source page in the Recurring Archive.
+ * @param {string} occurrence - The `Date Recurring` the occurrence was spawned for.
+ * @returns {string} The journal key.
+ */
+function entryKey(pageId, occurrence) {
+  return `${pageId}:${occurrence}`;
+}
+
+/**
+ * Loads the journal from disk on first use.
+ * @returns {Object} The journal entries keyed by `entryKey`.
+ */
+function loadJournal() {
+  if (entries) return entries;
+  entries = existsSync(config.journalFile) ? JSON.parse(readFileSync(config.journalFile, 'utf8')) : {};
+  return entries;
+}
+
+/**
+ * Writes the journal to disk, dropping finished entries past the retention period. The file is written to a
+ * temporary path and renamed, so a crash mid-write never leaves a truncated journal behind. Nothing is written
+ * during a dry run.
+ */
+function saveJournal() {
+  if (isDryRun()) return;
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  for (const [key, entry] of Object.entries(entries)) {
+    if (entry.status === 'archived' && Date.parse(entry.updatedAt) < cutoff) delete entries[key];
+  }
+  const temporaryFile = `${config.journalFile}.tmp`;
+  writeFileSync(temporaryFile, JSON.stringify(entries, null, 2));
+  renameSync(temporaryFile, config.journalFile);
+}
+
+/**
+ * Looks up the journal entry for an occurrence of a recurring task.
+ * @param {string} pageId - The ID of the source page in the Recurring Archive.
+ * @param {string} occurrence - The `Date Recurring` of the source page.
+ * @returns {Object|undefined} The entry, with `status` "creating", "created" or "archived", or undefined if the occurrence was never started.
+ */
+export function findSpawn(pageId, occurrence) {
+  return loadJournal()[entryKey(pageId, occurrence)];
+}
+
+/**
+ * Records that a new page is about to be created for an occurrence. Written before the request is sent, so a crash
+ * between Notion creating the page and the journal recording its ID can still be detected on the next run.
+ * Nothing is recorded during a dry run, so a real run in the same process doesn't take planned pages as created.
+ * @param {Object} task - The processed source task.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @param {string} [title] - The title the new page is created with, when a template renders it differently from the
+ * source task's.
+ */
+export function recordSpawnStarted(task, db, title) {
+  if (isDryRun()) return;
+  const now = new Date().toISOString();
+  loadJournal()[entryKey(task.page_id, task.date_recurring)] = {
+    database: db.name,
+    sourcePageId: task.page_id,
+    name: task.name,
+    title: title ?? task.name,
+    occurrence: task.date_recurring,
+    status: 'creating',
+    newPageId: null,
+    startedAt: now,
+    updatedAt: now
+  };
+  saveJournal();
+}
+
+/**
+ * Records the page created for an occurrence. Nothing is recorded during a dry run.
+ * @param {Object} task - The processed source task.
+ * @param {string} newPageId - The ID of the newly created page.
+ */
+export function recordSpawnCreated(task, newPageId) {
+  if (isDryRun()) return;
+  const entry = findSpawn(task.page_id, task.date_recurring);
+  if (!entry) return;
+  Object.assign(entry, { status: 'created', newPageId, updatedAt: new Date().toISOString() });
+  saveJournal();
+}
+
+/**
+ * Records that the source page of an occurrence has been archived, which completes it. Nothing is recorded during a
+ * dry run.
+ * @param {Object} task - The processed source task.
+ */
+export function recordSpawnArchived(task) {
+  if (isDryRun()) return;
+  const entry = findSpawn(task.page_id, task.date_recurring);
+  if (!entry) return;
+  Object.assign(entry, { status: 'archived', updatedAt: new Date().toISOString() });
+  saveJournal();
+}
+
+/**
+ * Lists occurrences that were started but whose source page hasn't been archived yet.
+ * @param {string} [database] - Only return entries for this database name.
+ * @returns {Array<Object>} The unfinished journal entries.
+ */
+export function unfinishedSpawns(database) {
+  return Object.values(loadJournal())
+    .filter(entry => entry.status !== 'archived' && (!database || entry.database === database));
+}
@@ -0,0 +1,87 @@
+import { openSync, writeSync, closeSync, readFileSync, unlinkSync, statSync, utimesSync } from 'fs';
+import { config } from './config.mjs';
+
+/**
+ * Whether this process currently holds the run lock.
+ */
+let held = false;
+
+/**
+ * Tries to take the lock file. A lock not refreshed for `config.runLock.staleAfterMinutes` is assumed to be left
+ * behind by a run that crashed, and is taken over.
+ * @returns {boolean} True if the lock was acquired.
+ */
+function acquireRunLock() {
+  if (held) return false;
+  const { file, staleAfterMinutes } = config.runLock;
+
+  try {
+    if (Date.now() - statSync(file).mtimeMs > staleAfterMinutes * 60 * 1000) {
+      console.warn(`Taking over the stale run lock ${file} (${readFileSync(file, 'utf8').trim()}).`);
+      unlinkSync(file);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  let descriptor;
+  try {
+    descriptor = openSync(file, 'wx');
+  } catch (error) {
+    if (error.code === 'EEXIST') return false;
+    throw error;
+  }
+  writeSync(descriptor, `pid ${process.pid} since ${new Date().toISOString()}\n`);
+  closeSync(descriptor);
+  held = true;
+  return true;
+}
+
+/**
+ * Marks the lock file as still in use, so a run that takes longer than `config.runLock.staleAfterMinutes` isn't
+ * mistaken for a crashed one.
+ */
+function refreshRunLock() {
+  if (!held) return;
+  const now = new Date();
+  try {
+    utimesSync(config.runLock.file, now, now);
+  } catch (error) {
+    console.warn(`Could not refresh the run lock ${config.runLock.file}: ${error.message}`);
+  }
+}
+
+/**
+ * Releases the lock file taken by `acquireRunLock`.
+ */
+function releaseRunLock() {
+  if (!held) return;
+  held = false;
+  try {
+    unlinkSync(config.runLock.file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Runs a function while holding the run lock, so two runs never process the same tasks at the same time, whether
+ * they were started from the command line, the daemon or the serverless handler. The lock is a file created
+ * exclusively, so it also works across processes sharing the same disk. While the function runs, the lock is
+ * refreshed four times per `config.runLock.staleAfterMinutes`, so only a lock whose holder stopped is taken over.
+ *
+ * @param {Function} run - The async function to run.
+ * @returns {Promise<Object>} A promise that resolves to { locked: false, result } once the function finished, or to
+ * { locked: true } without running it if another run holds the lock.
+ */
+export async function withRunLock(run) {
+  if (!acquireRunLock()) return { locked: true };
+  const refresh = setInterval(refreshRunLock, config.runLock.staleAfterMinutes * 60 * 1000 / 4);
+  refresh.unref();
+  try {
+    return { locked: false, result: await run() };
+  } finally {
+    clearInterval(refresh);
+    releaseRunLock();
+  }
+}
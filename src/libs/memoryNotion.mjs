@@ -0,0 +1,628 @@
+import { randomUUID } from 'crypto';
+import { APIResponseError } from '@notionhq/client';
+import { compactId, readOnlyPropertyTypes } from './helpers.mjs';
+
+/**
+ * The error code Notion answers with for each HTTP status, used when an injected error doesn't name one.
+ */
+const errorCodes = {
+  400: 'validation_error',
+  401: 'unauthorized',
+  403: 'restricted_resource',
+  404: 'object_not_found',
+  409: 'conflict_error',
+  429: 'rate_limited',
+  500: 'internal_server_error',
+  502: 'bad_gateway',
+  503: 'service_unavailable'
+};
+
+/**
+ * Property types holding a list of options. Select and multi-select options are added when a page uses a new one;
+ * status options have to exist already.
+ */
+const optionTypes = ['select', 'multi_select', 'status'];
+
+/**
+ * Filter conditions by the kind of value they compare. A condition not listed for the property's type is rejected,
+ * as Notion does.
+ */
+const conditions = {
+  text: {
+    equals: (value, operand) => value === operand,
+    does_not_equal: (value, operand) => value !== operand,
+    contains: (value, operand) => value.toLowerCase().includes(operand.toLowerCase()),
+    does_not_contain: (value, operand) => !value.toLowerCase().includes(operand.toLowerCase()),
+    starts_with: (value, operand) => value.startsWith(operand),
+    ends_with: (value, operand) => value.endsWith(operand),
+    is_empty: value => value === '',
+    is_not_empty: value => value !== ''
+  },
+  list: {
+    contains: (value, operand) => value.includes(operand),
+    does_not_contain: (value, operand) => !value.includes(operand),
+    is_empty: value => value.length === 0,
+    is_not_empty: value => value.length > 0
+  },
+  checkbox: {
+    equals: (value, operand) => value === operand,
+    does_not_equal: (value, operand) => value !== operand
+  },
+  number: {
+    equals: (value, operand) => value === operand,
+    does_not_equal: (value, operand) => value !== operand,
+    greater_than: (value, operand) => value !== null && value > operand,
+    less_than: (value, operand) => value !== null && value < operand,
+    greater_than_or_equal_to: (value, operand) => value !== null && value >= operand,
+    less_than_or_equal_to: (value, operand) => value !== null && value <= operand,
+    is_empty: value => value === null,
+    is_not_empty: value => value !== null
+  },
+  date: {
+    equals: (value, operand) => value !== null && value.slice(0, 10) === operand.slice(0, 10),
+    before: (value, operand) => value !== null && Date.parse(value) < Date.parse(operand),
+    after: (value, operand) => value !== null && Date.parse(value) > Date.parse(operand),
+    on_or_before: (value, operand) => value !== null && Date.parse(value) <= Date.parse(operand),
+    on_or_after: (value, operand) => value !== null && Date.parse(value) >= Date.parse(operand),
+    is_empty: value => value === null,
+    is_not_empty: value => value !== null
+  }
+};
+
+/**
+ * The kind of value each property type is filtered by, and how to read that value from the property's content.
+ */
+const filterValues = {
+  title: ['text', content => plainText(content)],
+  rich_text: ['text', content => plainText(content)],
+  url: ['text', content => content ?? ''],
+  email: ['text', content => content ?? ''],
+  phone_number: ['text', content => content ?? ''],
+  select: ['text', content => content?.name ?? ''],
+  status: ['text', content => content?.name ?? ''],
+  multi_select: ['list', content => content.map(option => option.name)],
+  people: ['list', content => content.map(user => user.id)],
+  relation: ['list', content => content.map(page => page.id)],
+  checkbox: ['checkbox', content => content],
+  number: ['number', content => content],
+  date: ['date', content => content?.start ?? null]
+};
+
+/**
+ * Builds an error as the Notion client throws it for a failed API response, so retries and error handling treat it
+ * like the real thing.
+ * @param {number} status - The HTTP status, e.g. 429 or 500.
+ * @param {string} [code] - The Notion error code. Defaults to the one Notion uses for the status.
+ * @param {string} [message] - The error message.
+ * @returns {APIResponseError} The error.
+ */
+export function notionError(status, code = errorCodes[status] ?? 'internal_server_error', message = `Request failed with ${status} ${code}.`) {
+  return new APIResponseError({
+    code,
+    status,
+    message,
+    headers: new Headers(),
+    rawBodyText: JSON.stringify({ object: 'error', status, code, message })
+  });
+}
+
+/**
+ * Reads the plain text of a rich text array.
+ * @param {Array<Object>} items - The rich text items.
+ * @returns {string} The text.
+ */
+function plainText(items) {
+  return (items ?? []).map(item => item.plain_text ?? item.text?.content ?? '').join('');
+}
+
+/**
+ * Completes rich text items the way Notion returns them, with `plain_text` and default annotations.
+ * @param {Array<Object>} items - The rich text items sent in a request.
+ * @returns {Array<Object>} The items as Notion returns them.
+ */
+function richTextItems(items) {
+  return items.map(item => {
+    const type = item.type ?? (item.mention ? 'mention' : item.equation ? 'equation' : 'text');
+    const content = type === 'text' ? { content: item.text.content, link: item.text.link ?? null } : item[type];
+    return {
+      type,
+      [type]: content,
+      annotations: { bold: false, italic: false, strikethrough: false, underline: false, code: false, color: 'default', ...item.annotations },
+      plain_text: type === 'text' ? content.content : item.plain_text ?? '',
+      href: item.href ?? null
+    };
+  });
+}
+
+/**
+ * Builds the empty content of a property, as held by pages that never set it.
+ * @param {string} type - The property type.
+ * @returns {*} The empty content.
+ */
+function emptyContent(type) {
+  if (['title', 'rich_text', 'multi_select', 'people', 'relation', 'files'].includes(type)) return [];
+  if (type === 'checkbox') return false;
+  return null;
+}
+
+/**
+ * Turns a property definition given to `addDatabase` into one as Notion returns it. A definition is either a type
+ * ("checkbox") or a Notion definition; options may be listed by name ({ status: ["Done", "Archive"] }).
+ * @param {string} name - The property name.
+ * @param {string|Object} definition - The definition.
+ * @returns {Object} The property as it appears in the database schema.
+ */
+function propertyDefinition(name, definition) {
+  const type = typeof definition === 'string' ? definition : Object.keys(definition).find(key => key !== 'name' && key !== 'id');
+  let settings = typeof definition === 'string' ? {} : definition[type] ?? {};
+  if (optionTypes.includes(type)) {
+    const options = Array.isArray(settings) ? settings : settings.options ?? [];
+    settings = { ...(!Array.isArray(settings) && settings), options: options.map(option => newOption(typeof option === 'string' ? { name: option } : option)) };
+  }
+  return { id: type === 'title' ? 'title' : randomUUID().slice(0, 4), name, type, [type]: settings };
+}
+
+/**
+ * Completes a select, multi-select or status option.
+ * @param {Object} option - The option, with at least a name.
+ * @returns {Object} The option with an ID and color.
+ */
+function newOption(option) {
+  return { id: option.id ?? randomUUID().slice(0, 8), name: option.name, color: option.color ?? 'default' };
+}
+
+/**
+ * Looks up the option a page uses in a property's definition. Select and multi-select options that don't exist yet
+ * are added, as Notion does; status options have to exist.
+ * @param {Object} definition - The property definition in the database schema.
+ * @param {Object} option - The option the page uses, by name or ID.
+ * @returns {Object} The option as stored in the schema.
+ * @throws {APIResponseError} A validation error for an unknown status option.
+ */
+function resolveOption(definition, option) {
+  const options = definition[definition.type].options;
+  const existing = options.find(candidate => (option.id && candidate.id === option.id) || candidate.name === option.name);
+  if (existing) return { id: existing.id, name: existing.name, color: existing.color };
+  if (definition.type === 'status') throw notionError(400, 'validation_error', `Invalid status option. Status option "${option.name}" does not exist for "${definition.name}".`);
+  const added = newOption(option);
+  options.push(added);
+  return { ...added };
+}
+
+/**
+ * Checks a property value sent in a request against the schema and converts it to the content Notion stores.
+ * @param {Object} definition - The property definition in the database schema.
+ * @param {Object} value - The property value sent, e.g. { select: { name: "Done" } }.
+ * @param {boolean} writable - False to accept values for computed properties, as when seeding pages.
+ * @returns {*} The property's content.
+ * @throws {APIResponseError} A validation error if the value doesn't fit the property.
+ */
+function propertyContent(definition, value, writable) {
+  const { name, type } = definition;
+  if (writable && readOnlyPropertyTypes.includes(type)) {
+    throw notionError(400, 'validation_error', `${name} is a ${type} property and can't be set.`);
+  }
+  if (!value || !(type in value)) {
+    throw notionError(400, 'validation_error', `${name} is expected to be ${type}.`);
+  }
+
+  const content = value[type];
+  if (content === null) return emptyContent(type);
+  if (type === 'title' || type === 'rich_text') return richTextItems(content);
+  if (type === 'select' || type === 'status') return resolveOption(definition, content);
+  if (type === 'multi_select') return content.map(option => resolveOption(definition, option));
+  if (type === 'date') return { start: content.start, end: content.end ?? null, time_zone: content.time_zone ?? null };
+  if (type === 'people') return content.map(user => ({ object: 'user', id: user.id }));
+  if (type === 'relation') return content.map(page => ({ id: page.id }));
+  return structuredClone(content);
+}
+
+/**
+ * Converts a plain value given to `addPage` to a Notion property value: text for titles, text, selects and statuses,
+ * a list of names for multi-selects, an ISO date for dates, a list of IDs for people and relations, and the value
+ * itself for checkboxes, numbers and formulas. Notion property values are passed through.
+ * @param {Object} definition - The property definition in the database schema.
+ * @param {*} value - The plain value.
+ * @returns {Object} The Notion property value.
+ */
+function propertyValue(definition, value) {
+  const { type } = definition;
+  if (value !== null && typeof value === 'object' && !Array.isArray(value) && type in value) return value;
+  if (value === null || value === undefined) return { [type]: null };
+  if (type === 'title' || type === 'rich_text') return { [type]: [{ text: { content: String(value) } }] };
+  if (type === 'select' || type === 'status') return { [type]: { name: value } };
+  if (type === 'multi_select') return { [type]: value.map(name => ({ name })) };
+  if (type === 'date') return { date: typeof value === 'string' ? { start: value } : value };
+  if (type === 'people' || type === 'relation') return { [type]: value.map(id => ({ id })) };
+  if (type === 'formula') {
+    const result = typeof value === 'number' || typeof value === 'boolean' ? typeof value : 'string';
+    return { formula: { type: result, [result]: value } };
+  }
+  return { [type]: value };
+}
+
+/**
+ * Reads a property back as a plain value, the counterpart of `propertyValue`, for assertions in tests.
+ * @param {Object} value - A property value as Notion returns it.
+ * @returns {*} The plain value: text, a name, a list of names or IDs, a date's start, a number or a boolean.
+ */
+function plainValue(value) {
+  const content = value[value.type];
+  if (value.type === 'title' || value.type === 'rich_text') return plainText(content);
+  if (value.type === 'select' || value.type === 'status') return content?.name ?? null;
+  if (value.type === 'multi_select') return content.map(option => option.name);
+  if (value.type === 'date') return content?.start ?? null;
+  if (value.type === 'people' || value.type === 'relation') return content.map(item => item.id);
+  if (value.type === 'formula') return content[content.type];
+  return content;
+}
+
+/**
+ * Checks a database query filter against the schema, as Notion does before running the query.
+ * @param {Object} filter - The filter.
+ * @param {Object} schema - The database's properties.
+ * @throws {APIResponseError} A validation error naming the first problem.
+ */
+function validateFilter(filter, schema) {
+  if (filter.and || filter.or) {
+    (filter.and ?? filter.or).forEach(nested => validateFilter(nested, schema));
+    return;
+  }
+
+  let kind, condition;
+  if (filter.timestamp) {
+    kind = 'date';
+    condition = filter[filter.timestamp];
+  } else {
+    const definition = schema[filter.property];
+    if (!definition) throw notionError(400, 'validation_error', `Could not find property with name or id: ${filter.property}`);
+    const type = Object.keys(filter).find(key => key !== 'property' && key !== 'type');
+    if (type !== definition.type) throw notionError(400, 'validation_error', `database property ${definition.type} does not match filter ${type}`);
+    kind = filterValues[type]?.[0];
+    condition = filter[type];
+  }
+
+  const operator = Object.keys(condition ?? {})[0];
+  if (!conditions[kind]?.[operator]) {
+    throw notionError(400, 'validation_error', `Unsupported filter condition ${operator} for ${filter.timestamp ?? filter.property}.`);
+  }
+}
+
+/**
+ * Decides whether a page matches a validated database query filter.
+ * @param {Object} page - The stored page.
+ * @param {Object} filter - The filter.
+ * @returns {boolean} True if the page matches.
+ */
+function matchesFilter(page, filter) {
+  if (filter.and) return filter.and.every(nested => matchesFilter(page, nested));
+  if (filter.or) return filter.or.some(nested => matchesFilter(page, nested));
+
+  if (filter.timestamp) {
+    const [operator, operand] = Object.entries(filter[filter.timestamp])[0];
+    return conditions.date[operator](page[filter.timestamp], operand);
+  }
+
+  const value = page.properties[filter.property];
+  const [kind, read] = filterValues[value.type];
+  const [operator, operand] = Object.entries(filter[value.type])[0];
+  return conditions[kind][operator](read(value[value.type]), operand);
+}
+
+/**
+ * Returns one page of a list, the way Notion paginates list responses.
+ * @param {Array<Object>} items - The whole list.
+ * @param {string} [cursor] - The `start_cursor` of the request.
+ * @param {number} size - The number of items per page.
+ * @returns {Object} { object, results, has_more, next_cursor }.
+ */
+function paginate(items, cursor, size) {
+  const start = cursor ? Number(cursor) : 0;
+  const end = start + size;
+  return { object: 'list', results: items.slice(start, end), has_more: end < items.length, next_cursor: end < items.length ? String(end) : null };
+}
+
+/**
+ * Creates an in-memory Notion workspace offering the same methods as the Notion client, for running the application
+ * without a live workspace. Hand it to `setNotionClient` and seed it with `addDatabase`, `addPage` and `addUser`.
+ *
+ * It checks requests the way Notion does where the application depends on it: property values must fit the schema,
+ * computed properties can't be written, status options must exist, and query filters must name existing properties
+ * of the right type. Trashed pages are left out of queries, and lists are paginated.
+ *
+ * Failures are injected with `fail`, e.g. `fail('pages.create', notionError(429))`, and every request is recorded in
+ * `requests`.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Returns the current time, used for created and last edited times.
+ * @param {number} [options.pageSize=100] - The most results returned per request, to exercise pagination.
+ * @returns {Object} The workspace: the client methods plus the helpers to seed, inspect and break it.
+ */
+export function createMemoryNotion({ now = () => new Date(), pageSize = 100 } = {}) {
+  const databases = new Map();
+  const pages = new Map();
+  const blocks = new Map();
+  const users = [];
+  const failures = [];
+  const requests = [];
+
+  /**
+   * Runs a request: records it, throws an injected failure if one matches, and returns a copy of the response so
+   * callers can't change the stored state.
+   */
+  async function handle(method, params, run) {
+    requests.push({ method, params: structuredClone(params) });
+    const failure = failures.find(candidate => candidate.method === method && (!candidate.when || candidate.when(params)));
+    if (failure) {
+      if (--failure.times === 0) failures.splice(failures.indexOf(failure), 1);
+      throw typeof failure.error === 'function' ? failure.error(params) : failure.error;
+    }
+    return structuredClone(run());
+  }
+
+  function findDatabase(id) {
+    const database = databases.get(compactId(id));
+    if (!database) throw notionError(404, 'object_not_found', `Could not find database with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`);
+    return database;
+  }
+
+  function findPage(id) {
+    const page = pages.get(compactId(id));
+    if (!page) throw notionError(404, 'object_not_found', `Could not find page with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`);
+    return page;
+  }
+
+  function findParent(id) {
+    if (pages.has(compactId(id)) || blocks.has(compactId(id))) return blocks.get(compactId(id)) ?? [];
+    throw notionError(404, 'object_not_found', `Could not find block with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`);
+  }
+
+  function timestamp() {
+    return now().toISOString();
+  }
+
+  /**
+   * Returns a page as Notion does, with its computed timestamp properties up to date.
+   */
+  function pageResponse(page) {
+    const properties = { ...page.properties };
+    for (const [name, value] of Object.entries(properties)) {
+      if (value.type === 'created_time') properties[name] = { ...value, created_time: page.created_time };
+      if (value.type === 'last_edited_time') properties[name] = { ...value, last_edited_time: page.last_edited_time };
+    }
+    return { ...page, properties };
+  }
+
+  /**
+   * Sets property values on a stored page, checking each one against its database's schema.
+   */
+  function writeProperties(page, values, writable = true) {
+    const schema = databases.get(compactId(page.parent.database_id)).properties;
+    for (const [name, value] of Object.entries(values)) {
+      const definition = schema[name] ?? Object.values(schema).find(candidate => candidate.id === name);
+      if (!definition) throw notionError(400, 'validation_error', `${name} is not a property that exists.`);
+      page.properties[definition.name] = { id: definition.id, type: definition.type, [definition.type]: propertyContent(definition, value, writable) };
+    }
+  }
+
+  function pageValues(id) {
+    const page = findPage(id);
+    const values = Object.fromEntries(Object.entries(pageResponse(page).properties).map(([name, value]) => [name, plainValue(value)]));
+    return { ...values, id: page.id, trashed: page.archived };
+  }
+
+  function createPage(databaseId, values, writable, times = {}) {
+    const database = findDatabase(databaseId);
+    // Notion stores creation times rounded down to the minute.
+    const created = times.created_time ?? timestamp().replace(/\d{2}\.\d{3}Z$/, '00.000Z');
+    const page = {
+      object: 'page',
+      id: randomUUID(),
+      created_time: created,
+      last_edited_time: times.last_edited_time ?? created,
+      parent: { type: 'database_id', database_id: database.id },
+      archived: false,
+      in_trash: false,
+      properties: Object.fromEntries(Object.values(database.properties).map(definition =>
+        [definition.name, { id: definition.id, type: definition.type, [definition.type]: emptyContent(definition.type) }]))
+    };
+    page.url = `https://www.notion.so/${compactId(page.id)}`;
+    writeProperties(page, values, writable);
+    pages.set(compactId(page.id), page);
+    return page;
+  }
+
+  /**
+   * Stores blocks under a page or block, with their nested children, and returns them as Notion does.
+   */
+  function appendBlocks(parentId, children) {
+    if (children.length > 100) throw notionError(400, 'validation_error', 'body failed validation: body.children.length should be ≤ `100`.');
+    const siblings = blocks.get(compactId(parentId)) ?? [];
+    const parent = pages.has(compactId(parentId)) ? { type: 'page_id', page_id: parentId } : { type: 'block_id', block_id: parentId };
+
+    const appended = children.map(child => {
+      const { children: nested, ...content } = child[child.type] ?? {};
+      if (content.rich_text) content.rich_text = richTextItems(content.rich_text);
+      const block = {
+        object: 'block',
+        id: randomUUID(),
+        parent,
+        created_time: timestamp(),
+        last_edited_time: timestamp(),
+        has_children: false,
+        archived: false,
+        in_trash: false,
+        type: child.type,
+        [child.type]: content
+      };
+      blocks.set(compactId(block.id), []);
+      if (nested?.length) {
+        appendBlocks(block.id, nested);
+        block.has_children = true;
+      }
+      return block;
+    });
+
+    blocks.set(compactId(parentId), [...siblings, ...appended]);
+    return appended;
+  }
+
+  return {
+    pages: {
+      create: params => handle('pages.create', params, () => {
+        const page = createPage(params.parent.database_id, params.properties ?? {}, true);
+        if (params.children) appendBlocks(page.id, params.children);
+        return pageResponse(page);
+      }),
+      retrieve: params => handle('pages.retrieve', params, () => pageResponse(findPage(params.page_id))),
+      update: params => handle('pages.update', params, () => {
+        const page = findPage(params.page_id);
+        if (page.archived && params.properties) throw notionError(400, 'validation_error', "Can't edit block that is archived. You must unarchive the block before editing.");
+        if (params.properties) writeProperties(page, params.properties);
+        const trashed = params.in_trash ?? params.archived;
+        if (trashed !== undefined) page.archived = page.in_trash = trashed;
+        page.last_edited_time = timestamp();
+        return pageResponse(page);
+      })
+    },
+    databases: {
+      query: params => handle('databases.query', params, () => {
+        const database = findDatabase(params.database_id);
+        if (params.filter) validateFilter(params.filter, database.properties);
+        const matching = [...pages.values()]
+          .filter(page => compactId(page.parent.database_id) === compactId(database.id) && !page.archived)
+          .filter(page => !params.filter || matchesFilter(page, params.filter))
+          .map(pageResponse);
+        return paginate(matching, params.start_cursor, Math.min(params.page_size ?? 100, pageSize));
+      }),
+      retrieve: params => handle('databases.retrieve', params, () => {
+        const database = findDatabase(params.database_id);
+        return { object: 'database', id: database.id, title: richTextItems([{ text: { content: database.title } }]), properties: database.properties };
+      }),
+      update: params => handle('databases.update', params, () => {
+        const database = findDatabase(params.database_id);
+        for (const [name, definition] of Object.entries(params.properties ?? {})) {
+          if (definition === null) {
+            delete database.properties[name];
+          } else {
+            const updated = propertyDefinition(name, definition);
+            database.properties[name] = database.properties[name]?.type === updated.type
+              ? { ...database.properties[name], [updated.type]: updated[updated.type] }
+              : updated;
+          }
+        }
+        return { object: 'database', id: database.id, properties: database.properties };
+      })
+    },
+    blocks: {
+      children: {
+        list: params => handle('blocks.children.list', params, () =>
+          paginate(findParent(params.block_id), params.start_cursor, Math.min(params.page_size ?? 100, pageSize))),
+        append: params => handle('blocks.children.append', params, () => {
+          findParent(params.block_id);
+          return { object: 'list', results: appendBlocks(params.block_id, params.children), has_more: false, next_cursor: null };
+        })
+      }
+    },
+    users: {
+      list: params => handle('users.list', params, () => paginate(users, params.start_cursor, Math.min(params.page_size ?? 100, pageSize)))
+    },
+
+    /**
+     * Every request received, in order, as { method, params }, failed ones included.
+     */
+    requests,
+
+    /**
+     * Adds a database.
+     * @param {Object} properties - Property definitions keyed by name: a type ("date") or a Notion definition
+     * ({ status: ["Done", "Archive"] }). Needs one title property.
+     * @param {Object} [options] - `id` to use a given ID, `title` for the database's name.
+     * @returns {string} The database ID.
+     */
+    addDatabase(properties, { id = randomUUID(), title = 'Tasks' } = {}) {
+      const schema = Object.fromEntries(Object.entries(properties).map(([name, definition]) => [name, propertyDefinition(name, definition)]));
+      databases.set(compactId(id), { id, title, properties: schema });
+      return id;
+    },
+
+    /**
+     * Adds a page to a database, without going through the request log or injected failures.
+     * @param {string} databaseId - The database.
+     * @param {Object} values - Property values keyed by name, as plain values (see `propertyValue`) or Notion values.
+     * Computed properties such as formulas may be given too.
+     * @param {Object} [options] - `created_time` and `last_edited_time` as ISO timestamps, and `children`: blocks for
+     * the page body, as sent to `blocks.children.append`.
+     * @returns {string} The page ID.
+     */
+    addPage(databaseId, values, { children, ...times } = {}) {
+      const schema = findDatabase(databaseId).properties;
+      const notionValues = Object.fromEntries(Object.entries(values).map(([name, value]) => {
+        if (!schema[name]) throw new Error(`addPage: ${name} is not a property of the database.`);
+        return [name, propertyValue(schema[name], value)];
+      }));
+      const page = createPage(databaseId, notionValues, false, times);
+      if (children) appendBlocks(page.id, children);
+      return page.id;
+    },
+
+    /**
+     * Adds a person to the workspace's users.
+     * @param {Object} user - { name, email } and optionally the `id` to use.
+     * @returns {string} The user ID.
+     */
+    addUser({ id = randomUUID(), name, email }) {
+      users.push({ object: 'user', id, type: 'person', name, avatar_url: null, person: { email } });
+      return id;
+    },
+
+    /**
+     * Returns a stored page as Notion would, trashed or not.
+     * @param {string} id - The page ID.
+     * @returns {Object} The page.
+     */
+    getPage(id) {
+      return structuredClone(pageResponse(findPage(id)));
+    },
+
+    /**
+     * Reads a page's properties as plain values, e.g. { Name: "Water plants", Status: "Archive", Due: "2024-05-01" }.
+     * @param {string} id - The page ID.
+     * @returns {Object} The values keyed by property name, with `id` and `trashed` alongside.
+     */
+    pageValues,
+
+    /**
+     * Lists the pages of a database that aren't trashed, oldest first, as plain values (see `pageValues`).
+     * @param {string} databaseId - The database.
+     * @returns {Array<Object>} The pages.
+     */
+    listPages(databaseId) {
+      const database = findDatabase(databaseId);
+      return [...pages.values()]
+        .filter(page => compactId(page.parent.database_id) === compactId(database.id) && !page.archived)
+        .map(page => pageValues(page.id));
+    },
+
+    /**
+     * Returns the child blocks of a page or block.
+     * @param {string} id - The page or block ID.
+     * @returns {Array<Object>} The blocks, as Notion returns them.
+     */
+    blockChildren(id) {
+      return structuredClone(findParent(id));
+    },
+
+    /**
+     * Makes matching requests fail. The failure is used up after `times` matching requests.
+     * @param {string} method - The client method, e.g. "pages.create" or "databases.query".
+     * @param {Error|Function} error - The error to throw, e.g. `notionError(503)`, or a function building it from
+     * the request's parameters.
+     * @param {Object} [options] - `times` (default 1, Infinity for every request) and `when`, a function deciding from
+     * the request's parameters whether it should fail.
+     */
+    fail(method, error, { times = 1, when } = {}) {
+      failures.push({ method, error, times, when });
+    }
+  };
+}
@@ -0,0 +1,228 @@
+import { connect as connectTcp } from 'net';
+import { connect as connectTls } from 'tls';
+import { hostname } from 'os';
+import { config } from './config.mjs';
+
+/**
+ * How long a notifier may take before it is given up on.
+ */
+const timeoutMs = 30 * 1000;
+
+/**
+ * Longest message sent to a push service, which shows notifications on a phone or desktop.
+ */
+const maxPushLength = 3000;
+
+/**
+ * Sends a notification over HTTP.
+ * @param {string} url - Where to send it.
+ * @param {Object} options - `fetch` options.
+ * @returns {Promise<void>} A promise that resolves once the server accepted the notification.
+ * @throws {Error} If the server responded with an error status.
+ */
+async function post(url, options) {
+  const response = await fetch(url, { method: 'POST', signal: AbortSignal.timeout(timeoutMs), ...options });
+  if (!response.ok) throw new Error(`${url} responded with ${response.status} ${response.statusText}`);
+}
+
+/**
+ * Reads the replies of an SMTP server from a socket.
+ * @param {net.Socket} socket - The connection to the server.
+ * @returns {Object} An object with `next`, which resolves to the next reply as { code, text }, and `detach`, which
+ * stops reading so the socket can be upgraded to TLS.
+ */
+function smtpReplies(socket) {
+  let buffer = '';
+  let failure = null;
+  const lines = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length > 0) {
+      const last = lines.findIndex(line => line[3] !== '-');
+      if (last >= 0) {
+        const reply = lines.splice(0, last + 1);
+        waiting.shift().resolve({ code: Number(reply[0].slice(0, 3)), text: reply.map(line => line.slice(4)).join("\n") });
+      } else if (failure) {
+        waiting.shift().reject(failure);
+      } else {
+        return;
+      }
+    }
+  };
+  const onData = chunk => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\r\n")) >= 0) {
+      lines.push(buffer.slice(0, end));
+      buffer = buffer.slice(end + 2);
+    }
+    settle();
+  };
+  const onError = error => {
+    failure = error;
+    settle();
+  };
+  const onClose = () => onError(failure ?? new Error("The SMTP server closed the connection."));
+
+  socket.setEncoding('utf8');
+  socket.on('data', onData).on('error', onError).on('close', onClose);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    detach: () => socket.off('data', onData).off('error', onError).off('close', onClose)
+  };
+}
+
+/**
+ * Opens a connection, plain or over TLS, and waits until it is established.
+ * @param {Function} connect - `net.connect` or `tls.connect`.
+ * @param {Object} options - Options for `connect`.
+ * @param {string} readyEvent - The event signalling the connection is ready.
+ * @returns {Promise<net.Socket>} A promise that resolves to the connected socket.
+ */
+function openSocket(connect, options, readyEvent) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(options);
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error("The SMTP server timed out.")));
+    socket.once(readyEvent, () => resolve(socket)).once('error', reject);
+  });
+}
+
+/**
+ * Sends an email through an SMTP server. Uses implicit TLS when `secure` is set (the default on port 465),
+ * otherwise upgrades the connection with STARTTLS when the server offers it, and logs in with AUTH PLAIN when a user
+ * is given.
+ * @param {Object} settings - The email notifier's `host`, `port`, `secure`, `user`, `password`, `from` and `to`
+ * (an address, a comma-separated list or an array).
+ * @param {string} subject - The subject line.
+ * @param {string} text - The plain text body.
+ * @returns {Promise<void>} A promise that resolves once the server accepted the message.
+ * @throws {Error} If the server rejected a command or the connection failed.
+ */
+async function sendMail({ host, port, secure, user, password, from, to }, subject, text) {
+  const recipients = (Array.isArray(to) ? to : String(to ?? '').split(',')).map(address => address.trim()).filter(Boolean);
+  if (!host || !from || recipients.length === 0) throw new Error("An email notifier needs a host, a from address and at least one to address.");
+  port ??= secure ? 465 : 587;
+  secure ??= port === 465;
+
+  let socket = secure
+    ? await openSocket(connectTls, { host, port, servername: host }, 'secureConnect')
+    : await openSocket(connectTcp, { host, port }, 'connect');
+  let replies = smtpReplies(socket);
+
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const { code, text } = await replies.next();
+    if (!expected.includes(code)) throw new Error(`SMTP server rejected ${line === null ? 'the connection' : line.split(/[ :]/)[0]}: ${code} ${text}`);
+    return text;
+  };
+
+  try {
+    await command(null, [220]);
+    const capabilities = await command(`EHLO ${hostname()}`, [250]);
+    if (!secure && /^STARTTLS$/im.test(capabilities)) {
+      await command('STARTTLS', [220]);
+      replies.detach();
+      socket = await openSocket(connectTls, { socket, servername: host }, 'secureConnect');
+      replies = smtpReplies(socket);
+      await command(`EHLO ${hostname()}`, [250]);
+    }
+    if (user) await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${password ?? ''}`).toString('base64')}`, [235]);
+
+    await command(`MAIL FROM:<${from}>`, [250]);
+    for (const recipient of recipients) await command(`RCPT TO:<${recipient}>`, [250, 251]);
+    await command('DATA', [354]);
+
+    const message = [
+      `From: ${from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: 8bit",
+      "",
+      // Lines starting with a dot are escaped, as a lone dot ends the message.
+      ...text.split("\n").map(line => line.startsWith('.') ? `.${line}` : line)
+    ].join("\r\n");
+    await command(`${message}\r\n.`, [250]);
+    await command('QUIT', [221]);
+  } finally {
+    socket.destroy();
+  }
+}
+
+/**
+ * The notifiers, keyed by type. Each is called with its settings from `config.notifiers` and the run report.
+ */
+const notifierTypes = {
+  /**
+   * POSTs the whole report as JSON to `url`, with optional extra `headers`.
+   */
+  webhook: async (settings, report, text) => {
+    await post(settings.url, {
+      headers: { 'Content-Type': 'application/json', ...settings.headers },
+      body: JSON.stringify({ event: 'run_finished', headline: text.split("\n")[0], report })
+    });
+  },
+  /**
+   * Emails the report as plain text.
+   */
+  email: async (settings, report, text) => {
+    const [subject, ...body] = text.split("\n");
+    await sendMail(settings, subject, body.join("\n"));
+  },
+  /**
+   * Pushes the report to an ntfy-style service: the message is POSTed as plain text to the topic `url`, with the
+   * headline as title and a higher priority for failed runs.
+   */
+  ntfy: async (settings, report, text) => {
+    const [title, ...body] = text.split("\n");
+    const message = body.join("\n").trim();
+    await post(settings.url, {
+      headers: {
+        Title: title,
+        Priority: report.failed ? 'high' : 'default',
+        Tags: report.failed ? 'warning' : 'white_check_mark',
+        ...(settings.token && { Authorization: `Bearer ${settings.token}` })
+      },
+      body: message.length > maxPushLength ? `${message.slice(0, maxPushLength)}…` : message
+    });
+  }
+};
+
+/**
+ * Adds a notifier type, or replaces a built-in one, so reports can be delivered anywhere. Notifiers of that type are
+ * configured in the `notifications` list of the config file like the built-in ones.
+ * @param {string} type - The type name used in the config file.
+ * @param {Function} send - Async function called with (settings, report, text) for every run to be notified, where
+ * `text` is the report formatted as readable text with the headline on its first line.
+ */
+export function registerNotifier(type, send) {
+  notifierTypes[type] = send;
+}
+
+/**
+ * Sends a run report to every configured notifier, skipping those set to `onlyOnFailure` when the run succeeded.
+ * Notifiers are called in parallel; one failing is logged and doesn't affect the others.
+ * @param {Object} report - A report returned by `finishRunReport`.
+ * @param {string} text - The report formatted as readable text, with the headline on its first line.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the settled result of each notifier called.
+ */
+export async function sendNotifications(report, text) {
+  const notifiers = config.notifiers.filter(notifier => report.failed || !notifier.onlyOnFailure);
+  const results = await Promise.allSettled(notifiers.map(async notifier => {
+    const send = notifierTypes[notifier.type];
+    if (!send) throw new Error(`Unknown notifier type "${notifier.type}". Use webhook, email or ntfy.`);
+    await send(notifier, report, text);
+  }));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') console.error(`Failed to send the ${notifiers[index].type} notification`, result.reason);
+  });
+  return results;
+}
@@ -1,14 +1,106 @@
 
-import { Client } from "@notionhq/client";
+import { Client, isNotionClientError, ClientErrorCode } from "@notionhq/client";
 import { config } from "./config.mjs";
+import { delay } from "./helpers.mjs";
 
 /**
- * Creates a Notion client instance with the provided authentication token.
+ * Creates a Notion client instance with the provided authentication token. Every request below is sent through it,
+ * unless it is replaced with `setNotionClient`.
  */
-const notion = new Client({
+let notion = new Client({
   auth: config.authToken
 });
 
+/**
+ * Replaces the client every request is sent through, e.g. with the in-memory backend from `memoryNotion.mjs` so the
+ * application runs without a workspace. Requests keep going through the rate-limited queue and its retries.
+ *
+ * @param {Object} client - An object with the same `pages`, `databases`, `blocks` and `users` methods as the Notion client.
+ * @returns {Object} The client used until now, so it can be put back.
+ */
+export function setNotionClient(client) {
+  const previous = notion;
+  notion = client;
+  return previous;
+}
+
+/**
+ * Minimum spacing between the start of two Notion requests, derived from the configured requests-per-second budget.
+ */
+const requestInterval = 1000 / config.notionRateLimit.requestsPerSecond;
+
+/**
+ * Timestamp (ms) of the next free request slot. Every request reserves the next slot before it is sent, which
+ * turns concurrent callers into an evenly spaced queue.
+ */
+let nextRequestSlot = 0;
+
+/**
+ * Waits until the next free request slot and reserves it for the caller.
+ * @returns {Promise<void>} A promise that resolves when the caller may send its request.
+ */
+async function acquireRequestSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextRequestSlot);
+  nextRequestSlot = slot + requestInterval;
+  if (slot > now) await delay(slot - now);
+}
+
+/**
+ * Determines whether a failed request is worth retrying: rate limits, server errors and client timeouts. A request
+ * that isn't idempotent is only retried when it was rate limited, as after a timeout or a server error Notion may
+ * have carried it out anyway, and sending it again would create a second page or append the blocks twice.
+ * @param {Error} error - The error thrown by the Notion client.
+ * @param {boolean} idempotent - Whether sending the request twice has the same effect as sending it once.
+ * @returns {boolean} True if the request should be retried.
+ */
+function isRetryableError(error, idempotent) {
+  if (!isNotionClientError(error)) return false;
+  if (error.status === 429) return true;
+  if (!idempotent) return false;
+  return error.code === ClientErrorCode.RequestTimeout || error.status >= 500;
+}
+
+/**
+ * Calculates how long to wait before retrying a failed request. Honors the `Retry-After` header when Notion sends one,
+ * otherwise backs off exponentially with a little jitter.
+ * @param {Error} error - The error thrown by the Notion client.
+ * @param {number} attempt - The zero-based number of the attempt that just failed.
+ * @returns {number} The delay in milliseconds.
+ */
+function retryDelay(error, attempt) {
+  const { initialBackoffMs, maxBackoffMs } = config.notionRateLimit;
+  const retryAfter = Number(error.headers?.get?.('retry-after'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  const backoff = Math.min(initialBackoffMs * 2 ** attempt, maxBackoffMs);
+  return backoff + Math.floor(Math.random() * initialBackoffMs);
+}
+
+/**
+ * Sends a request to Notion through the shared rate-limited queue, retrying rate-limited and server errors.
+ * When a retry delay is required, the whole queue is paused so other callers don't keep hitting the limit.
+ *
+ * @param {Function} request - A function that performs a single Notion API call and returns its promise.
+ * @param {Object} [options] - Options for the request.
+ * @param {boolean} [options.idempotent=true] - False for requests that create something, which aren't retried after
+ * a timeout or server error.
+ * @returns {Promise<Object>} A promise that resolves with the Notion API response.
+ */
+async function notionRequest(request, { idempotent = true } = {}) {
+  const { maxRetries } = config.notionRateLimit;
+  for (let attempt = 0; ; attempt++) {
+    await acquireRequestSlot();
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error, idempotent)) throw error;
+      const wait = retryDelay(error, attempt);
+      nextRequestSlot = Math.max(nextRequestSlot, Date.now() + wait);
+      console.warn(`Notion request failed with ${error.status ?? error.code}, retrying in ${wait}ms (attempt ${attempt + 1} of ${maxRetries}).`);
+    }
+  }
+}
+
 /**
  * Updates a page in Notion with new properties.
  * 
@@ -17,24 +109,120 @@ const notion = new Client({
  * @returns {Promise<void>} A promise that resolves with no value upon successful update.
  */
 export async function notionPageUpdate(id, properties) {
-  return notion.pages.update({
+  return notionRequest(() => notion.pages.update({
     page_id: id,
     properties: properties
-  });
+  }));
+}
+
+/**
+ * Moves a page to Notion's trash, from where it can be restored for 30 days.
+ *
+ * @param {string} id - The ID of the Notion page to trash.
+ * @returns {Promise<Object>} A promise that resolves with the trashed page.
+ */
+export async function notionPageTrash(id) {
+  return notionRequest(() => notion.pages.update({
+    page_id: id,
+    archived: true
+  }));
+}
+
+/**
+ * Retrieves a single page from Notion.
+ * 
+ * @param {string} id - The ID of the Notion page to retrieve.
+ * @returns {Promise<Object>} A promise that resolves with the page, including its properties and parent database.
+ */
+export async function notionPageRetrieve(id) {
+  return notionRequest(() => notion.pages.retrieve({
+    page_id: id
+  }));
 }
 
 /**
- * Queries a Notion database with specified filters.
+ * Queries a Notion database with specified filters. Follows `next_cursor` until every matching page has been
+ * fetched, so callers always receive the complete result set rather than the first 100 rows.
  * 
  * @param {string} databaseId - The ID of the Notion database to query.
  * @param {Object} filter - An object defining filters to apply to the database query.
- * @returns {Promise<Object>} A promise that resolves with the query results from the Notion database.
+ * @returns {Promise<Object>} A promise that resolves with an object whose `results` holds every matching page.
  */
 export async function notionDatabaseQuery(databaseId, filter) {
-  return notion.databases.query({
-    database_id: databaseId,
-    filter: filter
-  });
+  const results = [];
+  let cursor;
+
+  do {
+    const response = await notionRequest(() => notion.databases.query({
+      database_id: databaseId,
+      filter: filter,
+      start_cursor: cursor,
+      page_size: 100
+    }));
+    results.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return { object: "list", results, has_more: false, next_cursor: null };
+}
+
+/**
+ * Lists the users of the workspace. Follows `next_cursor` until every user has been fetched. Needs the integration to
+ * have access to user information.
+ *
+ * @returns {Promise<Array<Object>>} A promise that resolves with every user, people and bots alike.
+ */
+export async function notionUsersList() {
+  const results = [];
+  let cursor;
+
+  do {
+    const response = await notionRequest(() => notion.users.list({
+      start_cursor: cursor,
+      page_size: 100
+    }));
+    results.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return results;
+}
+
+/**
+ * Lists the children of a block or page. Follows `next_cursor` until every child has been fetched.
+ *
+ * @param {string} blockId - The ID of the block or page whose children to list.
+ * @returns {Promise<Array<Object>>} A promise that resolves with every child block, in order.
+ */
+export async function notionBlockChildrenList(blockId) {
+  const results = [];
+  let cursor;
+
+  do {
+    const response = await notionRequest(() => notion.blocks.children.list({
+      block_id: blockId,
+      start_cursor: cursor,
+      page_size: 100
+    }));
+    results.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return results;
+}
+
+/**
+ * Appends blocks to a block or page. Notion accepts at most 100 blocks per request.
+ *
+ * @param {string} blockId - The ID of the block or page to append to.
+ * @param {Array<Object>} children - The blocks to append.
+ * @returns {Promise<Object>} A promise that resolves with the list of appended blocks.
+ */
+export async function notionBlockChildrenAppend(blockId, children) {
+  return notionRequest(() => notion.blocks.children.append({
+    block_id: blockId,
+    children: children
+  }), { idempotent: false });
 }
 
 /**
@@ -45,10 +233,10 @@ export async function notionDatabaseQuery(databaseId, filter) {
  * @returns {Promise<Object>} A promise that resolves with the details of the newly created page.
  */
 export async function notionPageCreate(databaseId, properties) {
-  return notion.pages.create({
+  return notionRequest(() => notion.pages.create({
     parent: { database_id: databaseId },
     properties: properties
-  });
+  }), { idempotent: false });
 }
 
 /**
@@ -58,9 +246,9 @@ export async function notionPageCreate(databaseId, properties) {
  * @returns {Promise<Object>} A promise that resolves with the details of the newly created page.
  */
 export async function notionDatabaseRetrieve(databaseId) {
-  return notion.databases.retrieve({
+  return notionRequest(() => notion.databases.retrieve({
     database_id: databaseId 
-  });
+  }));
 }
 
 /**
@@ -71,8 +259,8 @@ export async function notionDatabaseRetrieve(databaseId) {
  * @returns {Promise<Object>} A promise that resolves with the details of the newly created page.
  */
 export async function notionDatabaseUpdate(databaseId, properties) {
-  return notion.databases.update({
+  return notionRequest(() => notion.databases.update({
     database_id: databaseId,
     properties: properties
-  });
-}
\ No newline at end of file
+  }));
+}
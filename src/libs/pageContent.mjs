@@ -0,0 +1,198 @@
+import { notionBlockChildrenList, notionBlockChildrenAppend } from './notion.mjs';
+import { isDryRun, recordChange } from './plan.mjs';
+
+/**
+ * Notion accepts at most 100 blocks per append request.
+ */
+const maxBlocksPerRequest = 100;
+
+/**
+ * Block types that can't be created through the API, or that would duplicate whole pages or databases.
+ */
+const uncopyableTypes = ['child_page', 'child_database', 'unsupported', 'link_preview', 'template', 'ai_block'];
+
+/**
+ * Media block types. Files uploaded to Notion come back as expiring URLs and can't be re-created through the API;
+ * media linked from an external URL can.
+ */
+const mediaTypes = ['image', 'video', 'file', 'pdf', 'audio'];
+
+/**
+ * Block types whose children must be sent in the same request that creates them: a table needs its rows, a column
+ * list its columns, a column its content and an original synced block its content.
+ */
+const inlineChildTypes = ['table', 'column_list', 'column', 'synced_block'];
+
+const headingLevels = { heading_1: 1, heading_2: 2, heading_3: 3 };
+
+/**
+ * Extracts the plain text of a block, used to match excluded sections by name.
+ * @param {Object} block - A block returned by Notion.
+ * @returns {string} The block's text, trimmed.
+ */
+function blockText(block) {
+  return (block[block.type]?.rich_text ?? []).map(text => text.plain_text).join('').trim();
+}
+
+/**
+ * Decides whether a block can and should be copied.
+ * @param {Object} block - A block returned by Notion.
+ * @param {Object} db - Settings of the database, for `excludeBlockTypes`.
+ * @returns {boolean} True if the block should be copied.
+ */
+function isCopyable(block, db) {
+  if (uncopyableTypes.includes(block.type) || db.excludeBlockTypes.includes(block.type)) return false;
+  if (mediaTypes.includes(block.type) && block[block.type].type !== 'external') {
+    console.warn(`Skipping uploaded ${block.type} block ${block.id}: files uploaded to Notion can't be copied through the API.`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Removes excluded and uncopyable blocks from a list of siblings. A toggle or heading whose text matches one of
+ * `excludeSections` is dropped with its children; a plain heading also drops the blocks after it, up to the next
+ * heading of the same or a higher level.
+ *
+ * @param {Array<Object>} blocks - Sibling blocks returned by Notion.
+ * @param {Object} db - Settings of the database, for `excludeBlockTypes` and `excludeSections`.
+ * @returns {Array<Object>} The blocks to copy.
+ */
+function filterBlocks(blocks, db) {
+  const excludedSections = db.excludeSections.map(section => section.toLowerCase());
+  const kept = [];
+  let skipUntilLevel = null;
+
+  for (const block of blocks) {
+    const level = headingLevels[block.type];
+    if (skipUntilLevel !== null) {
+      if (!level || level > skipUntilLevel) continue;
+      skipUntilLevel = null;
+    }
+
+    if ((block.type === 'toggle' || level) && excludedSections.includes(blockText(block).toLowerCase())) {
+      if (level && !block[block.type].is_toggleable) skipUntilLevel = level;
+      continue;
+    }
+
+    if (isCopyable(block, db)) kept.push(block);
+  }
+
+  return kept;
+}
+
+/**
+ * Fetches a block's children recursively, with excluded blocks removed.
+ * @param {string} blockId - The ID of the page or block whose children to fetch.
+ * @param {Object} db - Settings of the database.
+ * @returns {Promise<Array<Object>>} A tree of { block, children } nodes.
+ */
+async function fetchBlockTree(blockId, db) {
+  const blocks = filterBlocks(await notionBlockChildrenList(blockId), db);
+  const nodes = [];
+
+  for (const block of blocks) {
+    const isSyncedCopy = block.type === 'synced_block' && block.synced_block.synced_from;
+    const children = block.has_children && !isSyncedCopy ? await fetchBlockTree(block.id, db) : [];
+    nodes.push({ block, children });
+  }
+
+  return nodes;
+}
+
+/**
+ * Unchecks every to-do item in a tree of blocks.
+ * @param {Array<Object>} nodes - A tree of { block, children } nodes from `fetchBlockTree`.
+ * @returns {Array<Object>} A copy of the tree with its to-do items unchecked.
+ */
+function uncheckTodos(nodes) {
+  return nodes.map(({ block, children }) => ({
+    block: block.type === 'to_do' ? { ...block, to_do: { ...block.to_do, checked: false } } : block,
+    children: uncheckTodos(children)
+  }));
+}
+
+/**
+ * Builds the request body that re-creates a block. Children of the types in
+ * `inlineChildTypes` are included inline; all other children are appended separately once the block exists.
+ * @param {Object} node - A { block, children } node from `fetchBlockTree`.
+ * @returns {Object} A block object for `notionBlockChildrenAppend`.
+ */
+function blockPayload({ block, children }) {
+  const content = { ...block[block.type] };
+  if (block.type === 'synced_block' && content.synced_from) content.synced_from = { block_id: content.synced_from.block_id };
+  if (inlineChildTypes.includes(block.type) && children.length > 0) content.children = children.map(blockPayload);
+  return { object: 'block', type: block.type, [block.type]: content };
+}
+
+/**
+ * Goes through newly created blocks and appends the children that couldn't be sent along with them.
+ * @param {Array<Object>} createdBlocks - The blocks Notion created, in the same order as `nodes`.
+ * @param {Array<Object>} nodes - The source nodes the blocks were created from.
+ * @returns {Promise<void>}
+ */
+async function appendDeferredChildren(createdBlocks, nodes) {
+  for (const [index, node] of nodes.entries()) {
+    const created = createdBlocks[index];
+    if (!created || node.children.length === 0) continue;
+
+    if (inlineChildTypes.includes(node.block.type)) {
+      await appendDeferredChildren(await notionBlockChildrenList(created.id), node.children);
+    } else {
+      await appendBlockTree(created.id, node.children);
+    }
+  }
+}
+
+/**
+ * Appends a tree of blocks to a page or block, in batches of at most 100, then descends into their children.
+ * @param {string} parentId - The ID of the page or block to append to.
+ * @param {Array<Object>} nodes - A tree of { block, children } nodes from `fetchBlockTree`.
+ * @returns {Promise<void>}
+ */
+async function appendBlockTree(parentId, nodes) {
+  const created = [];
+
+  for (let start = 0; start < nodes.length; start += maxBlocksPerRequest) {
+    const batch = nodes.slice(start, start + maxBlocksPerRequest);
+    const response = await notionBlockChildrenAppend(parentId, batch.map(blockPayload));
+    created.push(...response.results.slice(-batch.length));
+  }
+
+  await appendDeferredChildren(created, nodes);
+}
+
+/**
+ * Counts the blocks in a tree.
+ * @param {Array<Object>} nodes - A tree of { block, children } nodes.
+ * @returns {number} The number of blocks, including nested ones.
+ */
+function countBlocks(nodes) {
+  return nodes.reduce((count, node) => count + 1 + countBlocks(node.children), 0);
+}
+
+/**
+ * Copies the body of a page (checklists, notes, nested blocks) onto another page. To-do items are reset to
+ * unchecked unless `resetTodos` is off, and block types or sections excluded in the database settings are left out.
+ * During a dry run the copy is recorded in the plan instead.
+ *
+ * @param {Object} task - The processed source task.
+ * @param {string} targetPageId - The ID of the page to copy the content to.
+ * @param {Object} db - Settings of the database, as listed in `config.databases`.
+ * @param {Object} [options] - `resetTodos`: false to keep to-do items checked, e.g. when archiving a copy.
+ * @returns {Promise<number>} A promise that resolves to the number of blocks copied.
+ */
+export async function copyPageContent(task, targetPageId, db, { resetTodos = true } = {}) {
+  const fetched = await fetchBlockTree(task.page_id, db);
+  if (fetched.length === 0) return 0;
+
+  const nodes = resetTodos ? uncheckTodos(fetched) : fetched;
+  const blockCount = countBlocks(nodes);
+  if (isDryRun()) {
+    recordChange({ action: 'copyContent', database: db.name, taskName: task.name, pageId: task.page_id, description: `copy ${blockCount} block(s) to the new page` });
+  } else {
+    await appendBlockTree(targetPageId, nodes);
+  }
+
+  return blockCount;
+}
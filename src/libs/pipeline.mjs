@@ -0,0 +1,325 @@
+import { archiveTasks, processTasks, setDateRecurring, createRecurringTasks, excludeFailedResults, reportUndatedTasks, isReadyToRecur, isCompletedTask } from './taskProcessors.mjs';
+import { createSummary, aggregateSummaries, errorHandler } from './helpers.mjs';
+import { notionDatabaseQuery, notionPageRetrieve } from './notion.mjs';
+import { resetReportedErrors, resolveErrorCards } from './errorCards.mjs';
+import { applyRetention } from './retention.mjs';
+import { beginRunReport, finishRunReport, publishRunReport, recordFailure, timeStep } from './report.mjs';
+import { isDryRun } from './plan.mjs';
+import { config, findDatabase } from './config.mjs';
+
+/**
+ * Statistics of `processDoneTasks` when there was nothing to process.
+ */
+const noDoneTasks = {
+  totalCompletedTasks: 0,
+  recurringTasksCompleted: 0,
+  archivedTasks: 0,
+  archiveFailures: 0,
+  recurringParseFailures: 0,
+  finishedSeries: 0
+}
+
+/**
+ * Statistics of `handleRecurringTasks` when there was nothing to recur.
+ */
+const noRecurringTasks = {
+  recurredTasks: 0,
+  resumedTasks: 0,
+  recurCreationFailures: 0,
+  archivedTasks: 0,
+  archiveFailures: 0,
+  skippedTasks: 0
+}
+
+/**
+ * Processes tasks marked as done by querying the Notion database. This involves setting dates for recurring tasks,
+ * archiving completed tasks, and collecting statistics about these processes.
+ *
+ * @param {Object} db - Settings of the database to process, as listed in `config.databases`.
+ * @param {Object} [doneTasks] - Completed pages already fetched, as { results }. Queried from the database when omitted.
+ * @returns {Promise<Object>} A promise that resolves to an object containing statistics about the processing, including totals for
+ * completed tasks, archived tasks, finished series, and any failures in parsing or archiving.
+ */
+async function processDoneTasks(db, doneTasks) {
+
+  let stats = { ...noDoneTasks }
+
+  try {
+
+  doneTasks ??= await notionDatabaseQuery(db.tasksDb, db.getDoneTasksFilter);
+
+  if (doneTasks.results.length === 0) {
+    console.log(`${db.name}: No completed tasks to process!`);
+    return stats
+  }
+
+    const processedTasks = processTasks(doneTasks, db);
+    const recurringTasks = processedTasks.filter(task => task.recurring || task.date_recurring);
+    const recurringResults = await setDateRecurring(recurringTasks, db);
+    const excludeRejectedList = excludeFailedResults(recurringResults)
+
+    let archiveStats = await archiveTasks(processedTasks, true, excludeRejectedList, db);
+
+    stats = {
+      totalCompletedTasks: processedTasks.length,
+      recurringTasksCompleted: recurringTasks.length, 
+      archivedTasks: archiveStats.archivedTasks, 
+      archiveFailures: archiveStats.failedToArchive, 
+      recurringParseFailures: excludeRejectedList.length,
+      finishedSeries: recurringResults.filter(result => result.value?.finished).length
+    }
+
+    return stats
+
+  } catch (error) {
+    errorHandler('Process completed tasks', error);
+  }
+}
+
+/**
+ * Handles tasks marked for recurrence by querying the Notion database for tasks in the recurring archive,
+ * creating new recurring tasks based on the original archived tasks, and archiving the original tasks if necessary.
+ * Also collects statistics about the handling of these recurring tasks.
+ *
+ * @param {Object} db - Settings of the database to process, as listed in `config.databases`.
+ * @param {Object} [recurringArchivedTasks] - Pages from the Recurring Archive already fetched, as { results }. Queried
+ * from the database when omitted.
+ * @returns {Promise<Object>} A promise that resolves to an object detailing the results of handling recurring tasks,
+ * including the counts of tasks recurred and any failures in creating new tasks or archiving.
+ */
+async function handleRecurringTasks(db, recurringArchivedTasks) {
+
+  let stats = { ...noRecurringTasks }
+
+  try {
+    recurringArchivedTasks ??= await notionDatabaseQuery(db.tasksDb, db.getRecurringArchivedTasksFilter)
+    
+    if (recurringArchivedTasks.results.length === 0) {
+      console.log(`${db.name}: No tasks in Recurring Archive!`);
+      return stats
+    }
+
+    const processedArchivedTasks = processTasks(recurringArchivedTasks, db);
+    const undatedTasks = processedArchivedTasks.filter(task => !task.date_recurring);
+    await reportUndatedTasks(undatedTasks, db);
+    stats.skippedTasks = undatedTasks.length;
+
+    const tasksToRecur = processedArchivedTasks.filter(task => task.date_recurring && isReadyToRecur(task, db));
+
+    if (tasksToRecur.length === 0) {
+      console.log(`${db.name}: No tasks to recur!`);
+      return stats
+    }
+
+    const creationResults = await createRecurringTasks(tasksToRecur, db);
+    const excludeRejectedList = excludeFailedResults(creationResults)
+    const archiveStats = await archiveTasks(tasksToRecur, false, excludeRejectedList, db);
+
+    stats = {
+      recurredTasks: tasksToRecur.length,
+      resumedTasks: creationResults.filter(result => result.value?.resumed).length,
+      recurCreationFailures: excludeRejectedList.length,
+      archivedTasks: archiveStats.archivedTasks,
+      archiveFailures: archiveStats.failedToArchive,
+      skippedTasks: undatedTasks.length
+    };
+
+    return stats
+
+  } catch (error) {
+    errorHandler('Handle recurring tasks', error);
+  }
+}
+
+/**
+ * Runs the full pipeline for one database: completed tasks first, then due recurring tasks, then the retention policy
+ * purges old archived tasks if one is configured. A failure is recorded in
+ * the returned summary and the run report instead of being thrown, so one misconfigured database doesn't stop the others.
+ *
+ * @param {Object} db - Settings of the database to process, as listed in `config.databases`.
+ * @returns {Promise<Object>} A promise that resolves to the database's summary, labelled with its name.
+ */
+async function processDatabase(db) {
+  try {
+    const processedTaskStats = await timeStep('processDoneTasks', db.name, () => processDoneTasks(db));
+    const tasksToRecurStats = await timeStep('handleRecurringTasks', db.name, () => handleRecurringTasks(db));
+    const retentionStats = await timeStep('applyRetention', db.name, () => applyRetention(db));
+    return { database: db.name, ...createSummary(processedTaskStats, tasksToRecurStats), ...retentionStats };
+  } catch (error) {
+    console.error(`${db.name}: processing failed`, error);
+    const hint = error.code === 'validation_error' || error.code === 'object_not_found' ? ' Run `npm run doctor` to check the database.' : '';
+    recordFailure({ database: db.name, code: 'DatabaseFailed', reason: `${error.message}${hint}` });
+    return { database: db.name, error: `${error.message}${hint}` };
+  }
+}
+
+/**
+ * Closes the error cards whose error didn't occur again during a full run. Databases sharing an error card database
+ * are resolved together, and only if all of them were processed: a database that failed reported no errors, so its
+ * cards would wrongly look fixed. Each database resolves its own cards with its own settings.
+ *
+ * @param {Array<Object>} summaries - The summary of each database, in the order of `config.databases`.
+ * @returns {Promise<number>} A promise that resolves to the number of cards closed.
+ */
+async function resolveRunErrorCards(summaries) {
+  const cardDatabases = new Map();
+  config.databases.forEach((db, index) => {
+    const group = cardDatabases.get(db.errorCardDb) ?? { databases: [], failed: false };
+    group.databases.push(db);
+    group.failed ||= Boolean(summaries[index].error);
+    cardDatabases.set(db.errorCardDb, group);
+  });
+
+  let resolved = 0;
+  for (const { databases, failed } of cardDatabases.values()) {
+    if (failed) continue;
+    for (const db of databases) resolved += await resolveErrorCards(db);
+  }
+  return resolved;
+}
+
+/**
+ * Runs a pipeline while keeping its run report, then publishes the report. Errors reported by earlier runs are
+ * forgotten first, so error cards are only kept open for errors that occur again.
+ * @param {string} trigger - What started the run, for the report.
+ * @param {Function} run - The async function running the pipeline and resolving to its summary.
+ * @returns {Promise<Object>} A promise that resolves to the summary.
+ */
+async function reportedRun(trigger, run) {
+  beginRunReport(trigger, isDryRun());
+  resetReportedErrors();
+  const summary = await timeStep('total', undefined, run);
+  await publishRunReport(finishRunReport(summary, hasFailures(summary)));
+  return summary;
+}
+
+
+/**
+ * Runs the pipeline for every configured database, one after another or in parallel. This is the core shared by the
+ * command line, the scheduler daemon and the serverless handler. Error cards whose error didn't occur again are closed
+ * at the end, and the run report is published once it finishes.
+ *
+ * @param {string} [trigger='manual'] - What started the run: "manual", "schedule" or "serverless".
+ * @returns {Promise<Object>} A promise that resolves to the `createSummary` result for a single database, or to
+ * { total, databases } with the aggregated and per-database summaries when several are configured. Either includes
+ * `resolvedErrorCards`, the number of error cards closed.
+ */
+export async function runPipeline(trigger = 'manual') {
+  return reportedRun(trigger, async () => {
+    const databaseSummaries = [];
+    if (config.parallelDatabases) {
+      databaseSummaries.push(...await Promise.all(config.databases.map(processDatabase)));
+    } else {
+      for (const db of config.databases) databaseSummaries.push(await processDatabase(db));
+    }
+    const resolvedErrorCards = await timeStep('resolveErrorCards', undefined, () => resolveRunErrorCards(databaseSummaries));
+    return config.databases.length === 1
+      ? { ...databaseSummaries[0], resolvedErrorCards }
+      : { total: { ...aggregateSummaries(databaseSummaries), resolvedErrorCards }, databases: databaseSummaries };
+  });
+}
+
+/**
+ * Applies the retention policy of every configured database without processing any task, so archived tasks can be
+ * purged, or listed during a dry run, on their own. The run report is published once it finishes.
+ *
+ * @param {string} [trigger='manual'] - What started the run, for the report.
+ * @returns {Promise<Object>} A promise that resolves to { total, databases }: the counts of `applyRetention` added up
+ * over the databases, and those of each database.
+ */
+export async function runRetention(trigger = 'manual') {
+  return reportedRun(trigger, async () => {
+    const databases = [];
+    for (const db of config.databases) {
+      databases.push({ database: db.name, ...await timeStep('applyRetention', db.name, () => applyRetention(db)) });
+    }
+    const counts = ['purgedTasks', 'keptForSeries', 'purgeFailures'];
+    const total = Object.fromEntries(counts.map(key => [key, databases.reduce((sum, summary) => sum + summary[key], 0)]));
+    return { total: { ...total, message: `Purged ${total.purgedTasks} archived task(s).` }, databases };
+  });
+}
+
+/**
+ * Runs the pipeline for one page, e.g. one a webhook reported as changed. A completed task gets its "Date Recurring"
+ * and is archived; a task that is then (or already was) in the Recurring Archive and due is recurred right away, so
+ * "0 days" recurrences work without waiting for the nightly run. Error cards about the page whose error didn't occur
+ * again are closed.
+ *
+ * @param {string} pageId - The ID of the page.
+ * @returns {Promise<Object>} A promise that resolves to the page's summary: { pageId, database, ...createSummary },
+ * { pageId, skipped } with the reason nothing was done, or { pageId, error } if processing failed.
+ */
+async function processPage(pageId) {
+  let page;
+  try {
+    page = await notionPageRetrieve(pageId);
+  } catch (error) {
+    if (error.code !== 'object_not_found') {
+      recordFailure({ pageId, code: 'PageFailed', reason: error.message });
+      return { pageId, error: error.message };
+    }
+    return { pageId, skipped: "Page not found, or the integration hasn't been added to its database." };
+  }
+
+  const db = findDatabase(page.parent?.database_id);
+  if (!db) return { pageId, skipped: "Page isn't in any of the configured task databases." };
+
+  try {
+    const [task] = processTasks({ results: [page] }, db);
+    const completed = isCompletedTask(task, db);
+    if (!completed && task.status !== db.statuses.recurringArchive) {
+      return { pageId, database: db.name, skipped: `"${task.name}" is neither completed nor in "${db.statuses.recurringArchive}".` };
+    }
+
+    const processedTaskStats = completed ? await processDoneTasks(db, { results: [page] }) : noDoneTasks;
+    const current = completed ? await notionPageRetrieve(pageId) : page;
+    const [currentTask] = processTasks({ results: [current] }, db);
+    const tasksToRecurStats = currentTask.status === db.statuses.recurringArchive
+      ? await handleRecurringTasks(db, { results: [current] })
+      : noRecurringTasks;
+    const resolvedErrorCards = await resolveErrorCards(db, [pageId]);
+    return { pageId, database: db.name, ...createSummary(processedTaskStats, tasksToRecurStats), resolvedErrorCards };
+  } catch (error) {
+    console.error(`${db.name}: processing page ${pageId} failed`, error);
+    recordFailure({ database: db.name, pageId, code: 'PageFailed', reason: error.message });
+    return { pageId, database: db.name, error: error.message };
+  }
+}
+
+/**
+ * Runs the pipeline for the given pages only, one after another, instead of sweeping every database. Used by the
+ * webhook listener; anything it misses is still caught by the next full run. The run report is published once it finishes.
+ *
+ * @param {Array<string>} pageIds - The IDs of the pages to process.
+ * @param {string} [trigger='webhook'] - What started the run, for the report.
+ * @returns {Promise<Object>} A promise that resolves to { total, pages }: the counts of `createSummary` added up over
+ * the pages, with `pages`, `skippedPages` and `failedPages`, and the summary of each page.
+ */
+export async function runPagePipeline(pageIds, trigger = 'webhook') {
+  return reportedRun(trigger, async () => {
+    const pages = [];
+    for (const pageId of pageIds) pages.push(await processPage(pageId));
+
+    const processed = pages.filter(page => !page.skipped);
+    const { databases, failedDatabases, message, ...counts } = aggregateSummaries(processed);
+    const failedPages = processed.filter(page => page.error).length;
+    const total = {
+      ...counts,
+      pages: pages.length,
+      skippedPages: pages.length - processed.length,
+      failedPages,
+      message: `Processed ${processed.length - failedPages} of ${pages.length} pages.`
+    };
+    return { total, pages };
+  });
+}
+
+/**
+ * Checks whether a pipeline summary reports any failure.
+ * @param {Object} summary - A summary returned by `runPipeline`, `runPagePipeline` or `runRetention`.
+ * @returns {boolean} True if a database or page failed or any task couldn't be parsed, recurred, archived or purged.
+ */
+export function hasFailures(summary) {
+  const totals = summary.total ?? summary;
+  return Boolean(summary.error || totals.failedDatabases || totals.failedPages || totals.recurringParseFailures || totals.recurCreationFailures || totals.archiveFailures || totals.purgeFailures);
+}
@@ -0,0 +1,147 @@
+import { notionPageUpdate, notionPageCreate, notionPageTrash } from "./notion.mjs";
+import { recordAction } from "./report.mjs";
+
+/**
+ * Whether the current run is a dry run. When true, writes are recorded as planned changes instead of being sent to Notion.
+ */
+let dryRun = false;
+
+/**
+ * Changes recorded during a dry run, in the order they would have been made.
+ */
+const plannedChanges = [];
+
+/**
+ * Headings used when printing the plan, keyed by the change's action.
+ */
+const actionHeadings = {
+  setStatus: "Set Status",
+  setDateRecurring: "Set Date Recurring",
+  createRecurring: "Create recurring tasks",
+  copyContent: "Copy page content",
+  cloneRelated: "Clone sub-items and owned pages",
+  createErrorCard: "File error cards",
+  updateErrorCard: "Update error cards",
+  resolveErrorCard: "Resolve error cards",
+  copyToArchive: "Copy to the archive database",
+  exportTask: "Export to file",
+  purgeTask: "Move to trash"
+};
+
+/**
+ * Turns dry-run mode on or off and forgets the changes planned so far, so a long-lived process starts every run
+ * with an empty plan.
+ * @param {boolean} enabled - True to record changes instead of writing them to Notion.
+ */
+export function setDryRun(enabled) {
+  dryRun = enabled;
+  plannedChanges.length = 0;
+}
+
+/**
+ * @returns {boolean} True if the current run is a dry run.
+ */
+export function isDryRun() {
+  return dryRun;
+}
+
+/**
+ * @returns {Array<Object>} The changes recorded so far during a dry run.
+ */
+export function getPlannedChanges() {
+  return plannedChanges;
+}
+
+/**
+ * Updates a page in Notion, or records the update as a planned change during a dry run. Either way the change is
+ * added to the run report.
+ *
+ * @param {string} pageId - The ID of the Notion page to update.
+ * @param {Object} properties - An object containing Notion properties to update on the page.
+ * @param {Object} change - Describes the change for the plan: `action`, `database`, `taskName` and a human-readable `description`.
+ * @returns {Promise<Object|null>} The Notion response, or null during a dry run.
+ */
+export async function pageUpdate(pageId, properties, change) {
+  if (!dryRun) {
+    const response = await notionPageUpdate(pageId, properties);
+    recordAction({ ...change, pageId });
+    return response;
+  }
+  plannedChanges.push({ ...change, pageId, properties });
+  recordAction({ ...change, pageId });
+  return null;
+}
+
+/**
+ * Creates a page in Notion, or records the creation as a planned change during a dry run. Either way the change is
+ * added to the run report.
+ *
+ * @param {string} databaseId - The ID of the Notion database where the new page will be created.
+ * @param {Object} properties - An object containing properties to set for the new page in the database.
+ * @param {Object} change - Describes the change for the plan: `action`, `database`, `taskName`, `description` and optionally the source `pageId`.
+ * @returns {Promise<Object>} The Notion response, or a placeholder page with a `dry-run-` ID during a dry run.
+ */
+export async function pageCreate(databaseId, properties, change) {
+  if (!dryRun) {
+    const response = await notionPageCreate(databaseId, properties);
+    recordAction({ ...change, newPageId: response.id });
+    return response;
+  }
+  const id = `dry-run-${plannedChanges.length + 1}`;
+  plannedChanges.push({ ...change, databaseId, newPageId: id, properties });
+  recordAction({ ...change, newPageId: id });
+  return { id, properties };
+}
+
+/**
+ * Moves a page to Notion's trash, or records it as a planned change during a dry run. Either way the change is added
+ * to the run report.
+ *
+ * @param {string} pageId - The ID of the Notion page to trash.
+ * @param {Object} change - Describes the change for the plan: `action`, `database`, `taskName` and a human-readable `description`.
+ * @returns {Promise<Object|null>} The Notion response, or null during a dry run.
+ */
+export async function pageTrash(pageId, change) {
+  if (!dryRun) {
+    const response = await notionPageTrash(pageId);
+    recordAction({ ...change, pageId });
+    return response;
+  }
+  plannedChanges.push({ ...change, pageId });
+  recordAction({ ...change, pageId });
+  return null;
+}
+
+/**
+ * Records a change that doesn't map to a single page update or creation, such as copying a page's content.
+ * Only used during a dry run.
+ * @param {Object} change - Describes the change for the plan: `action`, `database`, `taskName`, `description` and optionally the `pageId`.
+ */
+export function recordChange(change) {
+  plannedChanges.push(change);
+  recordAction(change);
+}
+
+/**
+ * Formats the recorded changes as a readable plan grouped by action.
+ * @returns {string} The plan as multi-line text.
+ */
+export function formatPlan() {
+  if (plannedChanges.length === 0) return "Dry run: no changes would be made.";
+
+  const lines = [`Dry run: ${plannedChanges.length} change(s) would be made. Nothing was written to Notion.`];
+  const showDatabase = new Set(plannedChanges.map(change => change.database)).size > 1;
+
+  for (const [action, heading] of Object.entries(actionHeadings)) {
+    const changes = plannedChanges.filter(change => change.action === action);
+    if (changes.length === 0) continue;
+    lines.push("", `${heading} (${changes.length})`);
+    changes.forEach(change => {
+      const target = change.pageId ? ` [${change.pageId}]` : "";
+      const database = showDatabase ? `${change.database}: ` : "";
+      lines.push(`  - ${database}"${change.taskName ?? "Untitled"}"${target}: ${change.description}`);
+    });
+  }
+
+  return lines.join("\n");
+}
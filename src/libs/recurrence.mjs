@@ -0,0 +1,537 @@
+
+import { add, addDays, addMonths, startOfDay, startOfWeek, startOfMonth, startOfYear, getDaysInMonth, isAfter, parseISO, isValid, differenceInCalendarDays, differenceInCalendarMonths, differenceInCalendarYears } from 'date-fns';
+
+/**
+ * Units accepted in interval-based recurrences, mapped to the date-fns duration key they add to.
+ * A fortnight is expressed as two weeks.
+ */
+const unitMapping = {
+  day: ['days', 1], days: ['days', 1],
+  week: ['weeks', 1], weeks: ['weeks', 1],
+  fortnight: ['weeks', 2], fortnights: ['weeks', 2],
+  month: ['months', 1], months: ['months', 1],
+  year: ['years', 1], years: ['years', 1]
+};
+
+/**
+ * Single-word shorthands for common intervals.
+ */
+const keywordIntervals = {
+  daily: { days: 1 },
+  weekly: { weeks: 1 },
+  fortnightly: { weeks: 2 },
+  biweekly: { weeks: 2 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  yearly: { years: 1 },
+  annually: { years: 1 }
+};
+
+/**
+ * Weekday names and abbreviations mapped to their RFC 5545 codes.
+ */
+const weekdayNames = {
+  sunday: 'SU', sun: 'SU', su: 'SU',
+  monday: 'MO', mon: 'MO', mo: 'MO',
+  tuesday: 'TU', tue: 'TU', tues: 'TU', tu: 'TU',
+  wednesday: 'WE', wed: 'WE', we: 'WE',
+  thursday: 'TH', thu: 'TH', thur: 'TH', thurs: 'TH', th: 'TH',
+  friday: 'FR', fri: 'FR', fr: 'FR',
+  saturday: 'SA', sat: 'SA', sa: 'SA'
+};
+
+/**
+ * RFC 5545 weekday codes in the order used by `Date.prototype.getDay`.
+ */
+const weekdayCodes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const ordinalWords = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, last: -1 };
+
+const frequencyUnits = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' };
+
+/**
+ * Upper bound on the number of periods scanned when looking for the next calendar occurrence, so that a rule
+ * which can never match (e.g. the 31st of February) fails instead of looping forever.
+ */
+const maxPeriodsScanned = 1000;
+
+/**
+ * The lead time and end conditions of a rule that has none: it surfaces on its date and recurs forever.
+ */
+const noEndConditions = { leadTime: null, count: null, until: null };
+
+/**
+ * Builds a failed parse result.
+ * @param {string} code - A short machine-readable error code.
+ * @param {string} message - A human-readable explanation of what was wrong, suitable for an error card.
+ * @param {string} input - The original recurrence string.
+ * @returns {Object} An object with a null `rule` and an `error` describing the problem.
+ */
+function parseError(code, message, input) {
+  return { rule: null, error: { code, message, input } };
+}
+
+/**
+ * Parses a number written as digits, or "a"/"an"/"other" as used in "a week" and "every other week".
+ * @param {string} value - The token to parse.
+ * @returns {number|null} The parsed number or null if the token isn't a number.
+ */
+function parseAmount(value) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === 'a' || value === 'an' || value === 'one') return 1;
+  if (value === 'other') return 2;
+  return null;
+}
+
+/**
+ * Parses an ordinal such as "2nd", "third" or "last".
+ * @param {string} value - The token to parse.
+ * @returns {number|null} The ordinal, -1 for "last", or null if the token isn't an ordinal.
+ */
+function parseOrdinal(value) {
+  if (value in ordinalWords) return ordinalWords[value];
+  const match = value.match(/^(\d+)(st|nd|rd|th)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Parses a list of weekdays such as "mon,thu", "monday and friday" or "weekday".
+ * @param {string} text - The weekday list.
+ * @returns {Array<string>|null} RFC 5545 weekday codes, or null if any entry isn't a weekday.
+ */
+function parseWeekdayList(text) {
+  if (/^(week ?days?)$/.test(text)) return ['MO', 'TU', 'WE', 'TH', 'FR'];
+  if (/^(week ?ends?)$/.test(text)) return ['SA', 'SU'];
+  const names = text.split(/\s*(?:,|\/|&|\band\b|\s)\s*/).filter(Boolean);
+  if (names.length === 0) return null;
+  const codes = names.map(name => weekdayNames[name.replace(/s$/, '')] ?? weekdayNames[name]);
+  return codes.every(Boolean) ? [...new Set(codes)] : null;
+}
+
+/**
+ * Parses a calendar anchor — the part of a recurrence naming which day it lands on — into RRULE-style constraints.
+ * Supports weekday lists ("mon,thu"), ordinal weekdays ("2nd tuesday", "last friday"), days of the month ("the 1st",
+ * "15th") and end-of-month rules ("end of month", "last day").
+ *
+ * @param {string} text - The anchor text, lowercased.
+ * @returns {Object|null} An object with `freq` and either `byDay` or `byMonthDay`, or null if the text isn't an anchor.
+ */
+function parseAnchor(text) {
+  const anchor = text.replace(/^(on |the )+/, '').replace(/ of (the |each |every )?month$/, '');
+
+  if (/^(end of (the )?month|last day( of (the )?month)?|month end)$/.test(text.replace(/^(on |the )+/, ''))) {
+    return { freq: 'MONTHLY', byMonthDay: [-1], byDay: [] };
+  }
+
+  const weekdays = parseWeekdayList(anchor);
+  if (weekdays) return { freq: 'WEEKLY', byDay: weekdays.map(day => ({ day, ordinal: null })), byMonthDay: [] };
+
+  const ordinalWeekday = anchor.match(/^(\S+) (\S+)$/);
+  if (ordinalWeekday) {
+    const ordinal = parseOrdinal(ordinalWeekday[1]);
+    const day = weekdayNames[ordinalWeekday[2]];
+    if (ordinal !== null && day) return { freq: 'MONTHLY', byDay: [{ day, ordinal }], byMonthDay: [] };
+  }
+
+  const monthDay = parseOrdinal(anchor) ?? (/^\d+$/.test(anchor) ? parseInt(anchor, 10) : null);
+  if (monthDay !== null) return { freq: 'MONTHLY', byMonthDay: [monthDay], byDay: [] };
+
+  return null;
+}
+
+/**
+ * Validates the ordinals and month days of a calendar rule.
+ * @param {Object} rule - The calendar rule to check.
+ * @returns {string|null} A message describing the first invalid value, or null if the rule is valid.
+ */
+function validateCalendarRule(rule) {
+  for (const { ordinal } of rule.byDay) {
+    if (ordinal !== null && (ordinal === 0 || ordinal > 5 || ordinal < -5)) {
+      return `"${ordinal}" is not a valid week of the month. Use 1st to 5th or "last".`;
+    }
+  }
+  for (const day of rule.byMonthDay) {
+    if (day === 0 || day > 31 || day < -31) return `"${day}" is not a valid day of the month. Use 1 to 31 or "last day".`;
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) return `The interval must be a whole number of at least 1.`;
+  return null;
+}
+
+/**
+ * Parses one or more "<amount> <unit>" segments ("1 week 3 days", "2 months, 1 week") into a duration, or a single
+ * ranged segment ("1-2 weeks", "3 to 5 days") into a minimum and maximum duration.
+ *
+ * @param {string} text - The interval text, lowercased.
+ * @param {string} input - The original recurrence string, used in error messages.
+ * @returns {Object} A parse result with a completion-based rule or an error.
+ */
+function parseInterval(text, input) {
+  const range = text.match(/^(\d+)\s*(?:-|to)\s*(\d+)\s+([a-z]+)$/);
+  if (range) {
+    const unit = unitMapping[range[3]];
+    if (!unit) return parseError('UnknownUnit', `"${range[3]}" is not a recognised unit. Use days, weeks, months or years.`, input);
+    const [key, multiplier] = unit;
+    const min = parseInt(range[1], 10) * multiplier;
+    const max = parseInt(range[2], 10) * multiplier;
+    if (min > max) return parseError('InvalidRange', `The range "${range[1]}-${range[2]}" starts after it ends.`, input);
+    return { rule: { mode: 'completion', interval: { [key]: min }, maxInterval: { [key]: max }, source: input, ...noEndConditions }, error: null };
+  }
+
+  const segments = text.split(/\s*(?:,|\band\b|\bthen\b|\+)\s*|\s+(?=\d|\ba\b|\ban\b)/).filter(Boolean);
+  const interval = {};
+
+  for (const segment of segments) {
+    const match = segment.match(/^(\d+)\s*([a-z]+)$/) ?? segment.match(/^(?:(\S+)\s+)?([a-z]+)$/);
+    if (!match) return parseError('Unrecognized', `Couldn't understand "${segment}". Expected something like "1 week", "2 months 3 days" or "every mon,thu".`, input);
+
+    const amount = match[1] === undefined ? 1 : parseAmount(match[1]);
+    if (amount === null) return parseError('InvalidNumber', `"${match[1]}" is not a whole number.`, input);
+
+    const unit = unitMapping[match[2]];
+    if (!unit) return parseError('UnknownUnit', `"${match[2]}" is not a recognised unit. Use days, weeks, fortnights, months or years.`, input);
+
+    const [key, multiplier] = unit;
+    interval[key] = (interval[key] ?? 0) + amount * multiplier;
+  }
+
+  return { rule: { mode: 'completion', interval, maxInterval: null, source: input, ...noEndConditions }, error: null };
+}
+
+/**
+ * Parses an RFC 5545 recurrence rule, optionally preceded by a DTSTART line, e.g.
+ * "DTSTART:20240105\nRRULE:FREQ=MONTHLY;BYDAY=1FR" or "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH".
+ * Supports FREQ, INTERVAL, BYDAY, BYMONTHDAY, BYMONTH, COUNT, UNTIL and WKST.
+ *
+ * @param {string} input - The original recurrence string.
+ * @returns {Object} A parse result with a calendar-based rule or an error.
+ */
+function parseRRule(input) {
+  const rule = { mode: 'calendar', freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], dtstart: null, source: input, ...noEndConditions };
+  const lines = input.trim().split(/\s*[\r\n]+\s*/);
+
+  for (const line of lines) {
+    const dtstart = line.match(/^DTSTART(?:;[^:]*)?:(\d{8})(T\d{6}Z?)?$/i);
+    if (dtstart) {
+      const date = parseISO(dtstart[1]);
+      if (!isValid(date)) return parseError('InvalidRRule', `DTSTART "${dtstart[1]}" is not a valid date.`, input);
+      rule.dtstart = date;
+      continue;
+    }
+
+    const parts = line.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+    for (const part of parts) {
+      const [key, value = ''] = part.toUpperCase().split('=');
+      switch (key) {
+        case 'FREQ':
+          if (!frequencyUnits[value]) return parseError('InvalidRRule', `FREQ=${value} is not supported. Use DAILY, WEEKLY, MONTHLY or YEARLY.`, input);
+          rule.freq = value;
+          break;
+        case 'INTERVAL':
+          rule.interval = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+          break;
+        case 'BYDAY':
+          for (const entry of value.split(',')) {
+            const match = entry.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+            if (!match) return parseError('InvalidRRule', `BYDAY value "${entry}" is not a valid weekday.`, input);
+            rule.byDay.push({ day: match[2], ordinal: match[1] ? parseInt(match[1], 10) : null });
+          }
+          break;
+        case 'BYMONTHDAY':
+          rule.byMonthDay = value.split(',').map(day => parseInt(day, 10));
+          if (rule.byMonthDay.some(Number.isNaN)) return parseError('InvalidRRule', `BYMONTHDAY=${value} must be a list of numbers.`, input);
+          break;
+        case 'BYMONTH':
+          rule.byMonth = value.split(',').map(month => parseInt(month, 10));
+          if (rule.byMonth.some(month => !(month >= 1 && month <= 12))) return parseError('InvalidRRule', `BYMONTH=${value} must list months from 1 to 12.`, input);
+          break;
+        case 'COUNT':
+          rule.count = /^\d+$/.test(value) ? parseInt(value, 10) : 0;
+          if (rule.count < 1) return parseError('InvalidRRule', `COUNT=${value} must be a whole number of at least 1.`, input);
+          break;
+        case 'UNTIL':
+          rule.until = parseISO(value.slice(0, 8));
+          if (!/^\d{8}(T\d{6}Z?)?$/.test(value) || !isValid(rule.until)) return parseError('InvalidRRule', `UNTIL=${value} is not a valid date.`, input);
+          break;
+        case 'WKST':
+          break;
+        default:
+          return parseError('InvalidRRule', `The RRULE part "${key}" is not supported.`, input);
+      }
+    }
+  }
+
+  if (!rule.freq) return parseError('InvalidRRule', `The RRULE is missing FREQ.`, input);
+  const invalid = validateCalendarRule(rule);
+  if (invalid) return parseError('InvalidRRule', invalid, input);
+  return { rule, error: null };
+}
+
+/**
+ * Parses the end conditions and lead time that can follow a recurrence, separated by commas: "3 days early",
+ * "5 times" and "until 2027-06-01", in any order.
+ *
+ * @param {string} text - The normalised recurrence text.
+ * @param {string} input - The original recurrence string, used in error messages.
+ * @returns {Object} An object with the remaining `text` and the parsed `conditions`, or an `error`.
+ */
+function parseEndConditions(text, input) {
+  const conditions = { ...noEndConditions };
+  let remaining = text;
+
+  for (;;) {
+    const leadTime = remaining.match(/^(.+?),? (\S+) ([a-z]+) (?:early|ahead|in advance|before(?: due| it'?s due)?)$/);
+    const count = remaining.match(/^(.+?),? (?:for )?(\S+) times$/);
+    const until = remaining.match(/^(.+?),? (?:until|till|ending( on)?) (\S+)$/);
+
+    if (leadTime) {
+      const amount = parseAmount(leadTime[2]);
+      if (amount === null) return parseError('InvalidNumber', `"${leadTime[2]}" is not a whole number.`, input);
+      const [unit, multiplier] = unitMapping[leadTime[3]] ?? [];
+      if (unit !== 'days' && unit !== 'weeks') return parseError('UnknownUnit', `A lead time of "${leadTime[2]} ${leadTime[3]}" isn't supported. Give the lead time in days or weeks.`, input);
+      conditions.leadTime = { [unit]: amount * multiplier };
+      remaining = leadTime[1];
+    } else if (count) {
+      const amount = parseAmount(count[2]);
+      if (amount === null || amount < 1) return parseError('InvalidNumber', `"${count[2]} times" needs a whole number of at least 1.`, input);
+      conditions.count = amount;
+      remaining = count[1];
+    } else if (until) {
+      const date = parseISO(until[3]);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(until[3]) || !isValid(date)) return parseError('InvalidEndDate', `"${until[3]}" is not a valid date. Write the end date as YYYY-MM-DD, e.g. "until 2027-06-01".`, input);
+      conditions.until = date;
+      remaining = until[1];
+    } else {
+      return { text: remaining, conditions };
+    }
+  }
+}
+
+/**
+ * Parses the value of a task's "Recurring" property into a structured recurrence rule.
+ *
+ * Two modes are supported:
+ * - **completion**: the next date is an interval after the task was completed, e.g. "1 week", "1 week 3 days",
+ *   "fortnight", "every other month" or the range "1-2 weeks" (which recurs once the shorter interval has passed).
+ * - **calendar**: the next date is the first date on a fixed schedule after the task was completed, e.g.
+ *   "every weekday", "every Mon,Thu", "2nd Tuesday", "next Saturday after completion", "end of month",
+ *   "every 1 month on the 1st", "every 2 weeks on Friday", "monthly on the 31st" or an RFC 5545 RRULE string.
+ *
+ * Either can be followed by a lead time ("1 month, 3 days early") and end conditions ("5 times", "until 2027-06-01"),
+ * which are returned as the rule's `leadTime`, `count` and `until`. RRULE strings use COUNT and UNTIL instead.
+ *
+ * @param {string} input - The recurrence string entered by the user.
+ * @returns {Object} An object with either a `rule` or an `error` ({ code, message, input }) explaining what was wrong.
+ */
+export function parseRecurrence(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    return parseError('EmptyRecurrence', 'The "Recurring" property is empty.', input ?? '');
+  }
+
+  if (/^\s*(RRULE:|FREQ=|DTSTART)/i.test(input)) return parseRRule(input);
+
+  const normalized = input.trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!]$/, '');
+  const { text, conditions, error } = parseEndConditions(normalized, input);
+  if (error) return { rule: null, error };
+
+  const result = parseSchedule(text, input);
+  if (result.rule) Object.assign(result.rule, conditions);
+  return result;
+}
+
+/**
+ * Parses the schedule part of a recurrence, without its lead time and end conditions.
+ * @param {string} schedule - The normalised schedule text.
+ * @param {string} input - The original recurrence string, used in error messages.
+ * @returns {Object} A parse result with a rule or an error.
+ */
+function parseSchedule(schedule, input) {
+  const text = schedule
+    .replace(/^(every|each|recur|repeat)( every)? /, '')
+    .replace(/ after (completion|completed|done)$/, '')
+    .replace(/^next /, '');
+
+  if (keywordIntervals[text]) {
+    return { rule: { mode: 'completion', interval: { ...keywordIntervals[text] }, maxInterval: null, source: input, ...noEndConditions }, error: null };
+  }
+
+  const adverb = text.match(/^([a-z]+) on (.+)$/);
+  const [[adverbUnit, adverbAmount] = []] = Object.entries(keywordIntervals[adverb?.[1]] ?? {});
+  const scheduled = (adverbUnit ? `${adverbAmount} ${adverbUnit} on ${adverb[2]}` : text).match(/^(?:(\S+) )?([a-z]+?)s? on (.+)$/);
+  if (scheduled) {
+    const amount = scheduled[1] === undefined ? 1 : parseAmount(scheduled[1]);
+    if (amount === null) return parseError('InvalidNumber', `"${scheduled[1]}" is not a whole number.`, input);
+    const [unit, multiplier] = unitMapping[scheduled[2]] ?? [];
+    if (!unit || unit === 'days') return parseError('UnknownUnit', `"${scheduled[2]}" can't be combined with "on". Use weeks, months or years.`, input);
+
+    const anchor = parseAnchor(scheduled[3]);
+    if (!anchor) return parseError('UnknownAnchor', `Couldn't understand "on ${scheduled[3]}". Expected a weekday, "the 1st", "2nd tuesday" or "last day".`, input);
+
+    const freq = { weeks: 'WEEKLY', months: 'MONTHLY', years: 'YEARLY' }[unit];
+    if (anchor.freq === 'MONTHLY' && freq === 'WEEKLY') {
+      return parseError('UnknownAnchor', `"on ${scheduled[3]}" needs a monthly or yearly interval, not weeks.`, input);
+    }
+
+    const rule = { mode: 'calendar', freq, interval: amount * multiplier, byDay: anchor.byDay, byMonthDay: anchor.byMonthDay, byMonth: [], dtstart: null, source: input, ...noEndConditions };
+    const invalid = validateCalendarRule(rule);
+    return invalid ? parseError('InvalidAnchor', invalid, input) : { rule, error: null };
+  }
+
+  const anchor = /\d|^(a|an|other) /.test(text) && !/^(\d+(st|nd|rd|th)|the )/.test(text) ? null : parseAnchor(text);
+  if (anchor) {
+    const rule = { mode: 'calendar', interval: 1, byMonth: [], dtstart: null, source: input, ...noEndConditions, ...anchor };
+    const invalid = validateCalendarRule(rule);
+    return invalid ? parseError('InvalidAnchor', invalid, input) : { rule, error: null };
+  }
+
+  return parseInterval(text, input);
+}
+
+/**
+ * Lists the dates within one month that match the day constraints of a calendar rule.
+ * @param {Date} monthStart - The first day of the month.
+ * @param {Object} rule - The calendar rule.
+ * @param {Date} reference - The date whose day of month is used when the rule has no day constraints.
+ * @returns {Array<Date>} The matching dates in that month.
+ */
+function monthCandidates(monthStart, rule, reference) {
+  const daysInMonth = getDaysInMonth(monthStart);
+  const days = new Set();
+
+  for (const day of rule.byMonthDay) {
+    const dayOfMonth = day > 0 ? day : daysInMonth + day + 1;
+    if (dayOfMonth >= 1 && dayOfMonth <= daysInMonth) days.add(dayOfMonth);
+  }
+
+  for (const { day, ordinal } of rule.byDay) {
+    const matches = [];
+    for (let dayOfMonth = 1; dayOfMonth <= daysInMonth; dayOfMonth++) {
+      if (weekdayCodes[addDays(monthStart, dayOfMonth - 1).getDay()] === day) matches.push(dayOfMonth);
+    }
+    if (ordinal === null) matches.forEach(match => days.add(match));
+    else {
+      const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (match) days.add(match);
+    }
+  }
+
+  if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+    const dayOfMonth = reference.getDate();
+    if (dayOfMonth <= daysInMonth) days.add(dayOfMonth);
+  }
+
+  return [...days].sort((a, b) => a - b).map(dayOfMonth => addDays(monthStart, dayOfMonth - 1));
+}
+
+/**
+ * Lists the dates within one period (day, week, month or year) that match a calendar rule.
+ * @param {Date} periodStart - The first day of the period.
+ * @param {Object} rule - The calendar rule.
+ * @param {Date} reference - The date used for defaults when the rule has no day constraints.
+ * @returns {Array<Date>} The matching dates in that period, in order.
+ */
+function periodCandidates(periodStart, rule, reference) {
+  let candidates;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      candidates = [periodStart];
+      break;
+    case 'WEEKLY': {
+      const days = rule.byDay.length > 0 ? rule.byDay.map(({ day }) => day) : [weekdayCodes[reference.getDay()]];
+      candidates = Array.from({ length: 7 }, (_, offset) => addDays(periodStart, offset))
+        .filter(date => days.includes(weekdayCodes[date.getDay()]));
+      break;
+    }
+    case 'MONTHLY':
+      candidates = monthCandidates(periodStart, rule, reference);
+      break;
+    case 'YEARLY': {
+      const months = rule.byMonth.length > 0 ? rule.byMonth : [reference.getMonth() + 1];
+      candidates = months.sort((a, b) => a - b).flatMap(month => monthCandidates(addMonths(periodStart, month - 1), rule, reference));
+      break;
+    }
+  }
+
+  return candidates.filter(date =>
+    (rule.byMonth.length === 0 || rule.byMonth.includes(date.getMonth() + 1)) &&
+    (rule.freq !== 'DAILY' || rule.byDay.length === 0 || rule.byDay.some(({ day }) => day === weekdayCodes[date.getDay()]))
+  );
+}
+
+/**
+ * Returns the first day of the period containing a date.
+ * @param {Date} date - Any date.
+ * @param {string} freq - The rule frequency.
+ * @returns {Date} The start of the day, Monday-based week, month or year containing the date.
+ */
+function periodStartOf(date, freq) {
+  if (freq === 'WEEKLY') return startOfWeek(date, { weekStartsOn: 1 });
+  if (freq === 'MONTHLY') return startOfMonth(date);
+  if (freq === 'YEARLY') return startOfYear(date);
+  return startOfDay(date);
+}
+
+/**
+ * Counts the whole periods between the starts of two periods.
+ * @param {Date} from - The start of the earlier period.
+ * @param {Date} to - The start of the later period.
+ * @param {string} freq - The rule frequency.
+ * @returns {number} The number of days, weeks, months or years from one to the other.
+ */
+function periodsBetween(from, to, freq) {
+  if (freq === 'WEEKLY') return Math.round(differenceInCalendarDays(to, from) / 7);
+  if (freq === 'MONTHLY') return differenceInCalendarMonths(to, from);
+  if (freq === 'YEARLY') return differenceInCalendarYears(to, from);
+  return differenceInCalendarDays(to, from);
+}
+
+/**
+ * Finds the first occurrence of a calendar rule strictly after a date. Periods are counted from the rule's DTSTART
+ * when it has one, otherwise from the period containing the date itself. The scan starts at the interval containing
+ * the date, so a DTSTART years in the past doesn't use up `maxPeriodsScanned` before reaching it.
+ * @param {Object} rule - A calendar rule.
+ * @param {Date} after - The date after which to search.
+ * @returns {Date|null} The next occurrence, or null if the rule never matches.
+ */
+function nextCalendarOccurrence(rule, after) {
+  const anchor = rule.dtstart ?? after;
+  const firstPeriod = periodStartOf(anchor, rule.freq);
+  const unit = frequencyUnits[rule.freq];
+  const elapsed = Math.max(0, periodsBetween(firstPeriod, periodStartOf(after, rule.freq), rule.freq));
+  const firstIndex = Math.floor(elapsed / rule.interval);
+
+  for (let index = firstIndex; index < firstIndex + maxPeriodsScanned; index++) {
+    const periodStart = add(firstPeriod, { [unit]: index * rule.interval });
+    const next = periodCandidates(periodStart, rule, anchor)
+      .find(date => isAfter(date, after) && !(rule.dtstart && date < rule.dtstart));
+    if (next) return next;
+  }
+
+  return null;
+}
+
+/**
+ * Calculates the next recurrence date for a parsed rule.
+ * @param {Object} rule - A rule returned by `parseRecurrence`.
+ * @param {Date} completedDate - The date the task was completed.
+ * @returns {Date|null} The date the task should recur on, or null if a calendar rule can never match.
+ */
+export function nextRecurrenceDate(rule, completedDate) {
+  const completedDay = startOfDay(completedDate);
+  if (rule.mode === 'completion') return add(completedDay, rule.interval);
+  return nextCalendarOccurrence(rule, completedDay);
+}
+
+
+/**
+ * Decides whether a recurring series has ended: either its last occurrence has been completed, or the next date falls
+ * after its end date.
+ * @param {Object} rule - A rule returned by `parseRecurrence`.
+ * @param {Date} nextDate - The next recurrence date, as returned by `nextRecurrenceDate`.
+ * @param {number} occurrence - Which occurrence of the series was just completed, starting at 1.
+ * @returns {boolean} True if the task shouldn't recur again.
+ */
+export function isSeriesFinished(rule, nextDate, occurrence) {
+  if (rule.count !== null && occurrence >= rule.count) return true;
+  return rule.until !== null && isAfter(startOfDay(nextDate), rule.until);
+}
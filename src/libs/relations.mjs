@@ -0,0 +1,139 @@
+import { pageCreate, pageUpdate } from './plan.mjs';
+import { notionPageRetrieve } from './notion.mjs';
+import { copyPageContent } from './pageContent.mjs';
+import { buildStatusProperty, compactId, readOnlyPropertyTypes } from './helpers.mjs';
+import { findDatabase } from './config.mjs';
+
+/**
+ * Lists the relation properties of a database whose pages belong to the task, such as Notion's "Sub-item": they are
+ * cloned along with the task when it recurs. Every other relation is shared and keeps pointing at the same pages.
+ * @param {Object} db - Settings of the database, as listed in `config.databases`.
+ * @returns {Array<string>} The names of the owned relation properties.
+ */
+export function ownedRelations(db) {
+  return Object.keys(db.relations).filter(name => db.relations[name] === 'owned');
+}
+
+/**
+ * Reads the title of a page.
+ * @param {Object} page - The page returned by Notion.
+ * @returns {string} The plain text of its title property.
+ */
+function pageTitle(page) {
+  const title = Object.values(page.properties).find(value => value.type === 'title');
+  return (title?.title ?? []).map(text => text.plain_text ?? text.text?.content ?? '').join('');
+}
+
+/**
+ * Clones the pages an owned relation of a page points at, and points the relation of the page's clone at the copies.
+ * @param {Object} value - The relation property value of the original page.
+ * @param {string} name - The name of the relation property.
+ * @param {string} cloneId - The ID of the original page's clone.
+ * @param {string} cloneName - The title of the clone, for the plan.
+ * @param {Object} db - Settings of the database the original page belongs to.
+ * @param {Map<string, string>} clones - IDs of the pages cloned so far, keyed by the compact ID of the original.
+ * @returns {Promise<void>} A promise that resolves once the related pages are cloned and linked.
+ * @throws {Error} If the relation lists more pages than Notion returns with a page.
+ */
+async function cloneRelation(value, name, cloneId, cloneName, db, clones) {
+  if (value.has_more) {
+    throw new Error(`"${name}" points at more than ${value.relation.length} pages, and Notion only lists that many with a page. Split them up before the task recurs.`);
+  }
+
+  const ids = [];
+  for (const { id } of value.relation) {
+    const related = await clonePage(id, db, clones);
+    if (related) ids.push(related);
+  }
+  await pageUpdate(cloneId, { [name]: { relation: ids.map(id => ({ id })) } }, {
+    action: 'cloneRelated',
+    database: db.name,
+    taskName: cloneName,
+    pageId: cloneId,
+    description: `${name} → ${ids.length} page(s)`
+  });
+}
+
+/**
+ * Clones one page of a task tree into its own database, then clones its own owned relations. Relations pointing at
+ * pages already cloned, e.g. the "Parent item" of a sub-item, are pointed at their copies. In a configured database
+ * the copy gets the new recurring status, its page content is copied and the original is archived; pages that recur
+ * on their own are left alone and stay related.
+ *
+ * @param {string} pageId - The ID of the page to clone.
+ * @param {Object} ownerDb - Settings of the database of the page the relation belongs to, for the plan.
+ * @param {Map<string, string>} clones - IDs of the pages cloned so far, keyed by the compact ID of the original.
+ * @returns {Promise<string|null>} A promise that resolves to the ID of the page to relate to: the clone, the original
+ * if it recurs on its own, or null if it is in the trash.
+ */
+async function clonePage(pageId, ownerDb, clones) {
+  if (clones.has(compactId(pageId))) return clones.get(compactId(pageId));
+
+  const page = await notionPageRetrieve(pageId);
+  if (page.in_trash || page.archived) return null;
+  const db = findDatabase(page.parent?.database_id);
+  const status = db && page.properties[db.properties.status]?.[db.statusProperty]?.name;
+  if (db && (page.properties[db.properties.recurring]?.rich_text?.length > 0 || status === db.statuses.recurringArchive)) return pageId;
+
+  const owned = db ? ownedRelations(db) : [];
+  const properties = {};
+  for (const [name, value] of Object.entries(page.properties)) {
+    if (readOnlyPropertyTypes.includes(value.type) || owned.includes(name)) continue;
+    properties[name] = value.type === 'relation'
+      ? { relation: value.relation.map(({ id }) => ({ id: clones.get(compactId(id)) ?? id })) }
+      : value;
+  }
+  if (db) {
+    db.propertiesToExclude.forEach(name => delete properties[name]);
+    Object.assign(properties, buildStatusProperty(db.recurTaskStatus, db));
+    if (db.completionCheckbox) properties[db.completionCheckbox] = { checkbox: false };
+  }
+
+  const name = pageTitle(page);
+  const clone = await pageCreate(page.parent.database_id, properties, {
+    action: 'cloneRelated',
+    database: (db ?? ownerDb).name,
+    taskName: name,
+    pageId,
+    description: `new page "${name}"${db ? ` with Status → ${db.recurTaskStatus}` : ''}`
+  });
+  clones.set(compactId(pageId), clone.id);
+  if (!db) return clone.id;
+
+  if (db.copyContent) await copyPageContent({ page_id: pageId, name }, clone.id, db);
+  for (const relation of owned) {
+    const value = page.properties[relation];
+    if (value?.relation?.length > 0) await cloneRelation(value, relation, clone.id, name, db, clones);
+  }
+
+  if (status !== db.statuses.archive) {
+    await pageUpdate(pageId, buildStatusProperty(db.statuses.archive, db), { action: 'setStatus', database: db.name, taskName: name, description: `Status → ${db.statuses.archive} (recurred with its parent)` });
+  }
+  return clone.id;
+}
+
+/**
+ * Clones the task tree of a recurring task onto its new occurrence: the pages its owned relations point at, such as
+ * sub-items, are recreated with reset statuses, their relations back to the task and to each other are pointed at the
+ * copies, and the originals are archived along with the task. Shared relations are copied with the task as they are.
+ *
+ * When resuming an interrupted recurrence, relations the new task already has pages in are taken as cloned.
+ *
+ * @param {Object} task - The processed task being recurred.
+ * @param {string} newPageId - The ID of the task's new occurrence.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @param {Object} [options] - `resumed`: true if the new occurrence was created by an earlier run.
+ * @returns {Promise<number>} A promise that resolves to the number of pages cloned.
+ * @throws {Error} If a page can't be read or created; pages cloned until then are kept.
+ */
+export async function cloneOwnedRelations(task, newPageId, db, { resumed = false } = {}) {
+  let owned = ownedRelations(db).filter(name => task.properties[name]?.relation?.length > 0);
+  if (resumed && owned.length > 0) {
+    const existing = await notionPageRetrieve(newPageId);
+    owned = owned.filter(name => !(existing.properties[name]?.relation?.length > 0));
+  }
+
+  const clones = new Map([[compactId(task.page_id), newPageId]]);
+  for (const name of owned) await cloneRelation(task.properties[name], name, newPageId, task.name, db, clones);
+  return clones.size - 1;
+}
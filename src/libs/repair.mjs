@@ -0,0 +1,76 @@
+import { notionDatabaseQuery } from './notion.mjs';
+import { processTasks, archiveTasks } from './taskProcessors.mjs';
+import { unfinishedSpawns } from './journal.mjs';
+import { seriesName } from './templates.mjs';
+
+/**
+ * Finishes occurrences that an interrupted run left half-done: the new page was created but the original never
+ * left the Recurring Archive. Originals still in the Recurring Archive are archived; occurrences whose creation was
+ * never confirmed are reported, and the next run either adopts the page it finds or creates it.
+ *
+ * @param {Object} db - Settings of the database, as listed in `config.databases`.
+ * @returns {Promise<Object>} A promise that resolves to { resumed, pending } lists of journal entries.
+ */
+export async function resumeUnfinishedSpawns(db) {
+  const entries = unfinishedSpawns(db.name);
+  if (entries.length === 0) return { resumed: [], pending: [] };
+
+  const recurringArchive = processTasks(await notionDatabaseQuery(db.tasksDb, db.getRecurringArchivedTasksFilter), db);
+  const created = entries.filter(entry => entry.status === 'created');
+  const tasksToArchive = recurringArchive.filter(task =>
+    created.some(entry => entry.sourcePageId === task.page_id && entry.occurrence === task.date_recurring));
+
+  await archiveTasks(tasksToArchive, false, [], db);
+
+  return {
+    resumed: created.filter(entry => tasksToArchive.some(task => task.page_id === entry.sourcePageId)),
+    pending: entries.filter(entry => entry.status === 'creating')
+  };
+}
+
+/**
+ * Finds recurring tasks that exist more than once outside the archive: active pages sharing the same series name
+ * (the template of their title, if it has one) and "Recurring" value, which is what a re-created recurrence looks like.
+ *
+ * @param {Object} db - Settings of the database, as listed in `config.databases`.
+ * @returns {Promise<Array<Object>>} A promise that resolves to groups of { name, recurring, tasks }, oldest task first.
+ */
+export async function findDuplicateTasks(db) {
+  const activeTasks = processTasks(await notionDatabaseQuery(db.tasksDb, db.getActiveTasksFilter), db);
+  const groups = new Map();
+
+  for (const task of activeTasks.filter(task => task.recurring)) {
+    const key = `${seriesName(task, db)}\u0000${task.recurring}`;
+    groups.set(key, [...(groups.get(key) ?? []), task]);
+  }
+
+  return [...groups.values()]
+    .filter(tasks => tasks.length > 1)
+    .map(tasks => ({
+      name: tasks[0].name,
+      recurring: tasks[0].recurring,
+      tasks: tasks.sort((a, b) => (a.created_time ?? '').localeCompare(b.created_time ?? ''))
+    }));
+}
+
+/**
+ * Formats the results of a resume or repair as readable text.
+ * @param {Array<Object>} results - One entry per database: { database, resumed, pending, duplicates }.
+ * @returns {string} The report as multi-line text.
+ */
+export function formatRepairReport(results) {
+  const lines = [];
+
+  for (const { database, resumed, pending, duplicates } of results) {
+    lines.push(`${database}:`);
+    resumed.forEach(entry => lines.push(`  resumed: "${entry.name}" was already recurred as ${entry.newPageId}; archived the original ${entry.sourcePageId}.`));
+    pending.forEach(entry => lines.push(`  pending: "${entry.name}" (${entry.sourcePageId}) was being recurred when a run stopped; the next run will finish it.`));
+    duplicates?.forEach(group => {
+      lines.push(`  duplicate: "${group.name}" (${group.recurring}) exists ${group.tasks.length} times:`);
+      group.tasks.forEach(task => lines.push(`    - ${task.page_id} created ${task.created_time ?? 'unknown'}`));
+    });
+    if (resumed.length + pending.length + (duplicates?.length ?? 0) === 0) lines.push("  nothing to repair.");
+  }
+
+  return lines.join("\n");
+}
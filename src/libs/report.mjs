@@ -0,0 +1,237 @@
+import { appendFileSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { notionPageCreate, notionDatabaseRetrieve, notionBlockChildrenAppend } from './notion.mjs';
+import { sendNotifications } from './notifiers.mjs';
+import { config } from './config.mjs';
+
+/**
+ * The report of the run in progress, or null outside a run. Commands acting on a single task aren't reported.
+ */
+let current = null;
+
+/**
+ * Notion accepts at most this many blocks per request.
+ */
+const maxBlocksPerRequest = 100;
+
+/**
+ * At most this many actions are listed in a Run Log entry; the JSON lines always have all of them.
+ */
+const maxRunLogActions = 200;
+
+/**
+ * Starts the report of a new run, replacing any previous one.
+ * @param {string} trigger - What started the run: "manual", "schedule", "webhook" or "serverless".
+ * @param {boolean} dryRun - True if the run only plans its changes.
+ */
+export function beginRunReport(trigger, dryRun) {
+  current = {
+    runId: randomUUID(),
+    trigger,
+    dryRun,
+    startedAt: new Date().toISOString(),
+    actions: [],
+    failures: [],
+    timings: []
+  };
+}
+
+/**
+ * Records a change made to a task, or planned during a dry run.
+ * @param {Object} change - The change as passed to `pageUpdate` or `pageCreate`: `action`, `database`, `taskName`,
+ * `description` and the `pageId` or `newPageId` it concerns.
+ */
+export function recordAction({ action, database, taskName, pageId, newPageId, description }) {
+  current?.actions.push({ at: new Date().toISOString(), action, database, taskName, pageId, newPageId, description });
+}
+
+/**
+ * Records a task or database that couldn't be processed.
+ * @param {Object} failure - `database`, `code` (e.g. "InvalidRecurring") and `reason`, plus `pageId` and `taskName`
+ * when a single task failed.
+ */
+export function recordFailure({ database, pageId, taskName, code, reason }) {
+  current?.failures.push({ at: new Date().toISOString(), database, pageId, taskName, code, reason });
+}
+
+/**
+ * Times one step of the run.
+ * @param {string} step - What the step does, e.g. "processDoneTasks".
+ * @param {string} [database] - The name of the database the step works on.
+ * @param {Function} run - The async function doing the step.
+ * @returns {Promise<*>} A promise that resolves to whatever `run` resolves to.
+ */
+export async function timeStep(step, database, run) {
+  const started = Date.now();
+  try {
+    return await run();
+  } finally {
+    current?.timings.push({ step, database, durationMs: Date.now() - started });
+  }
+}
+
+/**
+ * Completes the report of the current run.
+ * @param {Object} summary - The summary the run produced.
+ * @param {boolean} failed - True if the run reported any failure.
+ * @returns {Object|null} The report: { runId, trigger, dryRun, startedAt, finishedAt, durationMs, failed, summary,
+ * actions, failures, timings }, or null if no run was started.
+ */
+export function finishRunReport(summary, failed) {
+  if (!current) return null;
+  const finishedAt = new Date();
+  const report = { ...current, finishedAt: finishedAt.toISOString(), durationMs: finishedAt - Date.parse(current.startedAt), failed, summary };
+  current = null;
+  return report;
+}
+
+/**
+ * Converts a report into JSON lines: one `run_started` event, one `action` or `failure` event per entry, in the order
+ * they happened, and a closing `run_finished` event with the summary and timings.
+ * @param {Object} report - A report returned by `finishRunReport`.
+ * @returns {string} The events, one JSON object per line, ending with a newline.
+ */
+export function formatJsonLines(report) {
+  const { runId, trigger, dryRun, startedAt, finishedAt, durationMs, failed, summary, timings } = report;
+  const entries = [
+    ...report.actions.map(action => ({ type: 'action', ...action })),
+    ...report.failures.map(failure => ({ type: 'failure', ...failure }))
+  ].sort((a, b) => a.at.localeCompare(b.at));
+
+  const events = [
+    { type: 'run_started', runId, at: startedAt, trigger, dryRun },
+    ...entries.map(({ at, ...entry }) => ({ type: entry.type, runId, at, ...entry })),
+    { type: 'run_finished', runId, at: finishedAt, durationMs, failed, summary, timings }
+  ];
+  return events.map(event => JSON.stringify(event)).join("\n") + "\n";
+}
+
+/**
+ * Describes the outcome of a run in one line, e.g. for a notification title.
+ * @param {Object} report - A report returned by `finishRunReport`.
+ * @returns {string} The headline.
+ */
+export function reportHeadline(report) {
+  const problems = report.failures.length > 0 ? ` (${report.failures.length} problem(s))` : "";
+  const outcome = report.failed ? `failed${problems}` : "completed";
+  return `Recurring tasks: ${report.dryRun ? "dry run " : ""}${outcome}, ${report.actions.length} change(s)`;
+}
+
+/**
+ * Formats a report as readable text: the headline, the summary counts, every failure with its reason, every action
+ * and the time each step took.
+ * @param {Object} report - A report returned by `finishRunReport`.
+ * @returns {string} The report as multi-line text.
+ */
+export function formatRunReport(report) {
+  const totals = report.summary?.total ?? report.summary ?? {};
+  const lines = [reportHeadline(report), `Run ${report.runId} (${report.trigger}) at ${report.startedAt}, took ${(report.durationMs / 1000).toFixed(1)}s.`];
+  if (totals.message) lines.push(totals.message);
+  if (report.summary?.error) lines.push(`Error: ${report.summary.error}`);
+
+  if (report.failures.length > 0) {
+    lines.push("", "Failures:");
+    report.failures.forEach(failure => lines.push(`  - ${failure.database ?? ""}${failure.taskName ? ` "${failure.taskName}"` : ""} [${failure.code}]: ${failure.reason}`));
+  }
+  if (report.actions.length > 0) {
+    lines.push("", "Changes:");
+    report.actions.forEach(action => lines.push(`  - ${action.database}: "${action.taskName ?? "Untitled"}": ${action.description}`));
+  }
+  if (report.timings.length > 0) {
+    lines.push("", "Timings:");
+    report.timings.forEach(timing => lines.push(`  - ${timing.database ? `${timing.database}: ` : ""}${timing.step} ${timing.durationMs}ms`));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Builds a text block.
+ * @param {string} type - The block type, e.g. "paragraph" or "bulleted_list_item".
+ * @param {string} content - The text, cut to Notion's limit of 2000 characters.
+ * @returns {Object} A Notion block.
+ */
+function textBlock(type, content) {
+  return { object: 'block', type, [type]: { rich_text: [{ type: 'text', text: { content: content.slice(0, 2000) } }] } };
+}
+
+/**
+ * Builds the blocks of a Run Log entry: the summary, the failures and the changes.
+ * @param {Object} report - A report returned by `finishRunReport`.
+ * @returns {Array<Object>} The Notion blocks.
+ */
+function runLogBlocks(report) {
+  const [, ...introLines] = formatRunReport({ ...report, failures: [], actions: [], timings: [] }).split("\n");
+  const blocks = [textBlock('paragraph', introLines.join("\n"))];
+
+  if (report.failures.length > 0) {
+    blocks.push(textBlock('heading_3', "Failures"));
+    report.failures.forEach(failure => blocks.push(textBlock('bulleted_list_item', `${failure.taskName ? `"${failure.taskName}" ` : ""}[${failure.code}]: ${failure.reason}`)));
+  }
+  if (report.actions.length > 0) {
+    blocks.push(textBlock('heading_3', "Changes"));
+    report.actions.slice(0, maxRunLogActions).forEach(action => blocks.push(textBlock('bulleted_list_item', `"${action.taskName ?? "Untitled"}": ${action.description}`)));
+    if (report.actions.length > maxRunLogActions) blocks.push(textBlock('paragraph', `…and ${report.actions.length - maxRunLogActions} more.`));
+  }
+  return blocks;
+}
+
+/**
+ * Appends blocks to a page or block, in batches Notion accepts.
+ * @param {string} blockId - The ID of the page or block.
+ * @param {Array<Object>} blocks - The blocks to append.
+ */
+async function appendBlocks(blockId, blocks) {
+  for (let start = 0; start < blocks.length; start += maxBlocksPerRequest) {
+    await notionBlockChildrenAppend(blockId, blocks.slice(start, start + maxBlocksPerRequest));
+  }
+}
+
+/**
+ * Adds a report to the Run Log in Notion: a new page in the Run Log database, titled with the headline, or a new
+ * section at the end of the Run Log page.
+ * @param {Object} report - A report returned by `finishRunReport`.
+ * @returns {Promise<void>} A promise that resolves once the entry has been written.
+ */
+async function writeRunLog(report) {
+  const { runLogDatabase, runLogPage } = config.runReport;
+  const title = `${report.startedAt.slice(0, 16).replace('T', ' ')} ${reportHeadline(report)}`;
+
+  if (runLogDatabase) {
+    const { properties } = await notionDatabaseRetrieve(runLogDatabase);
+    const titleProperty = Object.keys(properties).find(name => properties[name].type === 'title');
+    const page = await notionPageCreate(runLogDatabase, { [titleProperty]: { title: [{ text: { content: title } }] } });
+    await appendBlocks(page.id, runLogBlocks(report));
+  }
+  if (runLogPage) {
+    await appendBlocks(runLogPage, [textBlock(report.failed ? 'heading_2' : 'heading_3', title), ...runLogBlocks(report)]);
+  }
+}
+
+/**
+ * Publishes a report: appends it as JSON lines to `config.runReport.file`, adds it to the Run Log in Notion and sends
+ * it to the configured notifiers. During a dry run only the JSON lines are written. Problems publishing the report
+ * are logged but never fail the run.
+ * @param {Object|null} report - A report returned by `finishRunReport`.
+ * @returns {Promise<void>} A promise that resolves once the report has been published everywhere.
+ */
+export async function publishRunReport(report) {
+  if (!report) return;
+  const { file, runLogDatabase, runLogPage } = config.runReport;
+
+  try {
+    if (file === '-') process.stdout.write(formatJsonLines(report));
+    else if (file) appendFileSync(file, formatJsonLines(report));
+  } catch (error) {
+    console.error(`Failed to write the run report to ${file}`, error);
+  }
+  if (report.dryRun) return;
+
+  if (runLogDatabase || runLogPage) {
+    try {
+      await writeRunLog(report);
+    } catch (error) {
+      console.error("Failed to write the Run Log to Notion", error);
+    }
+  }
+  await sendNotifications(report, formatRunReport(report));
+}
@@ -0,0 +1,336 @@
+import { appendFileSync, existsSync, readFileSync } from 'fs';
+import { notionDatabaseQuery, notionDatabaseRetrieve } from './notion.mjs';
+import { pageCreate, pageTrash, isDryRun, recordChange } from './plan.mjs';
+import { recordAction, recordFailure } from './report.mjs';
+import { copyPageContent } from './pageContent.mjs';
+import { processTasks } from './taskProcessors.mjs';
+import { groupBySeries } from './series.mjs';
+import { readOnlyPropertyTypes } from './helpers.mjs';
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+/**
+ * Columns every CSV export starts with, before the page's own properties.
+ */
+const pageColumns = ['database', 'id', 'url', 'created_time', 'last_edited_time'];
+
+/**
+ * Picks the archived tasks to purge from those old enough, keeping the most recent tasks of every recurring series.
+ * A series is recognised the way `groupBySeries` does; its tasks are ranked by completion date, or by creation time
+ * when they have none.
+ *
+ * @param {Array<Object>} candidates - Processed tasks that have been in the archive long enough to be purged.
+ * @param {Array<Object>} seriesTasks - Every processed task of a recurring series in the archive, old or not.
+ * @param {number} keepPerSeries - How many of the most recent tasks of each series to keep.
+ * @returns {Object} { purge, kept }: the candidates to purge and those kept for their series.
+ */
+export function selectTasksToPurge(candidates, seriesTasks, keepPerSeries) {
+  if (keepPerSeries <= 0) return { purge: candidates, kept: [] };
+
+  const recency = task => task.date_completed ?? task.created_time ?? '';
+  const protectedIds = new Set(groupBySeries(seriesTasks).flatMap(({ tasks }) => [...tasks]
+    .sort((a, b) => recency(b).localeCompare(recency(a)))
+    .slice(0, keepPerSeries)
+    .map(task => task.page_id)));
+
+  return {
+    purge: candidates.filter(task => !protectedIds.has(task.page_id)),
+    kept: candidates.filter(task => protectedIds.has(task.page_id))
+  };
+}
+
+/**
+ * Converts a property value returned by Notion to plain text, for CSV exports.
+ * @param {Object} value - The property value, e.g. { type: "select", select: { name: "Home" } }.
+ * @returns {string} The value as text; empty if it has none.
+ */
+export function propertyText(value) {
+  const content = value?.[value?.type];
+  if (content === null || content === undefined) return '';
+
+  switch (value.type) {
+    case 'title':
+    case 'rich_text':
+      return content.map(text => text.plain_text ?? text.text?.content ?? '').join('');
+    case 'select':
+    case 'status':
+      return content.name ?? '';
+    case 'multi_select':
+      return content.map(option => option.name).join(', ');
+    case 'date':
+      return content.end ? `${content.start}/${content.end}` : content.start ?? '';
+    case 'people':
+      return content.map(person => person.name ?? person.id).join(', ');
+    case 'relation':
+      return content.map(page => page.id).join(', ');
+    case 'files':
+      return content.map(file => file.name).join(', ');
+    case 'created_by':
+    case 'last_edited_by':
+      return content.name ?? content.id ?? '';
+    case 'unique_id':
+      return content.number === null ? '' : `${content.prefix ? `${content.prefix}-` : ''}${content.number}`;
+    case 'formula':
+      return propertyText(content);
+    case 'rollup':
+      return content.type === 'array' ? content.array.map(propertyText).join(', ') : propertyText(content);
+    default:
+      return typeof content === 'object' ? JSON.stringify(content) : String(content);
+  }
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, a quote or a line break.
+ * @param {string} text - The field.
+ * @returns {string} The field as written to the file.
+ */
+function csvField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Splits one line of CSV into its fields.
+ * @param {string} line - The line, without its line break.
+ * @returns {Array<string>} The fields, unquoted.
+ */
+export function parseCsvLine(line) {
+  const fields = [];
+  const pattern = /("(?:[^"]|"")*"|[^,]*)(,|$)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    const [, field, separator] = match;
+    fields.push(field.startsWith('"') ? field.slice(1, -1).replace(/""/g, '"') : field);
+    if (separator === '') break;
+  }
+  return fields;
+}
+
+/**
+ * Formats pages as CSV rows. A new file gets a header with the page columns and every property of the pages; rows
+ * added to an existing file follow its header, so properties it doesn't have are left out.
+ * @param {Array<Object>} pages - The pages returned by Notion.
+ * @param {string} database - The name of the database they belong to.
+ * @param {Array<string>|null} header - The columns of the existing file, or null for a new file.
+ * @returns {string} The header when the file is new, and one line per page, each ending with a line break.
+ */
+export function formatCsvRows(pages, database, header) {
+  const columns = header ?? [...pageColumns, ...new Set(pages.flatMap(page => Object.keys(page.properties)))];
+  const rows = pages.map(page => columns.map(column => {
+    if (column === 'database') return database;
+    if (pageColumns.includes(column)) return page[column] ?? '';
+    return propertyText(page.properties[column]);
+  }));
+  return [...(header ? [] : [columns]), ...rows].map(row => row.map(csvField).join(',') + "\n").join('');
+}
+
+/**
+ * Splits the text of a CSV file into its records, keeping line breaks inside quoted fields.
+ * @param {string} text - The file's text.
+ * @returns {Array<string>} The records, without their line breaks.
+ */
+export function splitCsvRecords(text) {
+  const records = [];
+  let record = null;
+  for (const line of text.split("\n")) {
+    record = record === null ? line : `${record}\n${line}`;
+    if ((record.match(/"/g) ?? []).length % 2 === 0) {
+      records.push(record.replace(/\r$/, ''));
+      record = null;
+    }
+  }
+  return records.filter(Boolean);
+}
+
+/**
+ * Appends pages to an export file: CSV if its name ends in .csv, otherwise one JSON object per line holding the page
+ * and its properties exactly as Notion returned them. Pages the file already holds are left out, so a task whose
+ * export succeeded but whose trashing failed isn't exported again by the next run.
+ * @param {Array<Object>} pages - The pages returned by Notion.
+ * @param {Object} db - Settings of the database they belong to.
+ */
+function exportPages(pages, db) {
+  const { exportFile } = db.retention;
+  const existing = existsSync(exportFile) ? readFileSync(exportFile, 'utf8') : '';
+
+  if (/\.csv$/i.test(exportFile)) {
+    const [headerRecord, ...records] = splitCsvRecords(existing);
+    const header = headerRecord ? parseCsvLine(headerRecord) : null;
+    const exported = new Set(records.map(record => parseCsvLine(record)[header.indexOf('id')]));
+    const fresh = pages.filter(page => !exported.has(page.id));
+    if (fresh.length > 0) appendFileSync(exportFile, formatCsvRows(fresh, db.name, header));
+    return;
+  }
+
+  const exported = new Set(existing.split("\n").filter(Boolean).map(line => {
+    try {
+      return JSON.parse(line).id;
+    } catch {
+      return null;
+    }
+  }));
+  const exportedAt = new Date().toISOString();
+  const lines = pages.filter(page => !exported.has(page.id)).map(({ id, url, created_time, last_edited_time, properties }) =>
+    JSON.stringify({ database: db.name, id, url, created_time, last_edited_time, exported_at: exportedAt, properties }));
+  if (lines.length > 0) appendFileSync(exportFile, lines.join("\n") + "\n");
+}
+
+/**
+ * Converts a property value returned by Notion into one that can be written to another database.
+ * @param {Object} value - The property value.
+ * @returns {*} The writable content of the value.
+ */
+function writableContent(value) {
+  const content = value[value.type];
+  switch (value.type) {
+    case 'select':
+    case 'status':
+      return content && { name: content.name };
+    case 'multi_select':
+      return content.map(option => ({ name: option.name }));
+    case 'people':
+    case 'relation':
+      return content.map(({ id }) => ({ id }));
+    case 'files':
+      // Files uploaded to Notion come back as expiring URLs; only linked files can be written again.
+      return content.filter(file => file.type === 'external').map(({ name, external }) => ({ name, type: 'external', external }));
+    default:
+      return content;
+  }
+}
+
+/**
+ * Builds the properties of a page's copy in the archive database. A property is copied when the archive database has
+ * one with the same name and type; the title is copied whatever the title property is called there.
+ * @param {Object} page - The page returned by Notion.
+ * @param {Object} schema - The archive database returned by `notionDatabaseRetrieve`.
+ * @returns {Object} The properties for `pageCreate`.
+ */
+function archiveProperties(page, schema) {
+  const titleProperty = Object.keys(schema.properties).find(name => schema.properties[name].type === 'title');
+  const properties = {};
+
+  for (const [name, value] of Object.entries(page.properties)) {
+    if (readOnlyPropertyTypes.includes(value.type)) continue;
+    const target = value.type === 'title' ? titleProperty : name;
+    if (schema.properties[target]?.type !== value.type) continue;
+    properties[target] = { [value.type]: writableContent(value) };
+  }
+  return properties;
+}
+
+/**
+ * Copies a task with its page body to the archive database. If the body can't be copied, the incomplete copy is
+ * trashed again so the next run can start over.
+ * @param {Object} task - The processed task.
+ * @param {Object} page - The page returned by Notion.
+ * @param {Object} schema - The archive database returned by `notionDatabaseRetrieve`.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {Promise<void>} A promise that resolves once the copy is complete.
+ */
+async function copyToArchive(task, page, schema, db) {
+  const copy = await pageCreate(db.retention.database, archiveProperties(page, schema), {
+    action: 'copyToArchive', database: db.name, taskName: task.name, pageId: task.page_id, description: `copy to archive database ${db.retention.database}`
+  });
+  try {
+    await copyPageContent(task, copy.id, { ...db, excludeBlockTypes: [], excludeSections: [] }, { resetTodos: false });
+  } catch (error) {
+    if (!isDryRun()) await pageTrash(copy.id, { action: 'purgeTask', database: db.name, taskName: task.name, description: "incomplete archive copy" }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Builds the filter matching tasks that have been in the archive status since the cutoff.
+ * @param {Object} db - Settings of the database.
+ * @param {Date} cutoff - Tasks whose page was last edited at or before this time are old enough.
+ * @returns {Object} A Notion database query filter.
+ */
+function expiredTasksFilter(db, cutoff) {
+  return {
+    and: [
+      { property: db.properties.status, [db.statusProperty]: { equals: db.statuses.archive } },
+      { timestamp: 'last_edited_time', last_edited_time: { on_or_before: cutoff.toISOString() } }
+    ]
+  };
+}
+
+/**
+ * Builds the filter matching the tasks of recurring series in the archive status, however old.
+ * @param {Object} db - Settings of the database.
+ * @returns {Object} A Notion database query filter.
+ */
+function archivedSeriesFilter(db) {
+  const { recurring, seriesId } = db.properties;
+  const recurringTask = [{ property: recurring, rich_text: { is_not_empty: true } }];
+  if (seriesId) recurringTask.push({ property: seriesId, rich_text: { is_not_empty: true } });
+  return {
+    and: [
+      { property: db.properties.status, [db.statusProperty]: { equals: db.statuses.archive } },
+      { or: recurringTask }
+    ]
+  };
+}
+
+/**
+ * Purges the tasks that have been in the archive status for longer than `db.retention.afterDays`: moves them to the
+ * trash, after copying them to the archive database or exporting them to a file first when configured to. The most
+ * recent `keepPerSeries` tasks of every recurring series are kept. A task is only trashed once its copy or export
+ * succeeded; one left in place because trashing failed is purged by a later run without being exported twice. The age
+ * of a task is measured from its page's last edited time. During a dry run nothing is written and the purge is listed
+ * in the plan instead.
+ *
+ * @param {Object} db - Settings of the database, as listed in `config.databases`.
+ * @param {Date} [now=new Date()] - The current time, which the age of tasks is measured from.
+ * @returns {Promise<Object>} A promise that resolves to { purgedTasks, keptForSeries, purgeFailures }. Failures are
+ * added to the run report rather than thrown.
+ */
+export async function applyRetention(db, now = new Date()) {
+  const { afterDays, action, keepPerSeries, exportFile } = db.retention;
+  const stats = { purgedTasks: 0, keptForSeries: 0, purgeFailures: 0 };
+  if (afterDays === null) return stats;
+
+  try {
+    const expired = await notionDatabaseQuery(db.tasksDb, expiredTasksFilter(db, new Date(now - afterDays * dayMs)));
+    if (expired.results.length === 0) return stats;
+
+    const seriesTasks = keepPerSeries > 0 ? processTasks(await notionDatabaseQuery(db.tasksDb, archivedSeriesFilter(db)), db) : [];
+    const { purge, kept } = selectTasksToPurge(processTasks(expired, db), seriesTasks, keepPerSeries);
+    stats.keptForSeries = kept.length;
+    if (purge.length === 0) return stats;
+
+    const pages = new Map(expired.results.map(page => [page.id, page]));
+    const schema = action === 'move' ? await notionDatabaseRetrieve(db.retention.database) : null;
+    if (action === 'export') {
+      const change = { action: 'exportTask', database: db.name, taskName: `${purge.length} task(s)`, description: `append to ${exportFile}` };
+      if (isDryRun()) recordChange(change);
+      else {
+        exportPages(purge.map(task => pages.get(task.page_id)), db);
+        recordAction(change);
+      }
+    }
+
+    const results = await Promise.allSettled(purge.map(async task => {
+      const page = pages.get(task.page_id);
+      if (action === 'move') await copyToArchive(task, page, schema, db);
+      const days = Math.floor((now - Date.parse(page.last_edited_time)) / dayMs);
+      await pageTrash(task.page_id, { action: 'purgeTask', database: db.name, taskName: task.name, description: `untouched in "${db.statuses.archive}" for ${days} days` });
+    }));
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        stats.purgedTasks++;
+        return;
+      }
+      const task = purge[index];
+      console.error(`${db.name}: failed to purge ${task.page_id}`, result.reason);
+      recordFailure({ database: db.name, pageId: task.page_id, taskName: task.name, code: 'PurgeFailed', reason: result.reason.message });
+      stats.purgeFailures++;
+    });
+  } catch (error) {
+    console.error(`${db.name}: applying the retention policy failed`, error);
+    recordFailure({ database: db.name, code: 'RetentionFailed', reason: error.message });
+    stats.purgeFailures++;
+  }
+
+  return stats;
+}
@@ -0,0 +1,216 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { wallClockTime } from './dates.mjs';
+import { config } from './config.mjs';
+
+/**
+ * The fields of a cron expression, in order, with their allowed range.
+ */
+const cronFields = [
+  { key: 'minute', min: 0, max: 59 },
+  { key: 'hour', min: 0, max: 23 },
+  { key: 'dayOfMonth', min: 1, max: 31 },
+  { key: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { key: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+/**
+ * How often the daemon checks whether a run is due. Checking often, instead of sleeping until the next run, means a
+ * machine waking from sleep notices a missed run within this interval.
+ */
+const pollIntervalMs = 30 * 1000;
+
+/**
+ * A run that starts later than this after its scheduled time counts as missed, e.g. because the machine was asleep.
+ */
+const missedAfterMs = 2 * pollIntervalMs;
+
+/**
+ * How long the daemon waits before trying a scheduled run again when another run, e.g. one started by a webhook or
+ * from the command line, holds the lock.
+ */
+const busyRetryMs = 60 * 1000;
+
+/**
+ * Upper bound on the steps taken looking for the next run, so a schedule that never matches (e.g. the 31st of
+ * February) fails instead of looping forever.
+ */
+const maxSearchSteps = 100000;
+
+/**
+ * Builds a failed parse result.
+ * @param {string} message - A human-readable explanation of what was wrong.
+ * @param {string} input - The original schedule.
+ * @returns {Object} An object with a null `schedule` and an `error` describing the problem.
+ */
+function scheduleError(message, input) {
+  return { schedule: null, error: { code: 'InvalidSchedule', message, input } };
+}
+
+/**
+ * Parses one field of a cron expression: "*", "5", "1-5", "*\/15", "1-30/2", "mon-fri" or a comma-separated list of these.
+ * @param {string} text - The field.
+ * @param {Object} field - The field definition from `cronFields`.
+ * @returns {Set<number>|null} The values the field matches, or null if it is invalid.
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+  const toNumber = value => {
+    const index = field.names?.indexOf(value.toLowerCase()) ?? -1;
+    if (index >= 0) return index + (field.key === 'month' ? 1 : 0);
+    return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  };
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/i);
+    if (!match) return null;
+    const start = match[1] === '*' ? field.min : toNumber(match[1]);
+    const end = match[1] === '*' ? field.max : match[2] !== undefined ? toNumber(match[2]) : match[3] ? field.max : start;
+    const step = match[3] ? parseInt(match[3], 10) : 1;
+    if ([start, end].some(value => Number.isNaN(value) || value < field.min || value > field.max) || start > end || step < 1) return null;
+    for (let value = start; value <= end; value += step) values.add(field.key === 'dayOfWeek' ? value % 7 : value);
+  }
+
+  return values;
+}
+
+/**
+ * Parses a schedule: a five-field cron expression ("0 3 * * *", "30 6 * * mon-fri") or a time of day ("03:00",
+ * "6:30"), which runs every day at that time.
+ *
+ * @param {string} input - The schedule as configured.
+ * @returns {Object} An object with either a `schedule` or an `error` ({ code, message, input }) explaining what was wrong.
+ */
+export function parseSchedule(input) {
+  const text = String(input ?? '').trim();
+  const timeOfDay = text.match(/^(\d{1,2}):(\d{2})$/);
+  const expression = timeOfDay ? `${parseInt(timeOfDay[2], 10)} ${parseInt(timeOfDay[1], 10)} * * *` : text;
+  const parts = expression.split(/\s+/);
+  if (parts.length !== 5) {
+    return scheduleError(`"${text}" is not a schedule. Use a time of day like "03:00" or a cron expression like "0 3 * * *".`, input);
+  }
+
+  const schedule = { source: text };
+  for (const [index, field] of cronFields.entries()) {
+    const values = parseCronField(parts[index], field);
+    if (!values) return scheduleError(`"${parts[index]}" is not a valid ${field.key} in "${text}". Allowed values are ${field.min} to ${field.max}.`, input);
+    schedule[field.key] = values;
+  }
+  schedule.dayOfMonthRestricted = parts[2] !== '*';
+  schedule.dayOfWeekRestricted = parts[4] !== '*';
+  return { schedule, error: null };
+}
+
+/**
+ * Checks whether a schedule runs on a day. As in cron, when both the day of the month and the day of the week are
+ * restricted, either one matching is enough.
+ * @param {Object} schedule - A schedule returned by `parseSchedule`.
+ * @param {Object} time - A wall-clock time returned by `wallClockTime`.
+ * @returns {boolean} True if the schedule runs on that day.
+ */
+function matchesDay(schedule, time) {
+  if (!schedule.month.has(time.month)) return false;
+  const dayOfMonth = schedule.dayOfMonth.has(time.day);
+  const dayOfWeek = schedule.dayOfWeek.has(time.weekday);
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Finds the first time a schedule runs strictly after a moment, reading the schedule in a time zone. Times skipped by
+ * a daylight saving change don't run that day.
+ *
+ * @param {Object} schedule - A schedule returned by `parseSchedule`.
+ * @param {Date} after - The moment after which to search.
+ * @param {string} timeZone - The IANA time zone the schedule is read in.
+ * @returns {Date|null} The next run, or null if the schedule never matches.
+ */
+export function nextRunAfter(schedule, after, timeZone) {
+  const minuteMs = 60 * 1000;
+  let candidate = Math.floor(after.getTime() / minuteMs) * minuteMs + minuteMs;
+
+  for (let step = 0; step < maxSearchSteps; step++) {
+    const time = wallClockTime(new Date(candidate), timeZone);
+    if (!matchesDay(schedule, time)) {
+      // Jump to about an hour before the next midnight; the hour steps cover days shortened by daylight saving.
+      const minutesToMidnight = (24 - time.hour) * 60 - time.minute;
+      candidate += Math.max(1, minutesToMidnight - 60) * minuteMs;
+    } else if (!schedule.hour.has(time.hour)) {
+      candidate += (60 - time.minute) * minuteMs;
+    } else if (!schedule.minute.has(time.minute)) {
+      candidate += minuteMs;
+    } else {
+      return new Date(candidate);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads the time of the last scheduled run.
+ * @param {string} stateFile - The file the daemon keeps its state in.
+ * @returns {Date|null} The time of the last run, or null if there is none.
+ */
+function readLastRun(stateFile) {
+  if (!existsSync(stateFile)) return null;
+  const lastRun = new Date(JSON.parse(readFileSync(stateFile, 'utf8')).lastRun);
+  return Number.isNaN(lastRun.getTime()) ? null : lastRun;
+}
+
+/**
+ * Runs a function on the configured schedule until stopped. Runs that are missed because the machine was asleep or
+ * the daemon wasn't running are skipped, or, with `catchUp`, made up for once as soon as possible. A run never
+ * starts while the previous one is still going, and a run that couldn't start because another process held the lock
+ * is tried again every `busyRetryMs` until it can.
+ *
+ * @param {Function} run - The async function to run on schedule, resolving to false if another run was in progress.
+ * @returns {Object} An object with a `stop` function that stops the schedule and resolves once a run in progress has finished.
+ * @throws {Error} If the configured schedule is invalid or never matches.
+ */
+export function startDaemon(run) {
+  const { expression, timeZone, catchUp, stateFile } = config.schedule;
+  const { schedule, error } = parseSchedule(expression);
+  if (error) throw new Error(error.message);
+
+  const lastRun = catchUp ? readLastRun(stateFile) : null;
+  let nextRun = nextRunAfter(schedule, lastRun ?? new Date(), timeZone);
+  if (!nextRun) throw new Error(`The schedule "${expression}" never runs.`);
+  let currentRun = null;
+
+  console.log(`Daemon started with schedule "${expression}" (${timeZone}). Next run at ${nextRun.toISOString()}.`);
+
+  const tick = () => {
+    const now = new Date();
+    if (currentRun || now < nextRun) return;
+
+    if (now - nextRun > missedAfterMs && !catchUp) {
+      console.log(`Missed the run scheduled for ${nextRun.toISOString()}, skipping it.`);
+      nextRun = nextRunAfter(schedule, now, timeZone);
+      return;
+    }
+
+    currentRun = (async () => {
+      let busy = false;
+      try {
+        busy = await run() === false;
+        if (!busy) writeFileSync(stateFile, JSON.stringify({ lastRun: now.toISOString() }));
+      } catch (error) {
+        console.error("Scheduled run failed: ", error);
+      } finally {
+        nextRun = busy ? new Date(Date.now() + busyRetryMs) : nextRunAfter(schedule, new Date(), timeZone);
+        currentRun = null;
+        console.log(busy ? `Another run is in progress, trying again at ${nextRun.toISOString()}.` : `Next run at ${nextRun.toISOString()}.`);
+      }
+    })();
+  };
+
+  const timer = setInterval(tick, pollIntervalMs);
+  tick();
+
+  return {
+    stop: async () => {
+      clearInterval(timer);
+      await currentRun;
+    }
+  };
+}
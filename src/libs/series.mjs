@@ -0,0 +1,118 @@
+import { differenceInCalendarDays, format } from 'date-fns';
+import { toCalendarDate, parseCalendarDate } from './dates.mjs';
+
+/**
+ * Identifies the series a task belongs to. Every task created by a recurrence carries the ID of the first task of its
+ * series; a task without one started the series.
+ * @param {Object} task - A processed task.
+ * @returns {string} The series ID.
+ */
+export function seriesIdOf(task) {
+  return task.series_id || task.page_id;
+}
+
+/**
+ * Averages a list of numbers to one decimal.
+ * @param {Array<number>} values - The numbers to average.
+ * @returns {number|null} The average, or null for an empty list.
+ */
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+}
+
+/**
+ * Calculates statistics for a recurring series from its completed tasks. A task was due on its own due date when
+ * it has one, otherwise on the "Date Recurring" its predecessor was given.
+ *
+ * @param {Array<Object>} tasks - Processed tasks of one series, in any order. Tasks without a completion date are ignored.
+ * @param {string} timeZone - The IANA time zone dates are interpreted in.
+ * @returns {Object} { completions, averageInterval, targetInterval, averageOffset, currentStreak, lastCompleted }, where
+ * intervals are in days, `averageOffset` is the average number of days tasks were completed after (positive) or
+ * before (negative) they were due, and `currentStreak` counts the most recent completions that were on time.
+ */
+export function computeSeriesStats(tasks, timeZone) {
+  const day = value => parseCalendarDate(toCalendarDate(value, timeZone));
+  const completions = tasks
+    .filter(task => task.date_completed)
+    .map(task => ({ completed: day(task.date_completed), next: task.date_recurring ? day(task.date_recurring) : null, due: task.due ? day(task.due) : null }))
+    .sort((a, b) => a.completed - b.completed);
+
+  const intervals = [];
+  const targets = [];
+  const offsets = completions.map((completion, index) => {
+    const previous = completions[index - 1];
+    if (previous) intervals.push(differenceInCalendarDays(completion.completed, previous.completed));
+    if (completion.next) targets.push(differenceInCalendarDays(completion.next, completion.completed));
+    const due = completion.due ?? previous?.next;
+    return due ? differenceInCalendarDays(completion.completed, due) : null;
+  });
+
+  let currentStreak = 0;
+  while (currentStreak < offsets.length && offsets[offsets.length - 1 - currentStreak] !== null && offsets[offsets.length - 1 - currentStreak] <= 0) {
+    currentStreak++;
+  }
+
+  return {
+    completions: completions.length,
+    averageInterval: average(intervals),
+    targetInterval: average(targets),
+    averageOffset: average(offsets.filter(offset => offset !== null)),
+    currentStreak,
+    lastCompleted: completions.length > 0 ? format(completions[completions.length - 1].completed, 'yyyy-MM-dd') : null
+  };
+}
+
+/**
+ * Formats series statistics as one line, as written onto new tasks.
+ * @param {Object} stats - Statistics returned by `computeSeriesStats`.
+ * @returns {string} e.g. "Done 5 times, every 9.2 days on average (target 7), 1.4 days late on average, 3 on time in a row."
+ */
+export function formatSeriesStats(stats) {
+  const parts = [`Done ${stats.completions} time${stats.completions === 1 ? '' : 's'}`];
+  if (stats.averageInterval !== null) {
+    parts.push(`every ${stats.averageInterval} days on average${stats.targetInterval !== null ? ` (target ${stats.targetInterval})` : ''}`);
+  }
+  if (stats.averageOffset !== null) {
+    parts.push(stats.averageOffset === 0 ? 'on time on average'
+      : `${Math.abs(stats.averageOffset)} days ${stats.averageOffset > 0 ? 'late' : 'early'} on average`);
+    parts.push(`${stats.currentStreak} on time in a row`);
+  }
+  return `${parts.join(', ')}.`;
+}
+
+/**
+ * Groups tasks by series. Tasks archived before series IDs were tracked have none and are grouped by name instead.
+ * @param {Array<Object>} tasks - Processed tasks.
+ * @returns {Array<Object>} Groups of { seriesId, name, recurring, tasks }, named after their most recently completed task.
+ */
+export function groupBySeries(tasks) {
+  const groups = new Map();
+
+  for (const task of tasks) {
+    const key = task.series_id ? `id:${task.series_id}` : `name:${task.name}`;
+    groups.set(key, [...(groups.get(key) ?? []), task]);
+  }
+
+  return [...groups.values()].map(tasks => {
+    const latest = [...tasks].sort((a, b) => (b.date_completed ?? '').localeCompare(a.date_completed ?? ''))[0];
+    return { seriesId: latest.series_id ?? null, name: latest.name, recurring: latest.recurring, tasks };
+  });
+}
+
+/**
+ * Formats the statistics of every series as readable text.
+ * @param {Array<Object>} results - One entry per database: { database, series }, where each series has { name, recurring, stats }.
+ * @returns {string} The report as multi-line text.
+ */
+export function formatStatsReport(results) {
+  const lines = [];
+
+  for (const { database, series } of results) {
+    lines.push(`${database}:`);
+    series.forEach(({ name, recurring, stats }) => lines.push(`  ${name}${recurring ? ` (${recurring})` : ''}: ${formatSeriesStats(stats)}`));
+    if (series.length === 0) lines.push("  no completed recurring tasks yet.");
+  }
+
+  return lines.join("\n");
+}
@@ -1,25 +1,56 @@
 
-import { parseISO, add, format } from 'date-fns';
-import {notionPageUpdate, notionPageCreate} from './notion.mjs';
-import {errorHandler, logTaskActivity, delay, errorPageId, createErrorCard} from './helpers.mjs';
+import { format, sub, startOfMinute } from 'date-fns';
+import { pageUpdate, pageCreate } from './plan.mjs';
+import { notionDatabaseQuery } from './notion.mjs';
+import { findSpawn, recordSpawnStarted, recordSpawnCreated, recordSpawnArchived } from './journal.mjs';
+import { copyPageContent } from './pageContent.mjs';
+import { toCalendarDate, parseCalendarDate, isDue } from './dates.mjs';
+import { parseRecurrence, nextRecurrenceDate, isSeriesFinished } from './recurrence.mjs';
+import { seriesIdOf, computeSeriesStats, formatSeriesStats } from './series.mjs';
+import {errorHandler, logTaskActivity, errorPageId, buildStatusProperty, richText} from './helpers.mjs';
+import { createErrorCard } from './errorCards.mjs';
+import { renderPropertyTemplates, applyPropertyRules, seriesNameFilter } from './templates.mjs';
+import { ownedRelations, cloneOwnedRelations } from './relations.mjs';
 import { config } from './config.mjs';
-const tasksDb = config.tasksDb;
 
+/**
+ * The roles of the properties every page must have. Notion returns every property of the database with each page, so
+ * a missing one means the setting names a property that doesn't exist, not that the page left it empty.
+ */
+const requiredProperties = ['name', 'status', 'recurring', 'dateRecurring', 'dateCompleted'];
 
 /**
  * Processes task data retrieved from Notion and structures it appropriately. This includes extracting relevant properties
- * and preparing them for further processing such as archiving or updating.
+ * and preparing them for further processing such as archiving or updating. Missing properties or values are left
+ * undefined rather than thrown on, so one incomplete page doesn't abort the batch; the steps that need a value skip
+ * and report the page instead. A required property missing from the page altogether is a settings mistake, though,
+ * and fails the whole batch: read as empty, it would quietly archive recurring tasks as one-offs.
  * @param {Object} tasks - The tasks object returned from Notion containing an array of task details.
+ * @param {Object} [db] - Settings of the database the tasks belong to, as listed in `config.databases`.
  * @returns {Array<Object>} An array of processed tasks with key details extracted for further operations.
+ * @throws {Error} If a page lacks one of the required properties.
  */
-export function processTasks(tasks) {
+export function processTasks(tasks, db = config.databases[0]) {
   try {
+    const { name, status, recurring, dateRecurring, dateCompleted, occurrence, leadTime, seriesId, dueDate } = db.properties;
+    for (const task of tasks.results) {
+      const missing = requiredProperties.find(role => !(db.properties[role] in task.properties));
+      if (missing) {
+        throw new Error(`${db.name}: the database has no property "${db.properties[missing]}" (properties.${missing}). Run \`npm run doctor\` to check the database.`);
+      }
+    }
     return tasks.results.map(task => ({
-      name: task.properties.Name.title[0]?.text.content,
+      name: task.properties[name]?.title?.[0]?.text.content,
       page_id: task.id,
-      recurring: task.properties.Recurring.rich_text[0]?.text.content,
-      date_recurring: task.properties['Date Recurring'].date?.start,
-      date_completed: task.properties['Date Completed'].date.start,
+      status: task.properties[status]?.[db.statusProperty]?.name,
+      recurring: task.properties[recurring]?.rich_text?.[0]?.text.content,
+      date_recurring: task.properties[dateRecurring]?.date?.start,
+      date_completed: task.properties[dateCompleted]?.date?.start,
+      occurrence: occurrence ? task.properties[occurrence]?.number : undefined,
+      lead_time: leadTime ? task.properties[leadTime]?.number : undefined,
+      series_id: seriesId ? task.properties[seriesId]?.rich_text?.[0]?.text.content : undefined,
+      due: dueDate ? task.properties[dueDate]?.date?.start : undefined,
+      created_time: task.created_time,
       properties: task.properties,
     }));
   } catch (error) {
@@ -28,26 +59,30 @@ export function processTasks(tasks) {
 }
 
 /**
- * Archives tasks based on their current status, selectively excluding specified tasks, while respecting API rate limits
- * through deliberate delays. Also determines if tasks should be archived normally or as part of a recurring process.
+ * Archives tasks based on their current status, selectively excluding specified tasks. Requests are queued by the
+ * rate-limited Notion client, so tasks can be handed over all at once. Also determines if tasks should be archived normally or as part of a recurring process.
+ * A task whose series has finished (marked `series_finished` by `setDateRecurring`) goes to "Archive" either way.
  * @param {Array<Object>} tasks - Array of task objects to be archived.
  * @param {boolean} recur - Indicates if tasks with task.recurring or task.date_recurring should be moved to "Recurring Archive" or "Archive". True for "Recurring Archive"
  * @param {Array<string>} [excludeList=[]] - List of task page IDs to exclude from archiving.
+ * @param {Object} [db] - Settings of the database the tasks belong to, as listed in `config.databases`.
  * @returns {Promise<Object>} A promise that resolves to an object containing counts of successfully archived tasks and failures.
  */
-export async function archiveTasks(tasks, recur, excludeList = []) {
+export async function archiveTasks(tasks, recur, excludeList = [], db = config.databases[0]) {
   // Filter out tasks that are in the excludeList
   const tasksToArchive = tasks.filter(task => !excludeList.includes(task.page_id));
   const archivePromises = tasksToArchive.map(async task => {
     try {
-      const status = recur ? (task.recurring || task.date_recurring ? "Recurring Archive" : "Archive") : "Archive";
-      const properties = { "Status": { [config.statusProperty]: { name: status } } };
-      await notionPageUpdate(task.page_id, properties);
-      await delay(334);
+      const { archive, recurringArchive } = db.statuses;
+      const status = recur && !task.series_finished ? (task.recurring || task.date_recurring ? recurringArchive : archive) : archive;
+      const properties = buildStatusProperty(status, db);
+      const description = `Status → ${status}${task.series_finished ? ' (series finished)' : ''}`;
+      await pageUpdate(task.page_id, properties, { action: 'setStatus', database: db.name, taskName: task.name, description });
       logTaskActivity(task.page_id, 'archived');
+      recordSpawnArchived(task);
       return { success: true, page_id: task.page_id, message: `${task.page_id} archived` };
     } catch (error) {
-        await createErrorCard(task.page_id, task.name, 'ArchiveFailed');
+        await createErrorCard(task.page_id, task.name, 'ArchiveFailed', error.message, db);
         throw new errorPageId(`Failed to archive ${task.page_id}.`, task.page_id, 'ArchiveFailed', error);
     }
   });
@@ -68,37 +103,56 @@ export async function archiveTasks(tasks, recur, excludeList = []) {
 }
 
 /**
- * Sets or updates the recurring date for specified tasks based on their designated recurrence patterns. Handles tasks
+ * Sets or updates the recurring date for specified tasks based on their designated recurrence patterns, as parsed by
+ * `parseRecurrence`. The completion date is read in the database's time zone, so a task completed late in the evening
+ * counts for that day even when the server runs in UTC. Tasks with an unparseable pattern get an error card explaining what was wrong. Handles tasks
  * independently to ensure non-blocking operations and allows for continuation even if some tasks encounter errors.
+ * When a series has reached its end condition ("5 times", "until 2027-06-01") no date is set; the task is marked
+ * `series_finished` so `archiveTasks` moves it to "Archive", and its result is flagged `finished`.
+ * The first task of a series is stamped with its own ID as series ID, if that property is mapped.
  * @param {Array<Object>} recurringTasks - An array of task objects for which recurring dates need to be set or updated.
+ * @param {Object} [db] - Settings of the database the tasks belong to, as listed in `config.databases`.
  * @returns {Promise<Array<Object>>} A promise that resolves to an array of results, each representing the outcome of the update operation for a task.
  */
 
-export async function setDateRecurring(recurringTasks) {
-  const recurringRegex = /^(\d+) (\w+)/;
-  const unitMapping = { 'week': 'weeks', 'day': 'days', 'month': 'months', 'year': 'years' };
-  const acceptableUnits = ['weeks', 'days', 'months', 'years'];
-
+export async function setDateRecurring(recurringTasks, db = config.databases[0]) {
   // Use Promise.allSettled to handle each task independently
   const recurringTasksPromises = recurringTasks.map(async task => {
     if (!task.date_recurring) {
-      const completedDate = parseISO(task.date_completed);
-      const parsedRecurring = task.recurring.match(recurringRegex);
+      if (!task.date_completed) {
+        await createErrorCard(task.page_id, task.name, 'MissingDateCompleted', undefined, db);
+        throw new errorPageId(`Task ${task.page_id} has no ${db.properties.dateCompleted}, skipping.`, task.page_id, 'MissingDateCompleted');
+      }
 
-      if (!parsedRecurring || !acceptableUnits.includes(unitMapping[parsedRecurring[2].toLowerCase()])) {
-        await createErrorCard(task.page_id, task.name, 'InvalidRecurring');
-        throw new errorPageId(`Recurring format is invalid for task ${task.page_id}.`, task.page_id, 'InvalidRecurring');
-        }
+      const completedDate = parseCalendarDate(toCalendarDate(task.date_completed, db.timeZone));
+      const { rule, error } = parseRecurrence(task.recurring);
+      const nextDate = rule && nextRecurrenceDate(rule, completedDate);
 
-      const unit = unitMapping[parsedRecurring[2].toLowerCase()];
-      const value = parseInt(parsedRecurring[1], 10);
-      const dateRecurring = format(add(completedDate, { [unit]: value }), "yyyy-MM-dd");
+      if (!nextDate) {
+        const reason = error ? error.message : `"${task.recurring}" never lands on a real date.`;
+        await createErrorCard(task.page_id, task.name, 'InvalidRecurring', reason, db);
+        throw new errorPageId(`Recurring format is invalid for task ${task.page_id}: ${reason}`, task.page_id, 'InvalidRecurring');
+      }
 
-      const properties = { "Date Recurring": { type: "date", date: { start: dateRecurring } } };
-      await notionPageUpdate(task.page_id, properties);
-      await delay(334);
+      if (rule.count !== null && !db.properties.occurrence) {
+        const reason = `"${task.recurring}" ends after ${rule.count} times, which needs an occurrence number property. Map properties.occurrence in the config file.`;
+        await createErrorCard(task.page_id, task.name, 'InvalidRecurring', reason, db);
+        throw new errorPageId(`Recurring format is invalid for task ${task.page_id}: ${reason}`, task.page_id, 'InvalidRecurring');
+      }
+
+      if (isSeriesFinished(rule, nextDate, task.occurrence ?? 1)) {
+        task.series_finished = true;
+        console.log(`Task ${task.page_id} finished its series ("${task.recurring}").`);
+        return { success: true, finished: true, page_id: task.page_id, message: `Series finished for ${task.page_id}` };
+      }
+
+      const dateRecurring = format(nextDate, "yyyy-MM-dd");
+
+      const properties = { [db.properties.dateRecurring]: { type: "date", date: { start: dateRecurring } } };
+      if (db.properties.seriesId && !task.series_id) properties[db.properties.seriesId] = richText(task.page_id);
+      await pageUpdate(task.page_id, properties, { action: 'setDateRecurring', database: db.name, taskName: task.name, description: `Date Recurring → ${dateRecurring} ("${task.recurring}")` });
       logTaskActivity(task.page_id, 'date recurring set');
-      return { success: true, page_id: task.page_id, message: `Recurring Date Updated for ${task.page_id}` };
+      return { success: true, page_id: task.page_id, dateRecurring, message: `Recurring Date Updated for ${task.page_id}` };
     } else {
       return { success: true, page_id: task.page_id, message: `No update required for ${task.page_id}, date recurring already set` };
     }
@@ -117,30 +171,192 @@ export async function setDateRecurring(recurringTasks) {
 }
 
 
+/**
+ * Fetches the completed tasks of a task's series from the archive: tasks with the same series ID, or with the same
+ * series name when series IDs aren't tracked, so occurrences whose title was rendered from a template are found too.
+ * The task itself is included even if it isn't archived yet.
+ * @param {Object} task - The processed task being recurred.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {Promise<Array<Object>>} The processed tasks of the series.
+ */
+async function fetchSeriesHistory(task, db) {
+  const sameSeries = db.properties.seriesId
+    ? { property: db.properties.seriesId, rich_text: { equals: seriesIdOf(task) } }
+    : seriesNameFilter(task, db);
+  const archived = processTasks(await notionDatabaseQuery(db.tasksDb, { and: [sameSeries, db.getArchivedTasksFilter] }), db);
+  return [...archived.filter(archivedTask => archivedTask.page_id !== task.page_id), task];
+}
+
+/**
+ * Calculates the day a task in the Recurring Archive reappears. A task surfaces on its "Date Recurring", or earlier
+ * by its lead time: the `leadTime` number property (in days) when set, otherwise the lead time in its recurrence
+ * ("1 month, 3 days early").
+ * @param {Object} task - A processed task from the Recurring Archive with a `date_recurring`.
+ * @param {Object} [db] - Settings of the database the task belongs to, as listed in `config.databases`.
+ * @returns {string} The date the task reappears on, as yyyy-MM-dd.
+ */
+export function surfaceDate(task, db = config.databases[0]) {
+  const dueDate = toCalendarDate(task.date_recurring, db.timeZone);
+  const leadTime = task.lead_time ? { days: task.lead_time } : parseRecurrence(task.recurring).rule?.leadTime;
+  return leadTime ? format(sub(parseCalendarDate(dueDate), leadTime), "yyyy-MM-dd") : dueDate;
+}
+
+/**
+ * Checks whether a single task counts as completed, matching the same tasks as the database's `getDoneTasksFilter`:
+ * a done status, or the completion checkbox ticked on a task that isn't archived yet.
+ * @param {Object} task - A processed task.
+ * @param {Object} [db] - Settings of the database the task belongs to, as listed in `config.databases`.
+ * @returns {boolean} True if the task is completed and waiting to be processed.
+ */
+export function isCompletedTask(task, db = config.databases[0]) {
+  if (db.completionCheckbox) {
+    const { archive, recurringArchive } = db.statuses;
+    return task.properties?.[db.completionCheckbox]?.checkbox === true && ![archive, recurringArchive].includes(task.status);
+  }
+  return db.statuses.done.includes(task.status);
+}
+
+/**
+ * Decides whether a task in the Recurring Archive should reappear today, i.e. whether its `surfaceDate` has come.
+ * @param {Object} task - A processed task from the Recurring Archive with a `date_recurring`.
+ * @param {Object} [db] - Settings of the database the task belongs to, as listed in `config.databases`.
+ * @param {Date} [now=new Date()] - The current moment, for testing.
+ * @returns {boolean} True if the task should recur now.
+ */
+export function isReadyToRecur(task, db = config.databases[0], now = new Date()) {
+  return isDue(surfaceDate(task, db), db.timeZone, now);
+}
+
+/**
+ * Looks for a page created for an occurrence whose creation was started but never confirmed, e.g. because the
+ * process died before the journal recorded the new page's ID. The page is recognised by its link to the source task
+ * or its series ID when those properties are mapped, otherwise by the title the journal recorded, which a template may
+ * have rendered differently from the source task's. Notion rounds creation times down to the minute, so pages created
+ * from the start of the minute the creation was started in are considered.
+ * @param {Object} task - The processed source task.
+ * @param {Object} spawn - The journal entry of the occurrence.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {Promise<Object|undefined>} The page that was created, if any.
+ */
+async function findSpawnedPage(task, spawn, db) {
+  const { previousTask, seriesId, name } = db.properties;
+  const sameOccurrence = previousTask ? { property: previousTask, relation: { contains: task.page_id } }
+    : seriesId ? { property: seriesId, rich_text: { equals: seriesIdOf(task) } }
+    : { property: name, title: { equals: spawn.title ?? task.name ?? '' } };
+  const filter = {
+    and: [
+      sameOccurrence,
+      { timestamp: 'created_time', created_time: { on_or_after: startOfMinute(new Date(spawn.startedAt)).toISOString() } }
+    ]
+  };
+  const pages = await notionDatabaseQuery(db.tasksDb, filter);
+  return pages.results.find(page => page.id !== task.page_id);
+}
+
+/**
+ * Checks the run journal for an occurrence that was already spawned by an earlier, interrupted run.
+ * @param {Object} task - The processed source task.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {Promise<string|null>} The ID of the page already created for this occurrence, or null if it still has to be created.
+ */
+async function findExistingSpawn(task, db) {
+  const spawn = findSpawn(task.page_id, task.date_recurring);
+  if (!spawn) return null;
+  if (spawn.newPageId) return spawn.newPageId;
+
+  const page = await findSpawnedPage(task, spawn, db);
+  if (!page) return null;
+  recordSpawnCreated(task, page.id);
+  return page.id;
+}
+
+/**
+ * Clones the pages a recurring task owns, such as its sub-items, onto its new occurrence. A failure is reported with
+ * an error card but doesn't undo the new task.
+ * @param {Object} task - The processed task being recurred.
+ * @param {string} newPageId - The ID of the task's new occurrence.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @param {Object} [options] - `resumed`: true if the new occurrence was created by an earlier run.
+ * @returns {Promise<void>} A promise that resolves once the pages are cloned or the failure is reported.
+ */
+async function cloneTaskTree(task, newPageId, db, options) {
+  try {
+    const cloned = await cloneOwnedRelations(task, newPageId, db, options);
+    if (cloned > 0) logTaskActivity(newPageId, `cloned ${cloned} related page(s)`);
+  } catch (error) {
+    console.error(`Failed to clone the related pages of ${task.page_id} onto ${newPageId}`, error);
+    await createErrorCard(task.page_id, task.name, 'RelationCloneFailed', error.message, db);
+  }
+}
+
 /**
  * Creates new recurring tasks based on previously archived tasks. This involves copying relevant properties
  * from old tasks to new tasks while ensuring properties that should not be copied are excluded.
+ * The new task's due date, occurrence number, series ID, link to the task it was created from and series statistics
+ * are set when those properties are mapped. Templates in the title and text properties are rendered for the new date,
+ * and the database's property rules shift dates, reset checkboxes, clear or increment numbers and rotate assignees.
+ * The page body is copied too, unless `copyContent` is turned off for the database; a failed copy is reported with an
+ * error card but doesn't undo the new task. Pages of owned relations, such as sub-items, are cloned onto the new task
+ * and archived with the original, while shared relations are copied as they are. Every creation is recorded in the
+ * run journal. If an earlier run already created the page for this occurrence but didn't get to archive the original,
+ * the existing page is reused so the archive step can finish without a duplicate.
  * @param {Array<Object>} tasks - The tasks to recreate as new recurring tasks.
+ * @param {Object} [db] - Settings of the database the tasks belong to, as listed in `config.databases`.
  * @returns {Promise<Array<Object>>} A promise that resolves to an array of objects, each representing the outcome of the task creation process.
  */
 
-export async function createRecurringTasks(tasks) {
+export async function createRecurringTasks(tasks, db = config.databases[0]) {
 
   // Map each task to a promise and handle them individually
   const taskPromises = tasks.map(async task => {
     try {
-      const propertiesToDelete = config.propertiesToExclude
+      const existingPageId = await findExistingSpawn(task, db);
+      if (existingPageId) {
+        console.log(`Task ${task.page_id} was already recurred as ${existingPageId}, resuming.`);
+        await cloneTaskTree(task, existingPageId, db, { resumed: true });
+        return { success: true, resumed: true, oldPageId: task.page_id, newPageId: existingPageId, message: `Recurring Task already created for ${task.page_id}` };
+      }
+
+      const propertiesToDelete = db.propertiesToExclude
+      const templated = renderPropertyTemplates(task, db);
       // Prepare properties for the new task
-      const newProperties = { ...task.properties, Status: { [config.statusProperty]: { name: config.recurTaskStatus } } };
+      const newProperties = { ...task.properties, ...templated.properties, ...await applyPropertyRules(task, db), ...buildStatusProperty(db.recurTaskStatus, db) };
+      if (db.completionCheckbox) newProperties[db.completionCheckbox] = { checkbox: false };
+      if (db.properties.dueDate) newProperties[db.properties.dueDate] = { date: { start: task.date_recurring } };
+      if (db.properties.occurrence) newProperties[db.properties.occurrence] = { number: (task.occurrence ?? 1) + 1 };
+      if (db.properties.seriesId) newProperties[db.properties.seriesId] = richText(seriesIdOf(task));
+      if (db.properties.previousTask) newProperties[db.properties.previousTask] = { relation: [{ id: task.page_id }] };
+      if (db.properties.seriesStats) {
+        const stats = computeSeriesStats(await fetchSeriesHistory(task, db), db.timeZone);
+        newProperties[db.properties.seriesStats] = richText(formatSeriesStats(stats));
+      }
       propertiesToDelete.forEach(prop => delete newProperties[prop]);
+      ownedRelations(db).forEach(prop => delete newProperties[prop]);
 
       // Create the new recurring task in Notion
-      let result = await notionPageCreate(tasksDb, newProperties);
+      recordSpawnStarted(task, db, templated.title);
+      let result = await pageCreate(db.tasksDb, newProperties, {
+        action: 'createRecurring',
+        database: db.name,
+        taskName: task.name,
+        pageId: task.page_id,
+        description: `new page${templated.title ? ` "${templated.title}"` : ''} with Status → ${db.recurTaskStatus}, copying ${Object.keys(newProperties).length} properties`
+      });
+      recordSpawnCreated(task, result.id);
       logTaskActivity(result.id, "created");
-      await delay(334);
+
+      if (db.copyContent) {
+        try {
+          await copyPageContent(task, result.id, db);
+        } catch (error) {
+          console.error(`Failed to copy page content from ${task.page_id} to ${result.id}`, error);
+          await createErrorCard(task.page_id, task.name, 'ContentCopyFailed', error.message, db);
+        }
+      }
+      await cloneTaskTree(task, result.id, db);
       return { success: true, oldPageId: task.page_id, newPageId: result.id, message: `Recurring Task Created for ${task.page_id}` };
     } catch (error) {
-        await createErrorCard(task.page_id, task.name, 'RecurCreationFail');
+        await createErrorCard(task.page_id, task.name, 'RecurCreationFail', error.message, db);
         throw new errorPageId(`Failed to create recurring task for ${task.page_id}.`, task.page_id, 'RecurCreationFail', error);
     }
   });
@@ -158,6 +374,20 @@ export async function createRecurringTasks(tasks) {
   return results;
 }
 
+/**
+ * Reports tasks sitting in "Recurring Archive" without a recurring date. They can never recur, so each one gets an
+ * error card instead of being silently ignored.
+ * @param {Array<Object>} tasks - Processed tasks from the Recurring Archive that have no `date_recurring`.
+ * @param {Object} [db] - Settings of the database the tasks belong to, as listed in `config.databases`.
+ * @returns {Promise<void>} A promise that resolves once every task has been reported.
+ */
+export async function reportUndatedTasks(tasks, db = config.databases[0]) {
+  for (const task of tasks) {
+    console.error(`Task ${task.page_id} is in ${db.statuses.recurringArchive} without ${db.properties.dateRecurring}, skipping.`);
+    await createErrorCard(task.page_id, task.name, 'MissingDateRecurring', undefined, db);
+  }
+}
+
 /**
  * Filters out tasks that have failed certain operations, based on their status and specific conditions.
  * Primarily used to exclude tasks from subsequent steps if they have failed previous steps.
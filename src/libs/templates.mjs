@@ -0,0 +1,295 @@
+import { format, addDays, differenceInCalendarDays, isValid } from 'date-fns';
+import { notionUsersList } from './notion.mjs';
+import { toCalendarDate, todayIn, parseCalendarDate } from './dates.mjs';
+
+/**
+ * Matches a placeholder such as `{{occurrence}}` or `{{date_recurring:MMMM yyyy}}`: a value name, optionally followed
+ * by a date-fns format after a colon.
+ */
+const placeholderPattern = /\{\{\s*(\w+)\s*(?::([^}]*))?\}\}/g;
+
+/**
+ * Format dates are written in when a placeholder doesn't give one.
+ */
+const defaultDateFormat = 'yyyy-MM-dd';
+
+/**
+ * Property rules given as a single word, and the property type each applies to. `clear` applies to any type. The
+ * remaining rule, `rotate`, applies to People properties.
+ */
+const ruleTypes = {
+  shift: 'date',
+  reset: 'checkbox',
+  increment: 'number',
+  clear: null
+};
+
+/**
+ * The workspace's users, looked up by email or name for `rotate` rules. The request is cached for the lifetime of the
+ * process, or until it fails.
+ */
+let users = null;
+
+/**
+ * Checks a text for placeholders.
+ * @param {string} text - The text.
+ * @returns {boolean} True if it contains at least one placeholder.
+ */
+export function hasPlaceholders(text) {
+  return new RegExp(placeholderPattern.source).test(text ?? '');
+}
+
+/**
+ * Fills in the placeholders of a template. Dates are formatted with date-fns tokens, `yyyy-MM-dd` by default;
+ * other values are written as they are. Placeholders naming an unknown value are left untouched so the mistake shows.
+ *
+ * @param {string} template - The template, e.g. "Pay rent — {{date_recurring:MMMM yyyy}}".
+ * @param {Object} values - The values placeholders can name, e.g. { date_recurring: Date, occurrence: 3 }.
+ * @returns {string} The rendered text.
+ */
+export function renderTemplate(template, values) {
+  return template.replace(placeholderPattern, (placeholder, name, pattern) => {
+    const value = values[name];
+    if (value === undefined || value === null) return placeholder;
+    if (value instanceof Date) {
+      if (!isValid(value)) return placeholder;
+      try {
+        return format(value, pattern?.trim() || defaultDateFormat);
+      } catch {
+        return placeholder;
+      }
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Collects the values a template on a new recurring task can name:
+ * - `date_recurring`: the date the new task is for
+ * - `date_completed`: the day the previous task was completed
+ * - `today`: the day the new task is created
+ * - `occurrence`: the number of the new task in its series
+ * - `recurring`: the recurrence, as written in the "Recurring" property
+ *
+ * @param {Object} task - The processed task being recurred.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @param {Date} [now=new Date()] - The current moment, for testing.
+ * @returns {Object} The values, keyed by name. Dates are Date objects.
+ */
+export function templateValues(task, db, now = new Date()) {
+  const day = value => value ? parseCalendarDate(toCalendarDate(value, db.timeZone)) : null;
+  return {
+    date_recurring: day(task.date_recurring),
+    date_completed: day(task.date_completed),
+    today: parseCalendarDate(todayIn(db.timeZone, now)),
+    occurrence: (task.occurrence ?? 1) + 1,
+    recurring: task.recurring
+  };
+}
+
+/**
+ * Reads the plain text of a title or text property value.
+ * @param {Object} value - The property value returned by Notion.
+ * @returns {string} The text.
+ */
+function plainText(value) {
+  return (value?.[value.type] ?? []).map(text => text.plain_text ?? text.text?.content ?? '').join('');
+}
+
+/**
+ * Reads the templates remembered in the `template` property of a task.
+ * @param {Object} task - A processed task.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {Object} The templates keyed by property name, or an empty object if the property isn't mapped or set.
+ */
+function storedTemplates(task, db) {
+  const templateProperty = db.properties.template;
+  if (!templateProperty) return {};
+  try {
+    return JSON.parse(plainText(task.properties[templateProperty]) || '{}');
+  } catch {
+    console.warn(`Ignoring "${templateProperty}" of ${task.page_id}: it doesn't hold templates written by this application.`);
+    return {};
+  }
+}
+
+/**
+ * Reads the template of a task's title: its title if that has placeholders, otherwise the one remembered in the
+ * `template` property. Unlike the rendered title, it stays the same from one occurrence to the next.
+ * @param {Object} task - A processed task.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {string|null} The template, or null if the title has none.
+ */
+export function titleTemplate(task, db) {
+  const title = plainText(task.properties[db.properties.name]);
+  return hasPlaceholders(title) ? title : storedTemplates(task, db)[db.properties.name] ?? null;
+}
+
+/**
+ * Reads the name a series of tasks is known by: the template of their title, which stays the same while the rendered
+ * title changes every occurrence, or the title itself when it has no template.
+ * @param {Object} task - A processed task.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {string} The series name.
+ */
+export function seriesName(task, db) {
+  return titleTemplate(task, db) ?? task.name ?? '';
+}
+
+/**
+ * Builds a query filter matching the tasks named like a task's series, for databases that don't track series IDs:
+ * tasks titled with the series name and, when the title is a template, tasks whose `template` property remembers it.
+ * @param {Object} task - A processed task.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {Object} A Notion database query filter.
+ */
+export function seriesNameFilter(task, db) {
+  const name = seriesName(task, db);
+  const byTitle = { property: db.properties.name, title: { equals: name } };
+  if (!db.properties.template || !titleTemplate(task, db)) return byTitle;
+  const remembered = JSON.stringify({ [db.properties.name]: name }).slice(1, -1);
+  return { or: [byTitle, { property: db.properties.template, rich_text: { contains: remembered } }] };
+}
+
+/**
+ * Renders the templates in the title and text properties of a task for its next occurrence. A property's template is
+ * its current text if that has placeholders, otherwise the one remembered in the `template` property, where the
+ * templates used are written back so later occurrences can render them again.
+ *
+ * @param {Object} task - The processed task being recurred.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @param {Date} [now=new Date()] - The current moment, for testing.
+ * @returns {Object} { properties, title }: the rendered properties to set on the new task, including the `template`
+ * property when it is mapped, and the rendered title, or undefined if the title has no template.
+ */
+export function renderPropertyTemplates(task, db, now = new Date()) {
+  const templateProperty = db.properties.template;
+  const stored = storedTemplates(task, db);
+
+  const values = templateValues(task, db, now);
+  const properties = {};
+  const templates = {};
+  let title;
+
+  for (const [name, value] of Object.entries(task.properties)) {
+    if (name === templateProperty || !['title', 'rich_text'].includes(value.type)) continue;
+    const current = plainText(value);
+    const template = hasPlaceholders(current) ? current : stored[name];
+    if (!template) continue;
+
+    const rendered = renderTemplate(template, values);
+    templates[name] = template;
+    properties[name] = { [value.type]: [{ type: 'text', text: { content: rendered } }] };
+    if (value.type === 'title') title = rendered;
+  }
+
+  if (templateProperty && Object.keys(templates).length > 0) {
+    properties[templateProperty] = { rich_text: [{ type: 'text', text: { content: JSON.stringify(templates) } }] };
+  }
+  return { properties, title };
+}
+
+/**
+ * Moves a Notion date value by a number of days, keeping its time of day and offset.
+ * @param {Object} date - The date value: { start, end, time_zone }.
+ * @param {number} days - The number of days to move it by.
+ * @returns {Object} The moved date value.
+ */
+export function shiftDate(date, days) {
+  const shift = value => value && `${format(addDays(parseCalendarDate(value.slice(0, 10)), days), 'yyyy-MM-dd')}${value.slice(10)}`;
+  return { ...date, start: shift(date.start), end: shift(date.end) ?? null };
+}
+
+/**
+ * Builds the empty value of a property, as set by a `clear` rule.
+ * @param {string} type - The property type.
+ * @returns {*} The empty content for that type.
+ */
+function emptyContent(type) {
+  if (['title', 'rich_text', 'multi_select', 'people', 'relation', 'files'].includes(type)) return [];
+  if (type === 'checkbox') return false;
+  return null;
+}
+
+/**
+ * Lists the property type each rule needs, for `doctor`.
+ * @param {Object} rules - The rules, keyed by property name.
+ * @returns {Array<Object>} { name, type } for every rule that needs a particular type.
+ */
+export function propertyRuleTypes(rules) {
+  return Object.entries(rules)
+    .map(([name, rule]) => ({ name, type: typeof rule === 'string' ? ruleTypes[rule] : 'people' }))
+    .filter(({ type }) => type);
+}
+
+/**
+ * Looks up the Notion user a `rotate` entry names: a user ID, an email address or a name.
+ * @param {string} entry - The entry from the config file.
+ * @returns {Promise<string>} A promise that resolves to the user's ID.
+ * @throws {Error} If no user in the workspace matches.
+ */
+async function userId(entry) {
+  const id = entry.replace(/-/g, '');
+  if (/^[0-9a-f]{32}$/i.test(id)) return entry;
+
+  users ??= notionUsersList().catch(error => {
+    users = null;
+    throw error;
+  });
+  const match = entry.toLowerCase();
+  const list = await users;
+  const user = list.find(user => user.person?.email?.toLowerCase() === match) ?? list.find(user => user.name?.toLowerCase() === match);
+  if (!user) throw new Error(`No Notion user matches "${entry}". Use their email address, name or ID, and give the integration access to user information.`);
+  return user.id;
+}
+
+/**
+ * Picks the next assignee of a `rotate` rule: the one after the first person currently assigned, or the first one
+ * when nobody on the list is assigned.
+ * @param {Object} value - The People property value returned by Notion.
+ * @param {Array<string>} entries - The rotation, as user IDs, email addresses or names.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the new People content.
+ */
+async function nextAssignee(value, entries) {
+  const ids = await Promise.all(entries.map(userId));
+  const current = value?.people?.[0]?.id?.replace(/-/g, '');
+  const index = ids.findIndex(id => id.replace(/-/g, '') === current);
+  return [{ id: ids[(index + 1) % ids.length] }];
+}
+
+/**
+ * Applies the property rules of a database to a new recurring task:
+ * - `shift`: moves a date by as many days as the task moves, from its due date (or completion day) to its new date
+ * - `reset`: unchecks a checkbox
+ * - `clear`: empties the property
+ * - `increment`: adds one to a number, starting from 0 when empty
+ * - `rotate`: assigns the next person of the list in a People property
+ *
+ * @param {Object} task - The processed task being recurred.
+ * @param {Object} db - Settings of the database the task belongs to.
+ * @returns {Promise<Object>} A promise that resolves to the properties to set on the new task.
+ * @throws {Error} If a rule doesn't fit its property's type or a `rotate` user can't be found.
+ */
+export async function applyPropertyRules(task, db) {
+  const properties = {};
+  const from = task.due ?? (task.date_completed && toCalendarDate(task.date_completed, db.timeZone));
+  const days = from && task.date_recurring
+    ? differenceInCalendarDays(parseCalendarDate(toCalendarDate(task.date_recurring, db.timeZone)), parseCalendarDate(toCalendarDate(from, db.timeZone)))
+    : 0;
+
+  for (const [name, rule] of Object.entries(db.propertyRules)) {
+    const value = task.properties[name];
+    if (!value) continue;
+    const expected = typeof rule === 'string' ? ruleTypes[rule] : 'people';
+    if (expected && value.type !== expected) {
+      throw new Error(`Property rule "${typeof rule === 'string' ? rule : 'rotate'}" needs "${name}" to be a ${expected} property, not ${value.type}.`);
+    }
+
+    if (rule === 'shift') properties[name] = { date: value.date && shiftDate(value.date, days) };
+    else if (rule === 'reset') properties[name] = { checkbox: false };
+    else if (rule === 'clear') properties[name] = { [value.type]: emptyContent(value.type) };
+    else if (rule === 'increment') properties[name] = { number: (value.number ?? 0) + 1 };
+    else properties[name] = { people: await nextAssignee(value, rule.rotate) };
+  }
+  return properties;
+}
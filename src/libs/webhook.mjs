@@ -0,0 +1,198 @@
+import { createServer } from 'http';
+import { createHmac, timingSafeEqual } from 'crypto';
+import { config } from './config.mjs';
+import { calendarResponse } from './calendar.mjs';
+import { compactId } from './helpers.mjs';
+
+/**
+ * Requests with a larger body are rejected. Webhook payloads describe a single page, so this is generous.
+ */
+const maxBodyBytes = 1024 * 1024;
+
+/**
+ * Compares two strings in constant time, so the secret can't be guessed from how long a comparison takes.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} True if both strings are equal.
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Checks that a webhook request carries the shared secret, in one of three ways: an `X-Webhook-Secret` header (a
+ * custom header in Notion's "Send webhook" automation action), an `Authorization: Bearer <secret>` header, or an
+ * `X-Notion-Signature` header holding the HMAC-SHA256 of the body, as sent by Notion's integration webhooks.
+ *
+ * @param {Object} headers - The request headers, with lowercase names.
+ * @param {string} body - The raw request body.
+ * @param {string} secret - The shared secret.
+ * @returns {boolean} True if the request is authorized.
+ */
+export function isAuthorized(headers, body, secret) {
+  if (!secret) return false;
+  if (headers['x-webhook-secret'] !== undefined) return safeEqual(headers['x-webhook-secret'], secret);
+
+  const bearer = headers.authorization?.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return safeEqual(bearer[1], secret);
+
+  if (headers['x-notion-signature'] !== undefined) {
+    const signature = `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+    return safeEqual(headers['x-notion-signature'], signature);
+  }
+  return false;
+}
+
+/**
+ * Extracts the IDs of the pages a webhook payload is about. Understands Notion's "Send webhook" automation action
+ * ({ data: { object: "page", id } }), Notion's integration webhook events ({ entity: { type: "page", id } }) and a
+ * plain { pageId } or { pageIds: [...] } from any other trigger.
+ *
+ * @param {Object} payload - The parsed request body.
+ * @returns {Array<string>} The page IDs without dashes, so the same page is never listed twice. Empty if the payload
+ * names no page.
+ */
+export function pageIdsFromPayload(payload) {
+  const candidates = [payload?.pageId, payload?.page_id, ...(Array.isArray(payload?.pageIds) ? payload.pageIds : [])];
+  if (payload?.data?.object === 'page') candidates.unshift(payload.data.id);
+  if (payload?.entity?.type === 'page') candidates.unshift(payload.entity.id);
+
+  const ids = candidates
+    .map(id => typeof id === 'string' ? compactId(id) : '')
+    .filter(id => /^[0-9a-f]{32}$/.test(id));
+  return [...new Set(ids)];
+}
+
+/**
+ * Reads the body of a request, up to `maxBodyBytes`.
+ * @param {http.IncomingMessage} request - The request.
+ * @returns {Promise<string|null>} A promise that resolves to the body, or to null if it is too large.
+ */
+async function readBody(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > maxBodyBytes) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Starts an HTTP server that accepts webhook POSTs on `config.webhook.path` and hands the pages they name to
+ * `processPages`. Events are debounced: pages are collected until no event has arrived for
+ * `config.webhook.debounceSeconds`, then processed together, so a burst of edits to the same task results in one
+ * run. A batch is handed over again later if `processPages` reports that another run is in progress. The server also
+ * serves the calendar feed on `config.calendar.path` once a calendar token is set.
+ *
+ * @param {Function} processPages - Async function called with an array of page IDs. Resolves to { locked } to report
+ * whether the batch was skipped because another run held the lock.
+ * @returns {Promise<Object>} A promise that resolves once the server is listening, to an object with a `stop` function
+ * that closes the server and resolves once pending pages have been processed.
+ * @throws {Error} If no webhook secret is configured or the port can't be listened on.
+ */
+export async function startWebhookServer(processPages) {
+  const { port, path, secret, debounceSeconds } = config.webhook;
+  if (!secret) throw new Error("Set WEBHOOK_SECRET in .env before starting the webhook listener.");
+
+  const pending = new Set();
+  let timer = null;
+  let flushing = null;
+  let stopped = false;
+
+  const schedule = () => {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceSeconds * 1000);
+  };
+
+  const flush = async () => {
+    timer = null;
+    if (flushing || pending.size === 0) return;
+    const pageIds = [...pending];
+    pending.clear();
+    flushing = (async () => {
+      try {
+        const { locked } = await processPages(pageIds);
+        if (locked) {
+          pageIds.forEach(pageId => pending.add(pageId));
+          console.log(`Another run is in progress, retrying ${pageIds.length} page(s) later.`);
+        }
+      } catch (error) {
+        console.error("Processing webhook pages failed: ", error);
+      }
+    })();
+    await flushing;
+    flushing = null;
+    if (pending.size > 0) schedule();
+  };
+
+  const respond = (response, statusCode, body) => {
+    response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  };
+
+  const server = createServer(async (request, response) => {
+    try {
+      const url = new URL(request.url, 'http://localhost');
+      if (request.method === 'GET' && url.pathname === '/health') return respond(response, 200, { ok: true, pending: pending.size });
+      if (request.method === 'GET' && url.pathname === config.calendar.path) {
+        const { statusCode, headers, body } = await calendarResponse(url.searchParams.get('token'));
+        response.writeHead(statusCode, headers);
+        return response.end(body);
+      }
+      if (url.pathname !== path) return respond(response, 404, { error: "Not found." });
+      if (request.method !== 'POST') return respond(response, 405, { error: "Use POST." });
+
+      const body = await readBody(request);
+      if (body === null) return respond(response, 413, { error: "Payload too large." });
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        payload = undefined;
+      }
+
+      // Notion sends a one-time token, unsigned, when an integration webhook subscription is created. It becomes the
+      // secret its events are signed with.
+      if (payload?.verification_token && !request.headers['x-notion-signature']) {
+        console.log(`Webhook verification token received: ${payload.verification_token}. Set it as WEBHOOK_SECRET.`);
+        return respond(response, 200, { ok: true });
+      }
+
+      if (!isAuthorized(request.headers, body, secret)) return respond(response, 401, { error: "Invalid or missing webhook secret." });
+      if (payload === undefined) return respond(response, 400, { error: "The body isn't valid JSON." });
+
+      const pageIds = pageIdsFromPayload(payload);
+      if (pageIds.length === 0) return respond(response, 400, { error: "The payload doesn't name a page." });
+
+      pageIds.forEach(pageId => pending.add(pageId));
+      schedule();
+      respond(response, 202, { queued: pageIds });
+    } catch (error) {
+      console.error("Webhook request failed: ", error);
+      respond(response, 500, { error: "Internal error." });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  console.log(`Listening for webhooks on port ${port} at ${path}.`);
+
+  return {
+    stop: async () => {
+      await new Promise(resolve => server.close(resolve));
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+        await flush();
+      }
+      await flushing;
+    }
+  };
+}
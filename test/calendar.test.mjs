@@ -0,0 +1,86 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { calendarEvents, formatCalendar } from '../src/libs/calendar.mjs';
+
+const db = { name: 'Home', tasksDb: 'db1', timeZone: 'UTC', properties: { name: 'Name', seriesId: null, template: 'Template' } };
+const range = { today: '2026-10-19', until: '2026-11-18' };
+const task = extra => ({ page_id: 'a1b2c3d4-0000-4000-8000-000000000001', name: 'Water plants', recurring: '1 week', date_recurring: '2026-10-22', occurrence: 3, properties: {}, ...extra });
+const text = (type, content) => ({ type, [type]: [{ type: 'text', text: { content }, plain_text: content }] });
+
+describe('calendarEvents', () => {
+  test('lists the pending occurrence and projects the next ones up to the horizon', () => {
+    const events = calendarEvents(task(), db, range);
+    assert.deepEqual(events.map(event => [event.date, event.projected]), [
+      ['2026-10-22', false], ['2026-10-29', true], ['2026-11-05', true], ['2026-11-12', true]
+    ]);
+    assert.equal(events[0].name, 'Water plants');
+    assert.equal(events[0].database, 'Home');
+  });
+
+  test('projects an overdue task from today', () => {
+    const dates = calendarEvents(task({ date_recurring: '2026-10-10' }), db, range).map(event => event.date);
+    assert.deepEqual(dates, ['2026-10-10', '2026-10-26', '2026-11-02', '2026-11-09', '2026-11-16']);
+  });
+
+  test('stops at the end of the series', () => {
+    assert.equal(calendarEvents(task({ recurring: '1 week, 5 times' }), db, range).length, 2);
+    assert.equal(calendarEvents(task({ recurring: '1 week, until 2026-11-01' }), db, range).length, 2);
+  });
+
+  test('lists only the pending occurrence when the recurrence can\'t be projected', () => {
+    assert.equal(calendarEvents(task({ recurring: 'whenever' }), db, range).length, 1);
+    assert.equal(calendarEvents(task({ recurring: '0 days' }), db, range).length, 1);
+    assert.deepEqual(calendarEvents(task({ date_recurring: '2026-12-01' }), db, range), []);
+    assert.deepEqual(calendarEvents(task({ date_recurring: undefined }), db, range), []);
+  });
+
+  test('keeps UIDs stable across exports and recurrences of a series', () => {
+    const before = calendarEvents(task(), db, range);
+    const after = calendarEvents(task({ page_id: 'a1b2c3d4-0000-4000-8000-000000000002', date_recurring: '2026-10-29', occurrence: 4 }), db, range);
+    assert.equal(after[0].uid, before[1].uid);
+    assert.equal(new Set(before.map(event => event.uid)).size, before.length);
+    assert.notEqual(calendarEvents(task({ name: 'Feed cat' }), db, range)[0].uid, before[0].uid);
+  });
+
+  test('keys UIDs on the series ID when it is mapped', () => {
+    const seriesDb = { ...db, properties: { ...db.properties, seriesId: 'Series' } };
+    const first = calendarEvents(task(), seriesDb, range);
+    const renamed = calendarEvents(task({ page_id: 'a1b2c3d4-0000-4000-8000-000000000002', series_id: 'a1b2c3d4-0000-4000-8000-000000000001', name: 'Water the plants', date_recurring: '2026-10-29' }), seriesDb, range);
+    assert.equal(renamed[0].uid, first[1].uid);
+    assert.notEqual(calendarEvents(task({ series_id: 'other' }), seriesDb, range)[0].uid, first[0].uid);
+  });
+
+  test('keys UIDs on the title template when the title is rendered', () => {
+    const template = 'Pay rent — {{date_recurring:MMMM}}';
+    const first = calendarEvents(task({ name: template, properties: { Name: text('title', template) } }), db, range);
+    const rendered = calendarEvents(task({
+      page_id: 'a1b2c3d4-0000-4000-8000-000000000002',
+      name: 'Pay rent — October',
+      date_recurring: '2026-10-29',
+      properties: { Name: text('title', 'Pay rent — October'), Template: text('rich_text', JSON.stringify({ Name: template })) }
+    }), db, range);
+    assert.equal(rendered[0].uid, first[1].uid);
+  });
+});
+
+describe('formatCalendar', () => {
+  const now = new Date('2026-10-19T12:34:56.789Z');
+
+  test('writes all-day events with CRLF line endings', () => {
+    const ics = formatCalendar(calendarEvents(task(), db, { ...range, until: '2026-10-29' }), { name: 'Recurring Tasks', now });
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.equal(ics.replace(/\r\n/g, '').includes('\n'), false);
+    assert.match(ics, /DTSTAMP:20261019T123456Z\r\nDTSTART;VALUE=DATE:20261022\r\nDTEND;VALUE=DATE:20261023\r\n/);
+    assert.match(ics, /URL:https:\/\/www\.notion\.so\/a1b2c3d4000040008000000000000001\r\n/);
+    assert.deepEqual(ics.match(/STATUS:\w+/g), ['STATUS:CONFIRMED', 'STATUS:TENTATIVE']);
+  });
+
+  test('escapes text and folds long lines', () => {
+    const name = 'Call Mum, Dad; pay \\ fees — a fairly long reminder that needs folding onto another line';
+    const ics = formatCalendar(calendarEvents(task({ name, recurring: 'whenever' }), db, range), { name: 'Tasks', now });
+    assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    const summary = ics.replace(/\r\n /g, '').match(/SUMMARY:(.*)\r\n/)[1];
+    assert.equal(summary, 'Call Mum\\, Dad\\; pay \\\\ fees — a fairly long reminder that needs folding onto another line');
+  });
+});
@@ -0,0 +1,108 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { format } from 'date-fns';
+import { toCalendarDate, todayIn, isDue, parseCalendarDate, isValidTimeZone } from '../src/libs/dates.mjs';
+import { parseRecurrence, nextRecurrenceDate } from '../src/libs/recurrence.mjs';
+
+const serverTimeZone = process.env.TZ;
+
+/**
+ * Calculates "Date Recurring" the way `setDateRecurring` does, from a raw "Date Completed" value.
+ */
+function dateRecurring(recurring, dateCompleted, timeZone) {
+  const { rule } = parseRecurrence(recurring);
+  return format(nextRecurrenceDate(rule, parseCalendarDate(toCalendarDate(dateCompleted, timeZone))), 'yyyy-MM-dd');
+}
+
+afterEach(() => {
+  if (serverTimeZone === undefined) delete process.env.TZ;
+  else process.env.TZ = serverTimeZone;
+});
+
+describe('toCalendarDate', () => {
+  test('keeps date-only values as they are', () => {
+    assert.equal(toCalendarDate('2024-05-15', 'Pacific/Kiritimati'), '2024-05-15');
+  });
+
+  test('keeps the wall-clock date of date-times without an offset', () => {
+    assert.equal(toCalendarDate('2024-05-15T23:30:00.000', 'UTC'), '2024-05-15');
+  });
+
+  test('reads a completion just before midnight on the day it happened', () => {
+    process.env.TZ = 'UTC';
+    assert.equal(toCalendarDate('2024-05-15T23:30:00.000-07:00', 'America/Los_Angeles'), '2024-05-15');
+    assert.equal(toCalendarDate('2024-05-16T06:30:00.000Z', 'America/Los_Angeles'), '2024-05-15');
+    assert.equal(toCalendarDate('2024-05-16T06:30:00.000Z', 'UTC'), '2024-05-16');
+  });
+
+  test('handles the spring-forward and fall-back days', () => {
+    assert.equal(toCalendarDate('2024-03-10T23:59:00.000-07:00', 'America/Los_Angeles'), '2024-03-10');
+    assert.equal(toCalendarDate('2024-03-10T01:59:00.000-08:00', 'America/Los_Angeles'), '2024-03-10');
+    assert.equal(toCalendarDate('2024-11-03T01:30:00.000-08:00', 'America/Los_Angeles'), '2024-11-03');
+    assert.equal(toCalendarDate('2024-11-03T23:30:00.000-08:00', 'America/Los_Angeles'), '2024-11-03');
+    assert.equal(toCalendarDate('2024-03-31T00:30:00.000+00:00', 'Europe/London'), '2024-03-31');
+  });
+});
+
+describe('isDue', () => {
+  test('uses today in the configured time zone, not the server time zone', () => {
+    const now = new Date('2024-05-16T03:00:00Z');
+    assert.equal(todayIn('America/Los_Angeles', now), '2024-05-15');
+    assert.equal(isDue('2024-05-16', 'America/Los_Angeles', now), false);
+    assert.equal(isDue('2024-05-16', 'UTC', now), true);
+    assert.equal(isDue('2024-05-15', 'America/Los_Angeles', now), true);
+  });
+
+  test('compares date-time recurring dates by their calendar date', () => {
+    const now = new Date('2024-05-15T18:00:00Z');
+    assert.equal(isDue('2024-05-15T20:00:00.000-07:00', 'America/Los_Angeles', now), true);
+    assert.equal(isDue('2024-05-16T08:00:00.000+09:00', 'America/Los_Angeles', now), true);
+    assert.equal(isDue('2024-05-16T08:00:00.000-07:00', 'America/Los_Angeles', now), false);
+  });
+});
+
+describe('Date Recurring arithmetic', () => {
+  for (const timeZone of ['UTC', 'America/Los_Angeles', 'Europe/Berlin', 'Australia/Lord_Howe', 'America/Sao_Paulo']) {
+    describe(`on a server in ${timeZone}`, () => {
+      test('adds days and weeks across DST transitions', () => {
+        process.env.TZ = timeZone;
+        assert.equal(dateRecurring('1 day', '2024-03-09', 'America/Los_Angeles'), '2024-03-10');
+        assert.equal(dateRecurring('1 day', '2024-03-10', 'America/Los_Angeles'), '2024-03-11');
+        assert.equal(dateRecurring('1 week', '2024-03-07', 'America/Los_Angeles'), '2024-03-14');
+        assert.equal(dateRecurring('1 day', '2024-11-02', 'America/Los_Angeles'), '2024-11-03');
+        assert.equal(dateRecurring('1 week', '2024-10-31', 'America/Los_Angeles'), '2024-11-07');
+        assert.equal(dateRecurring('2 days', '2024-10-26', 'Europe/Berlin'), '2024-10-28');
+      });
+
+      test('clamps month arithmetic to the end of shorter months', () => {
+        process.env.TZ = timeZone;
+        assert.equal(dateRecurring('1 month', '2024-01-31', 'UTC'), '2024-02-29');
+        assert.equal(dateRecurring('1 month', '2023-01-31', 'UTC'), '2023-02-28');
+        assert.equal(dateRecurring('3 months', '2024-11-30', 'UTC'), '2025-02-28');
+        assert.equal(dateRecurring('1 year', '2024-02-29', 'UTC'), '2025-02-28');
+        assert.equal(dateRecurring('1 month', '2024-03-31', 'UTC'), '2024-04-30');
+      });
+
+      test('lands end-of-month rules on the last day', () => {
+        process.env.TZ = timeZone;
+        assert.equal(dateRecurring('end of month', '2024-01-31', 'UTC'), '2024-02-29');
+        assert.equal(dateRecurring('end of month', '2024-02-10', 'UTC'), '2024-02-29');
+        assert.equal(dateRecurring('every 1 month on the 31st', '2024-03-31', 'UTC'), '2024-05-31');
+      });
+
+      test('uses the completion day in the configured time zone', () => {
+        process.env.TZ = timeZone;
+        assert.equal(dateRecurring('1 day', '2024-03-10T23:45:00.000-07:00', 'America/Los_Angeles'), '2024-03-11');
+        assert.equal(dateRecurring('1 month', '2024-01-31T23:30:00.000-08:00', 'America/Los_Angeles'), '2024-02-29');
+        assert.equal(dateRecurring('1 month', '2024-01-31T23:30:00.000-08:00', 'UTC'), '2024-03-01');
+      });
+    });
+  }
+});
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA names and rejects anything else', () => {
+    assert.equal(isValidTimeZone('America/Los_Angeles'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  });
+});
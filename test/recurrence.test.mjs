@@ -0,0 +1,149 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRecurrence, nextRecurrenceDate, isSeriesFinished } from '../src/libs/recurrence.mjs';
+
+const date = (year, month, day) => new Date(year, month - 1, day);
+const next = (input, completed) => nextRecurrenceDate(parseRecurrence(input).rule, completed);
+
+describe('parseRecurrence', () => {
+  test('parses completion intervals', () => {
+    assert.deepEqual(parseRecurrence('1 week').rule.interval, { weeks: 1 });
+    assert.deepEqual(parseRecurrence('1 week 3 days').rule.interval, { weeks: 1, days: 3 });
+    assert.deepEqual(parseRecurrence('2 months, 1 week').rule.interval, { months: 2, weeks: 1 });
+    assert.deepEqual(parseRecurrence('fortnight').rule.interval, { weeks: 2 });
+    assert.deepEqual(parseRecurrence('every other month').rule.interval, { months: 2 });
+    assert.deepEqual(parseRecurrence('Quarterly').rule.interval, { months: 3 });
+    assert.equal(parseRecurrence('1 week').rule.mode, 'completion');
+  });
+
+  test('parses ranges', () => {
+    const { rule } = parseRecurrence('1-2 weeks');
+    assert.deepEqual([rule.interval, rule.maxInterval], [{ weeks: 1 }, { weeks: 2 }]);
+    assert.deepEqual(parseRecurrence('3 to 5 days').rule.maxInterval, { days: 5 });
+  });
+
+  test('parses calendar anchors', () => {
+    assert.deepEqual(parseRecurrence('every Mon,Thu').rule.byDay.map(({ day }) => day), ['MO', 'TH']);
+    assert.equal(parseRecurrence('every weekday').rule.byDay.length, 5);
+    assert.deepEqual(parseRecurrence('2nd Tuesday').rule.byDay, [{ day: 'TU', ordinal: 2 }]);
+    assert.deepEqual(parseRecurrence('last friday').rule.byDay, [{ day: 'FR', ordinal: -1 }]);
+    assert.deepEqual(parseRecurrence('the 15th').rule.byMonthDay, [15]);
+    assert.deepEqual(parseRecurrence('end of month').rule.byMonthDay, [-1]);
+    assert.equal(parseRecurrence('next Saturday after completion').rule.freq, 'WEEKLY');
+  });
+
+  test('parses intervals with an anchor', () => {
+    const { rule } = parseRecurrence('every 2 weeks on Friday');
+    assert.deepEqual([rule.mode, rule.freq, rule.interval], ['calendar', 'WEEKLY', 2]);
+    assert.deepEqual(parseRecurrence('every 3 months on the last day').rule.byMonthDay, [-1]);
+    assert.equal(parseRecurrence('every 1 year on the 1st').rule.freq, 'YEARLY');
+  });
+
+  test('parses shorthands with an anchor', () => {
+    assert.deepEqual(parseRecurrence('weekly on mon').rule, { ...parseRecurrence('every 1 week on mon').rule, source: 'weekly on mon' });
+    const { rule } = parseRecurrence('monthly on the 31st');
+    assert.deepEqual([rule.freq, rule.interval, rule.byMonthDay], ['MONTHLY', 1, [31]]);
+    assert.equal(parseRecurrence('quarterly on the 1st').rule.interval, 3);
+    assert.equal(parseRecurrence('fortnightly on Friday').rule.interval, 2);
+    assert.equal(parseRecurrence('daily on mon').error.code, 'UnknownUnit');
+    assert.equal(parseRecurrence('weekly on the 1st').error.code, 'UnknownAnchor');
+  });
+
+  test('parses RRULE strings', () => {
+    const { rule } = parseRecurrence('DTSTART:20240105\nRRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1FR');
+    assert.deepEqual([rule.freq, rule.interval, rule.byDay], ['MONTHLY', 2, [{ day: 'FR', ordinal: 1 }]]);
+    assert.equal(rule.dtstart.getDate(), 5);
+    assert.deepEqual(parseRecurrence('FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=1').rule.byMonth, [3]);
+  });
+
+  test('explains what was wrong', () => {
+    assert.equal(parseRecurrence('').error.code, 'EmptyRecurrence');
+    assert.equal(parseRecurrence(undefined).error.code, 'EmptyRecurrence');
+    assert.equal(parseRecurrence('whenever').error.code, 'UnknownUnit');
+    assert.equal(parseRecurrence('1 lightyear').error.code, 'UnknownUnit');
+    assert.equal(parseRecurrence('3-1 weeks').error.code, 'InvalidRange');
+    assert.equal(parseRecurrence('every 2 weeks on someday').error.code, 'UnknownAnchor');
+    assert.equal(parseRecurrence('6th monday').error.code, 'InvalidAnchor');
+    assert.equal(parseRecurrence('monthly on the 32nd').error.code, 'InvalidAnchor');
+    assert.equal(parseRecurrence('FREQ=HOURLY').error.code, 'InvalidRRule');
+    assert.equal(parseRecurrence('RRULE:BYDAY=MO').error.code, 'InvalidRRule');
+    assert.equal(parseRecurrence('1 week').error, null);
+  });
+});
+
+describe('nextRecurrenceDate', () => {
+  test('adds the interval to the completion date', () => {
+    assert.deepEqual(next('1 week 3 days', date(2026, 10, 19)), date(2026, 10, 29));
+    assert.deepEqual(next('1-2 weeks', date(2026, 10, 19)), date(2026, 10, 26));
+  });
+
+  test('finds the next date on a calendar schedule', () => {
+    assert.deepEqual(next('every Mon,Thu', date(2026, 10, 19)), date(2026, 10, 22));
+    assert.deepEqual(next('2nd Tuesday', date(2026, 10, 19)), date(2026, 11, 10));
+    assert.deepEqual(next('end of month', date(2026, 10, 31)), date(2026, 11, 30));
+    assert.deepEqual(next('weekly on mon', date(2026, 10, 19)), date(2026, 10, 26));
+  });
+
+  test('skips months too short for the day', () => {
+    assert.deepEqual(next('monthly on the 31st', date(2026, 10, 31)), date(2026, 12, 31));
+  });
+
+  test('counts intervals from DTSTART', () => {
+    assert.deepEqual(next('DTSTART:20261005\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', date(2026, 10, 12)), date(2026, 10, 19));
+  });
+
+  test('reaches the completion date from a DTSTART years in the past', () => {
+    assert.deepEqual(next('DTSTART:20200101\nRRULE:FREQ=DAILY', date(2026, 10, 19)), date(2026, 10, 20));
+    assert.deepEqual(next('DTSTART:20200106\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', date(2026, 10, 19)), date(2026, 11, 2));
+    assert.deepEqual(next('DTSTART:19900101\nRRULE:FREQ=MONTHLY;INTERVAL=5;BYMONTHDAY=1', date(2026, 10, 19)), date(2027, 2, 1));
+    assert.deepEqual(next('DTSTART:19000301\nRRULE:FREQ=YEARLY;INTERVAL=4;BYMONTH=3;BYMONTHDAY=1', date(2026, 10, 19)), date(2028, 3, 1));
+  });
+});
+
+describe('lead time and end conditions', () => {
+  test('are parsed after the schedule in any order', () => {
+    const { rule } = parseRecurrence('2 weeks, 1 week early, 3 times, until 2027-01-01');
+    assert.deepEqual(rule.interval, { weeks: 2 });
+    assert.deepEqual(rule.leadTime, { weeks: 1 });
+    assert.equal(rule.count, 3);
+    assert.equal(rule.until.getFullYear(), 2027);
+  });
+
+  test('work with calendar schedules', () => {
+    const { rule } = parseRecurrence('every 2 weeks on Friday, 3 days early');
+    assert.equal(rule.mode, 'calendar');
+    assert.equal(rule.interval, 2);
+    assert.deepEqual(rule.leadTime, { days: 3 });
+  });
+
+  test('default to none', () => {
+    const { rule } = parseRecurrence('1 month');
+    assert.deepEqual([rule.leadTime, rule.count, rule.until], [null, null, null]);
+  });
+
+  test('are read from RRULE COUNT and UNTIL', () => {
+    assert.equal(parseRecurrence('RRULE:FREQ=WEEKLY;COUNT=4').rule.count, 4);
+    assert.equal(parseRecurrence('FREQ=MONTHLY;UNTIL=20270601T000000Z').rule.until.getMonth(), 5);
+  });
+
+  test('reject invalid values', () => {
+    assert.equal(parseRecurrence('1 week, 0 times').error.code, 'InvalidNumber');
+    assert.equal(parseRecurrence('daily until 2027-13-01').error.code, 'InvalidEndDate');
+    assert.equal(parseRecurrence('1 month, 2 months early').error.code, 'UnknownUnit');
+    assert.equal(parseRecurrence('FREQ=DAILY;COUNT=0').error.code, 'InvalidRRule');
+  });
+});
+
+describe('isSeriesFinished', () => {
+  test('ends a counted series once the last occurrence is completed', () => {
+    const { rule } = parseRecurrence('1 week, 3 times');
+    assert.equal(isSeriesFinished(rule, new Date(2027, 0, 8), 2), false);
+    assert.equal(isSeriesFinished(rule, new Date(2027, 0, 8), 3), true);
+  });
+
+  test('ends a series once the next date falls after the end date', () => {
+    const { rule } = parseRecurrence('1 week, until 2027-06-01');
+    assert.equal(isSeriesFinished(rule, new Date(2027, 5, 1), 1), false);
+    assert.equal(isSeriesFinished(rule, new Date(2027, 5, 2), 1), true);
+  });
+});
@@ -0,0 +1,55 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { beginRunReport, recordAction, recordFailure, timeStep, finishRunReport, formatJsonLines, formatRunReport } from '../src/libs/report.mjs';
+
+const summary = { database: 'Home', totalCompletedTasks: 2, recurringParseFailures: 1, message: 'Archived and processed completed tasks.' };
+
+function sampleReport() {
+  beginRunReport('schedule', false);
+  recordAction({ action: 'setStatus', database: 'Home', taskName: 'Water Plants', pageId: 'p1', description: 'Status → Recurring Archive', properties: {} });
+  recordFailure({ database: 'Home', pageId: 'p2', taskName: 'Clean Gutters', code: 'InvalidRecurring', reason: '"every blue moon" is not a schedule.' });
+  return finishRunReport(summary, true);
+}
+
+describe('run report', () => {
+  test('collects actions, failures and timings between begin and finish', async () => {
+    beginRunReport('manual', true);
+    await timeStep('processDoneTasks', 'Home', async () => recordAction({ action: 'setDateRecurring', database: 'Home', taskName: 'Water Plants', pageId: 'p1', description: 'Date Recurring → 2024-05-08' }));
+    const report = finishRunReport(summary, false);
+
+    assert.equal(report.trigger, 'manual');
+    assert.equal(report.dryRun, true);
+    assert.equal(report.actions.length, 1);
+    assert.equal(report.actions[0].properties, undefined);
+    assert.deepEqual(report.timings.map(timing => [timing.step, timing.database]), [['processDoneTasks', 'Home']]);
+    assert.equal(finishRunReport(summary, false), null);
+  });
+
+  test('ignores actions recorded outside a run', () => {
+    recordAction({ action: 'setStatus', database: 'Home', taskName: 'Stray', pageId: 'p9', description: 'Status → Archive' });
+    beginRunReport('manual', false);
+    assert.equal(finishRunReport(summary, false).actions.length, 0);
+  });
+});
+
+describe('formatJsonLines', () => {
+  test('emits one event per line, from run_started to run_finished', () => {
+    const report = sampleReport();
+    const events = formatJsonLines(report).trim().split("\n").map(line => JSON.parse(line));
+
+    assert.deepEqual(events.map(event => event.type), ['run_started', 'action', 'failure', 'run_finished']);
+    assert.ok(events.every(event => event.runId === report.runId));
+    assert.equal(events[2].code, 'InvalidRecurring');
+    assert.equal(events[3].failed, true);
+    assert.deepEqual(events[3].summary, summary);
+  });
+});
+
+describe('formatRunReport', () => {
+  test('starts with a headline and lists failures and changes', () => {
+    const lines = formatRunReport(sampleReport()).split("\n");
+    assert.equal(lines[0], 'Recurring tasks: failed (1 problem(s)), 1 change(s)');
+    assert.ok(lines.includes('  - Home "Clean Gutters" [InvalidRecurring]: "every blue moon" is not a schedule.'));
+    assert.ok(lines.includes('  - Home: "Water Plants": Status → Recurring Archive'));
+  });
+});
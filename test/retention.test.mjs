@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectTasksToPurge, propertyText, parseCsvLine, formatCsvRows, splitCsvRecords } from '../src/libs/retention.mjs';
+
+const task = (page_id, name, date_completed, extra = {}) => ({ page_id, name, recurring: '1 week', date_completed, ...extra });
+
+describe('selectTasksToPurge', () => {
+  test('purges every candidate when no series tasks are kept', () => {
+    const candidates = [task('a', 'Water Plants', '2024-01-01'), task('b', 'Taxes', '2024-02-01', { recurring: undefined })];
+    assert.deepEqual(selectTasksToPurge(candidates, candidates, 0), { purge: candidates, kept: [] });
+  });
+
+  test('keeps the most recent tasks of each series, counting those not old enough yet', () => {
+    const old = [task('a', 'Water Plants', '2024-01-01'), task('b', 'Water Plants', '2024-01-08'), task('c', 'Clean Gutters', '2024-03-01')];
+    const recent = [task('d', 'Water Plants', '2026-10-10')];
+    const { purge, kept } = selectTasksToPurge(old, [...old, ...recent], 2);
+
+    assert.deepEqual(purge.map(t => t.page_id), ['a']);
+    assert.deepEqual(kept.map(t => t.page_id), ['b', 'c']);
+  });
+
+  test('groups renamed tasks by their series ID', () => {
+    const old = [task('a', 'Walk', '2024-01-01', { series_id: 's' }), task('b', 'Walk the dog', '2024-01-08', { series_id: 's' })];
+    const { purge } = selectTasksToPurge(old, old, 1);
+    assert.deepEqual(purge.map(t => t.page_id), ['a']);
+  });
+
+  test('ranks tasks without a completion date by creation time', () => {
+    const old = [task('a', 'Walk', undefined, { created_time: '2024-01-01T00:00:00.000Z' }), task('b', 'Walk', undefined, { created_time: '2024-02-01T00:00:00.000Z' })];
+    assert.deepEqual(selectTasksToPurge(old, old, 1).kept.map(t => t.page_id), ['b']);
+  });
+});
+
+describe('propertyText', () => {
+  test('converts Notion property values to plain text', () => {
+    assert.equal(propertyText({ type: 'title', title: [{ plain_text: 'Water ' }, { plain_text: 'Plants' }] }), 'Water Plants');
+    assert.equal(propertyText({ type: 'select', select: { id: 'x', name: 'Archive' } }), 'Archive');
+    assert.equal(propertyText({ type: 'select', select: null }), '');
+    assert.equal(propertyText({ type: 'multi_select', multi_select: [{ name: 'Home' }, { name: 'Garden' }] }), 'Home, Garden');
+    assert.equal(propertyText({ type: 'date', date: { start: '2024-05-01', end: '2024-05-03' } }), '2024-05-01/2024-05-03');
+    assert.equal(propertyText({ type: 'checkbox', checkbox: false }), 'false');
+    assert.equal(propertyText({ type: 'number', number: 0 }), '0');
+    assert.equal(propertyText({ type: 'unique_id', unique_id: { prefix: 'TSK', number: 12 } }), 'TSK-12');
+    assert.equal(propertyText({ type: 'formula', formula: { type: 'string', string: 'late' } }), 'late');
+    assert.equal(propertyText({ type: 'rollup', rollup: { type: 'array', array: [{ type: 'number', number: 1 }, { type: 'number', number: 2 }] } }), '1, 2');
+    assert.equal(propertyText(undefined), '');
+  });
+});
+
+describe('CSV export', () => {
+  const page = {
+    id: 'p1', url: 'https://www.notion.so/p1', created_time: '2024-01-01T00:00:00.000Z', last_edited_time: '2024-01-02T00:00:00.000Z',
+    properties: {
+      Name: { type: 'title', title: [{ plain_text: 'Say "hi", then leave' }] },
+      Tags: { type: 'multi_select', multi_select: [{ name: 'Home' }] }
+    }
+  };
+
+  test('writes a header with the page columns and properties for a new file', () => {
+    assert.equal(formatCsvRows([page], 'Home', null),
+      'database,id,url,created_time,last_edited_time,Name,Tags\n' +
+      'Home,p1,https://www.notion.so/p1,2024-01-01T00:00:00.000Z,2024-01-02T00:00:00.000Z,"Say ""hi"", then leave",Home\n');
+  });
+
+  test('follows the header of an existing file', () => {
+    assert.equal(formatCsvRows([page], 'Home', ['id', 'Tags', 'Due']), 'p1,Home,\n');
+  });
+
+  test('reads a header back, including quoted names', () => {
+    assert.deepEqual(parseCsvLine('database,id,"Done, really",""""'), ['database', 'id', 'Done, really', '"']);
+    assert.deepEqual(parseCsvLine('a,,b'), ['a', '', 'b']);
+  });
+
+  test('splits a file into records, keeping line breaks inside quoted fields', () => {
+    assert.deepEqual(splitCsvRecords('id,Notes\r\np1,"two\nlines"\np2,""""\n'), ['id,Notes', 'p1,"two\nlines"', 'p2,""""']);
+    assert.deepEqual(splitCsvRecords(''), []);
+  });
+});
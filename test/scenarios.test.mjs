@@ -0,0 +1,491 @@
+import { test, describe, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync, utimesSync, statSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const tasksDb = '0f6d1c2b3a4e4f5a8b9c0d1e2f3a4b5c';
+const cardsDb = '1a2b3c4d5e6f4a7b8c9d0e1f2a3b4c5d';
+
+// The application reads its settings when it is first imported, so they are put in place before the dynamic imports.
+const dir = mkdtempSync(join(tmpdir(), 'recurring-tasks-'));
+writeFileSync(join(dir, 'config.json'), JSON.stringify({
+  timeZone: 'UTC',
+  statuses: { done: ['Done'] },
+  properties: { dueDate: 'Due', occurrence: 'Occurrence' },
+  databases: [{ name: 'Home', id: tasksDb, errorCards: { database: cardsDb, properties: { task: 'Task', details: 'Details' } } }]
+}));
+Object.assign(process.env, {
+  CONFIG_FILE: join(dir, 'config.json'),
+  DOTENV_CONFIG_PATH: join(dir, '.env'),
+  JOURNAL_FILE: join(dir, 'journal.json'),
+  LOCK_FILE: join(dir, 'run.lock'),
+  NOTION_REQUESTS_PER_SECOND: '1000'
+});
+
+const { config } = await import('../src/libs/config.mjs');
+const { createMemoryNotion, notionError } = await import('../src/libs/memoryNotion.mjs');
+const { setNotionClient } = await import('../src/libs/notion.mjs');
+const { runPipeline, runPagePipeline, hasFailures } = await import('../src/libs/pipeline.mjs');
+const { calendarResponse } = await import('../src/libs/calendar.mjs');
+const { setDryRun } = await import('../src/libs/plan.mjs');
+const { withRunLock } = await import('../src/libs/lock.mjs');
+const { skipTask, recurTaskNow } = await import('../src/libs/commands.mjs');
+config.notionRateLimit.initialBackoffMs = 1;
+
+const taskSchema = {
+  Name: 'title',
+  Status: { select: ['Todo', 'Done', 'Archive', 'Recurring Archive', 'New Recurring'] },
+  Recurring: 'rich_text',
+  'Date Completed': 'date',
+  'Date Recurring': 'date',
+  'Date Created': 'created_time',
+  Due: 'date',
+  Occurrence: 'number',
+  Notes: 'rich_text'
+};
+const cardSchema = {
+  Name: 'title',
+  Status: { select: ['New Recurring', 'Archive'] },
+  Stage: { select: ['Open', 'Closed'] },
+  Task: { relation: { database_id: tasksDb } },
+  Details: 'rich_text'
+};
+
+const day = offset => new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+const today = day(0);
+
+let notion;
+
+/**
+ * Sets up an empty workspace with the task and error card databases.
+ */
+function workspace(schema = taskSchema) {
+  notion = createMemoryNotion();
+  notion.addDatabase(schema, { id: tasksDb });
+  notion.addDatabase(cardSchema, { id: cardsDb });
+  setNotionClient(notion);
+}
+
+const tasksWithStatus = status => notion.listPages(tasksDb).filter(page => page.Status === status);
+const createRequests = () => notion.requests.filter(request => request.method === 'pages.create' && request.params.parent.database_id === tasksDb);
+
+beforeEach(() => {
+  workspace();
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+});
+afterEach(() => mock.restoreAll());
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe('task lifecycle', () => {
+  test('archives completed tasks and recurs the ones that are due', async () => {
+    const original = notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Done', Recurring: 'every 3 days', 'Date Completed': day(-3), Occurrence: 1, Notes: 'Use rain water' }, {
+      children: [{ type: 'to_do', to_do: { rich_text: [{ text: { content: 'Check soil' } }], checked: true } }]
+    });
+    const oneOff = notion.addPage(tasksDb, { Name: 'Buy stamps', Status: 'Done', 'Date Completed': day(-1) });
+
+    const summary = await runPipeline();
+
+    assert.equal(summary.totalCompletedTasks, 2);
+    assert.equal(summary.recurredTasks, 1);
+    assert.equal(hasFailures(summary), false);
+    assert.deepEqual([notion.pageValues(original).Status, notion.pageValues(original)['Date Recurring']], ['Archive', today]);
+    assert.deepEqual([notion.pageValues(oneOff).Status, notion.pageValues(oneOff)['Date Recurring']], ['Archive', null]);
+
+    const [created] = tasksWithStatus('New Recurring');
+    assert.equal(created.Name, 'Water plants');
+    assert.equal(created.Due, today);
+    assert.equal(created.Occurrence, 2);
+    assert.equal(created.Notes, 'Use rain water');
+    assert.equal(created['Date Completed'], null);
+    assert.equal(created['Date Recurring'], null);
+
+    const [todo] = notion.blockChildren(created.id);
+    assert.equal(todo.to_do.rich_text[0].plain_text, 'Check soil');
+    assert.equal(todo.to_do.checked, false);
+  });
+
+  test('keeps a task in the Recurring Archive until its date comes', async () => {
+    const id = notion.addPage(tasksDb, { Name: 'Clean filter', Status: 'Done', Recurring: 'every week', 'Date Completed': today });
+
+    await runPipeline();
+    assert.deepEqual([notion.pageValues(id).Status, notion.pageValues(id)['Date Recurring']], ['Recurring Archive', day(7)]);
+
+    await runPipeline();
+    assert.equal(tasksWithStatus('New Recurring').length, 0);
+
+    await notion.pages.update({ page_id: id, properties: { 'Date Recurring': { date: { start: today } } } });
+    const summary = await runPipeline();
+    assert.equal(summary.recurredTasks, 1);
+    assert.equal(notion.pageValues(id).Status, 'Archive');
+    assert.equal(tasksWithStatus('New Recurring').length, 1);
+  });
+
+  test('finishes a series that reached its end condition', async () => {
+    const id = notion.addPage(tasksDb, { Name: 'Physio', Status: 'Done', Recurring: 'every day, 3 times', 'Date Completed': day(-1), Occurrence: 3 });
+
+    const summary = await runPipeline();
+
+    assert.equal(summary.finishedSeries, 1);
+    assert.equal(notion.pageValues(id).Status, 'Archive');
+    assert.equal(tasksWithStatus('New Recurring').length, 0);
+  });
+
+  test('recurs a task in a real run that follows a dry run in the same process', async () => {
+    const id = notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Recurring Archive', Recurring: 'every day', 'Date Recurring': today });
+
+    setDryRun(true);
+    try {
+      await runPipeline();
+    } finally {
+      setDryRun(false);
+    }
+    assert.equal(createRequests().length, 0);
+
+    const summary = await runPipeline();
+
+    assert.equal(summary.resumedTasks, 0);
+    assert.equal(notion.pageValues(id).Status, 'Archive');
+    assert.deepEqual(tasksWithStatus('New Recurring').map(page => page.Name), ['Water plants']);
+  });
+
+  test('processes the single page a webhook names', async () => {
+    const id = notion.addPage(tasksDb, { Name: 'Feed cat', Status: 'Done', Recurring: 'every day', 'Date Completed': day(-1) });
+    const other = notion.addPage(tasksDb, { Name: 'Buy stamps', Status: 'Done' });
+
+    const { total } = await runPagePipeline([id]);
+
+    assert.equal(total.pages, 1);
+    assert.equal(total.recurredTasks, 1);
+    assert.equal(notion.pageValues(id).Status, 'Archive');
+    assert.equal(notion.pageValues(other).Status, 'Done');
+  });
+});
+
+describe('failures', () => {
+  test('retries rate-limited and failing requests', async () => {
+    notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Done', Recurring: 'every day', 'Date Completed': day(-1) });
+    notion.fail('databases.query', notionError(503));
+    notion.fail('pages.create', notionError(429), { times: 2 });
+
+    const summary = await runPipeline();
+
+    assert.equal(hasFailures(summary), false);
+    assert.equal(summary.recurredTasks, 1);
+    assert.equal(createRequests().length, 3);
+    assert.equal(tasksWithStatus('New Recurring').length, 1);
+  });
+
+  test('doesn\'t send a create again after a server error, so a page Notion created anyway isn\'t duplicated', async () => {
+    const id = notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Recurring Archive', Recurring: 'every day', 'Date Recurring': today });
+    notion.fail('pages.create', params => {
+      notion.addPage(tasksDb, { Name: params.properties.Name.title[0].text.content, Status: 'New Recurring' });
+      return notionError(502);
+    });
+
+    const interrupted = await runPipeline();
+    assert.equal(interrupted.recurCreationFailures, 1);
+    assert.equal(createRequests().length, 1);
+
+    const resumed = await runPipeline();
+
+    assert.equal(resumed.resumedTasks, 1);
+    assert.equal(notion.pageValues(id).Status, 'Archive');
+    assert.equal(tasksWithStatus('New Recurring').length, 1);
+  });
+
+  test('files an error card for a task that fails to recur, and closes it once it recurs', async () => {
+    const failing = notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Recurring Archive', Recurring: 'every day', 'Date Recurring': today });
+    notion.addPage(tasksDb, { Name: 'Feed cat', Status: 'Recurring Archive', Recurring: 'every day', 'Date Recurring': today });
+    notion.fail('pages.create', notionError(400, 'validation_error', 'Occurrence is expected to be number.'), {
+      when: params => params.properties.Name?.title[0].text.content === 'Water plants'
+    });
+
+    const summary = await runPipeline();
+
+    assert.equal(summary.recurCreationFailures, 1);
+    assert.equal(hasFailures(summary), true);
+    assert.equal(notion.pageValues(failing).Status, 'Recurring Archive');
+    assert.deepEqual(tasksWithStatus('New Recurring').map(page => page.Name), ['Feed cat']);
+
+    const [card] = notion.listPages(cardsDb);
+    assert.match(card.Name, /\[RecurCreationFail\]$/);
+    assert.equal(card.Status, 'New Recurring');
+    assert.deepEqual(card.Task, [failing]);
+    assert.match(card.Details, /Occurrence is expected to be number/);
+
+    const retry = await runPipeline();
+
+    assert.equal(retry.recurredTasks, 1);
+    assert.equal(retry.resolvedErrorCards, 1);
+    assert.equal(notion.pageValues(failing).Status, 'Archive');
+    assert.equal(notion.pageValues(card.id).Status, 'Archive');
+  });
+
+  test('resolves the cards of databases sharing an error card database with their own settings', async () => {
+    const workDb = '2b3c4d5e6f7a4b8c9d0e1f2a3b4c5d6e';
+    const [home] = config.databases;
+    const work = { ...home, name: 'Work', tasksDb: workDb, errorCards: { ...home.errorCards, openStatus: 'Open', resolvedStatus: 'Closed', properties: { ...home.errorCards.properties, status: 'Stage', task: null } } };
+    config.databases.push(work);
+    try {
+      notion.addDatabase(taskSchema, { id: workDb });
+      const failing = notion.addPage(workDb, { Name: 'File expenses', Status: 'Recurring Archive', Recurring: 'every day', 'Date Recurring': today });
+      notion.fail('pages.create', notionError(400, 'validation_error', 'Occurrence is expected to be number.'), { times: 1 });
+
+      await runPipeline();
+      const [card] = notion.listPages(cardsDb);
+      assert.deepEqual([card.Stage, card.Status], ['Open', null]);
+
+      const retry = await runPipeline();
+
+      assert.equal(retry.total.resolvedErrorCards, 1);
+      assert.equal(notion.pageValues(failing).Status, 'Archive');
+      assert.equal(notion.pageValues(card.id).Stage, 'Closed');
+    } finally {
+      config.databases.pop();
+    }
+  });
+
+  test('reports an invalid recurrence once, however many runs see it', async () => {
+    const id = notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Done', Recurring: 'every blue moon', 'Date Completed': day(-1) });
+
+    const summary = await runPipeline();
+    await runPipeline();
+
+    assert.equal(summary.recurringParseFailures, 1);
+    assert.equal(notion.pageValues(id).Status, 'Done');
+    const cards = notion.listPages(cardsDb);
+    assert.equal(cards.length, 1);
+    assert.match(cards[0].Name, /\[InvalidRecurring\]$/);
+
+    await notion.pages.update({ page_id: id, properties: { Recurring: { rich_text: [{ text: { content: 'every day' } }] } } });
+    const fixed = await runPipeline();
+
+    assert.equal(fixed.resolvedErrorCards, 1);
+    assert.equal(notion.pageValues(cards[0].id).Status, 'Archive');
+  });
+
+  test('finishes an interrupted recurrence without creating the task twice', async () => {
+    const id = notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Recurring Archive', Recurring: 'every day', 'Date Recurring': today });
+    notion.fail('pages.update', notionError(500), {
+      times: config.notionRateLimit.maxRetries + 1,
+      when: params => params.page_id === id && params.properties?.Status
+    });
+
+    const interrupted = await runPipeline();
+
+    assert.equal(interrupted.archiveFailures, 1);
+    assert.equal(notion.pageValues(id).Status, 'Recurring Archive');
+    assert.match(notion.listPages(cardsDb)[0].Name, /\[ArchiveFailed\]$/);
+
+    const resumed = await runPipeline();
+
+    assert.equal(resumed.resumedTasks, 1);
+    assert.equal(notion.pageValues(id).Status, 'Archive');
+    assert.equal(createRequests().length, 1);
+    assert.equal(tasksWithStatus('New Recurring').length, 1);
+  });
+
+  test('adopts a page Notion dates to the start of the minute the spawn started in', async () => {
+    const id = notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Recurring Archive', Recurring: 'every day', 'Date Recurring': today });
+    notion.fail('pages.create', params => {
+      const page = notion.addPage(tasksDb, { Name: params.properties.Name.title[0].text.content, Status: 'New Recurring' });
+      assert.match(notion.getPage(page).created_time, /:00\.000Z$/);
+      return notionError(400, 'validation_error', 'The response was lost.');
+    });
+
+    await runPipeline();
+    const resumed = await runPipeline();
+
+    assert.equal(resumed.resumedTasks, 1);
+    assert.equal(notion.pageValues(id).Status, 'Archive');
+    assert.equal(tasksWithStatus('New Recurring').length, 1);
+  });
+
+  test('adopts a page whose title a template rendered when the journal never learned its ID', async () => {
+    const id = notion.addPage(tasksDb, { Name: 'Pay rent — {{date_recurring:yyyy-MM-dd}}', Status: 'Recurring Archive', Recurring: 'every day', 'Date Recurring': today });
+    notion.fail('pages.create', params => {
+      notion.addPage(tasksDb, { Name: params.properties.Name.title[0].text.content, Status: 'New Recurring' });
+      return notionError(400, 'validation_error', 'The response was lost.');
+    });
+
+    const interrupted = await runPipeline();
+    assert.equal(interrupted.recurCreationFailures, 1);
+
+    const resumed = await runPipeline();
+
+    assert.equal(resumed.resumedTasks, 1);
+    assert.equal(notion.pageValues(id).Status, 'Archive');
+    assert.deepEqual(tasksWithStatus('New Recurring').map(page => page.Name), [`Pay rent — ${today}`]);
+  });
+
+  test('fails a database whose schema doesn\'t match the settings, pointing at doctor', async () => {
+    workspace({ ...taskSchema, Status: { status: ['Done', 'Archive', 'Recurring Archive', 'New Recurring'] } });
+    notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Done', Recurring: 'every day', 'Date Completed': day(-1) });
+
+    const summary = await runPipeline();
+
+    assert.match(summary.error, /does not match filter select.*npm run doctor/);
+    assert.equal(hasFailures(summary), true);
+  });
+
+  test('fails a database whose settings name a property it doesn\'t have, pointing at doctor', async () => {
+    const schema = { ...taskSchema };
+    delete schema.Recurring;
+    workspace(schema);
+    const id = notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Done', 'Date Completed': day(-1) });
+
+    const summary = await runPipeline();
+
+    assert.match(summary.error, /no property "Recurring" \(properties\.recurring\).*npm run doctor/);
+    assert.equal(hasFailures(summary), true);
+    assert.equal(notion.pageValues(id).Status, 'Done');
+  });
+});
+
+describe('retention', () => {
+  test('exports a task once when trashing it fails and a later run purges it', async () => {
+    const [home] = config.databases;
+    const retention = home.retention;
+    const exportFile = join(dir, 'archive.jsonl');
+    home.retention = { ...retention, afterDays: 30, action: 'export', keepPerSeries: 0, exportFile };
+    try {
+      const old = new Date(Date.now() - 60 * 86400000).toISOString();
+      const page = notion.addPage(tasksDb, { Name: 'Taxes 2025', Status: 'Archive' }, { created_time: old, last_edited_time: old });
+      notion.fail('pages.update', notionError(400, 'validation_error', 'Trashing failed.'), { when: params => params.archived });
+
+      const failed = await runPipeline();
+      assert.equal(failed.purgeFailures, 1);
+      assert.equal(notion.pageValues(page).trashed, false);
+
+      const retry = await runPipeline();
+      assert.equal(retry.purgedTasks, 1);
+      assert.equal(notion.pageValues(page).trashed, true);
+      assert.deepEqual(readFileSync(exportFile, 'utf8').trim().split('\n').map(line => JSON.parse(line).id), [page]);
+    } finally {
+      home.retention = retention;
+    }
+  });
+});
+
+describe('sub-items', () => {
+  const treeSchema = { ...taskSchema, 'Sub-item': { relation: { database_id: tasksDb } }, 'Parent item': { relation: { database_id: tasksDb } } };
+  const relate = (parent, children) => notion.pages.update({ page_id: parent, properties: { 'Sub-item': { relation: children.map(id => ({ id })) } } });
+
+  beforeEach(() => workspace(treeSchema));
+  afterEach(() => { config.databases[0].relations = {}; });
+
+  test('clones an owned task tree onto the new task and archives the old one', async () => {
+    config.databases[0].relations = { 'Sub-item': 'owned' };
+    const parent = notion.addPage(tasksDb, { Name: 'Pack for trip', Status: 'Recurring Archive', Recurring: 'every week', 'Date Recurring': today });
+    const packed = notion.addPage(tasksDb, { Name: 'Clothes', Status: 'Done', 'Parent item': [parent] });
+    const skipped = notion.addPage(tasksDb, { Name: 'Charger', Status: 'Todo', 'Parent item': [parent] });
+    const nested = notion.addPage(tasksDb, { Name: 'Socks', Status: 'Todo', 'Parent item': [packed] });
+    await relate(parent, [packed, skipped]);
+    await relate(packed, [nested]);
+
+    const summary = await runPipeline();
+
+    assert.equal(hasFailures(summary), false);
+    const [recurred] = tasksWithStatus('New Recurring').filter(page => page.Name === 'Pack for trip');
+    const children = recurred['Sub-item'].map(id => notion.pageValues(id));
+    assert.deepEqual(children.map(child => [child.Name, child.Status, child['Parent item']]),
+      [['Clothes', 'New Recurring', [recurred.id]], ['Charger', 'New Recurring', [recurred.id]]]);
+    const [socks] = children[0]['Sub-item'].map(id => notion.pageValues(id));
+    assert.deepEqual([socks.Name, socks.Status, socks['Parent item']], ['Socks', 'New Recurring', [children[0].id]]);
+    assert.deepEqual([parent, packed, skipped, nested].map(id => notion.pageValues(id).Status), ['Archive', 'Archive', 'Archive', 'Archive']);
+    assert.equal(notion.listPages(tasksDb).length, 8);
+  });
+
+  test('keeps shared relations pointing at the same pages', async () => {
+    const parent = notion.addPage(tasksDb, { Name: 'Pack for trip', Status: 'Recurring Archive', Recurring: 'every week', 'Date Recurring': today });
+    const child = notion.addPage(tasksDb, { Name: 'Clothes', Status: 'Todo', 'Parent item': [parent] });
+    await relate(parent, [child]);
+
+    await runPipeline();
+
+    assert.deepEqual(tasksWithStatus('New Recurring')[0]['Sub-item'], [child]);
+    assert.equal(notion.pageValues(child).Status, 'Todo');
+    assert.equal(notion.listPages(tasksDb).length, 3);
+  });
+});
+
+describe('commands', () => {
+  test('wait for the run lock instead of changing a task a run is processing', async () => {
+    const page = notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Recurring Archive', Recurring: 'every day', 'Date Recurring': day(2) });
+
+    await assert.rejects(withRunLock(() => skipTask(page)), { exitCode: 4, message: /Another run is in progress/ });
+    assert.equal(notion.pageValues(page)['Date Recurring'], day(2));
+
+    const skipped = await skipTask(page);
+    assert.equal(skipped.to, day(3));
+  });
+
+  test('keep the run lock of a run that takes longer than the lock is trusted for', async t => {
+    const lockFile = config.runLock.file;
+    t.mock.timers.enable({ apis: ['setInterval'] });
+
+    const { locked, result } = await withRunLock(async () => {
+      const hoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      utimesSync(lockFile, hoursAgo, hoursAgo);
+      t.mock.timers.tick(15 * 60 * 1000);
+      return Date.now() - statSync(lockFile).mtimeMs;
+    });
+
+    assert.equal(locked, false);
+    assert.ok(result < 60 * 1000);
+    assert.equal(existsSync(lockFile), false);
+  });
+
+  test('recur-now reports why Notion refused the new task', async () => {
+    const page = notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Recurring Archive', Recurring: 'every day', 'Date Recurring': day(2) });
+    notion.fail('pages.create', notionError(400, 'validation_error', 'Occurrence is expected to be number.'));
+
+    await assert.rejects(recurTaskNow(page), { exitCode: 1, message: /Failed to create recurring task .* Occurrence is expected to be number\./ });
+    assert.equal(notion.pageValues(page).Status, 'Recurring Archive');
+  });
+});
+
+describe('calendar feed', () => {
+  afterEach(() => { config.calendar.token = undefined; });
+
+  test('serves the Recurring Archive and projected occurrences to subscribers with the token', async () => {
+    notion.addPage(tasksDb, { Name: 'Water plants', Status: 'Recurring Archive', Recurring: '1 week, 3 times', 'Date Recurring': day(2), Occurrence: 1 });
+    notion.addPage(tasksDb, { Name: 'Buy stamps', Status: 'Archive', 'Date Recurring': day(1) });
+
+    assert.equal((await calendarResponse('feed')).statusCode, 404);
+    config.calendar.token = 'feed';
+    assert.equal((await calendarResponse('guess')).statusCode, 401);
+
+    const { statusCode, headers, body } = await calendarResponse('feed');
+
+    assert.equal(statusCode, 200);
+    assert.match(headers['Content-Type'], /^text\/calendar/);
+    assert.deepEqual(body.match(/SUMMARY:.*/g), ['SUMMARY:Water plants', 'SUMMARY:Water plants']);
+    assert.match(body, new RegExp(`DTSTART;VALUE=DATE:${day(9).replace(/-/g, '')}`));
+  });
+});
+
+describe('in-memory workspace', () => {
+  test('paginates queries and leaves trashed pages out', async () => {
+    const paged = createMemoryNotion({ pageSize: 2 });
+    paged.addDatabase({ Name: 'title' }, { id: tasksDb });
+    const ids = ['a', 'b', 'c', 'd', 'e'].map(name => paged.addPage(tasksDb, { Name: name }));
+    await paged.pages.update({ page_id: ids[1], archived: true });
+
+    const first = await paged.databases.query({ database_id: tasksDb, page_size: 100 });
+    const second = await paged.databases.query({ database_id: tasksDb, start_cursor: first.next_cursor });
+
+    assert.equal(first.has_more, true);
+    assert.equal(second.has_more, false);
+    assert.deepEqual([...first.results, ...second.results].map(page => page.properties.Name.title[0].plain_text), ['a', 'c', 'd', 'e']);
+  });
+
+  test('rejects values that don\'t fit the schema', async () => {
+    await assert.rejects(notion.pages.create({ parent: { database_id: tasksDb }, properties: { Missing: { rich_text: [] } } }), { code: 'validation_error' });
+    await assert.rejects(notion.pages.create({ parent: { database_id: tasksDb }, properties: { Occurrence: { rich_text: [] } } }), { code: 'validation_error' });
+    await assert.rejects(notion.pages.create({ parent: { database_id: tasksDb }, properties: { 'Date Created': { created_time: today } } }), { code: 'validation_error' });
+    await assert.rejects(notion.databases.query({ database_id: tasksDb, filter: { property: 'Name', rich_text: { equals: 'x' } } }), { code: 'validation_error' });
+    await assert.rejects(notion.pages.retrieve({ page_id: cardsDb.replace(/.$/, '0') }), { code: 'object_not_found', status: 404 });
+  });
+});
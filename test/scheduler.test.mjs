@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseSchedule, nextRunAfter, startDaemon } from '../src/libs/scheduler.mjs';
+import { config } from '../src/libs/config.mjs';
+
+const next = (expression, after, timeZone = 'UTC') => nextRunAfter(parseSchedule(expression).schedule, new Date(after), timeZone)?.toISOString();
+
+describe('parseSchedule', () => {
+  test('reads a time of day as a daily cron expression', () => {
+    const { schedule, error } = parseSchedule('6:30');
+    assert.equal(error, null);
+    assert.deepEqual([...schedule.minute], [30]);
+    assert.deepEqual([...schedule.hour], [6]);
+    assert.equal(schedule.dayOfMonth.size, 31);
+  });
+
+  test('reads ranges, steps, lists and names', () => {
+    const { schedule } = parseSchedule('*/15 8-18/5 1,15 jan-mar mon-fri');
+    assert.deepEqual([...schedule.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...schedule.hour], [8, 13, 18]);
+    assert.deepEqual([...schedule.dayOfMonth], [1, 15]);
+    assert.deepEqual([...schedule.month], [1, 2, 3]);
+    assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...parseSchedule('0 0 * * 7').schedule.dayOfWeek], [0]);
+  });
+
+  test('rejects invalid schedules', () => {
+    for (const input of ['', 'daily', '25:00', '0 3 * *', '60 3 * * *', '0 3 0 * *', '0 3 * * funday', '0 5-3 * * *']) {
+      assert.equal(parseSchedule(input).error?.code, 'InvalidSchedule', input);
+    }
+  });
+});
+
+describe('nextRunAfter', () => {
+  test('finds the next matching minute strictly after a moment', () => {
+    assert.equal(next('03:00', '2024-05-01T02:59:30Z'), '2024-05-01T03:00:00.000Z');
+    assert.equal(next('03:00', '2024-05-01T03:00:00Z'), '2024-05-02T03:00:00.000Z');
+    assert.equal(next('*/15 * * * *', '2024-05-01T10:16:00Z'), '2024-05-01T10:30:00.000Z');
+  });
+
+  test('reads the schedule in the given time zone', () => {
+    assert.equal(next('03:00', '2024-05-01T12:00:00Z', 'America/New_York'), '2024-05-02T07:00:00.000Z');
+    assert.equal(next('03:00', '2024-05-01T12:00:00Z', 'Asia/Tokyo'), '2024-05-01T18:00:00.000Z');
+  });
+
+  test('keeps the wall-clock time across daylight saving changes', () => {
+    assert.equal(next('03:00', '2024-03-09T12:00:00Z', 'America/New_York'), '2024-03-10T07:00:00.000Z');
+    assert.equal(next('03:00', '2024-11-02T12:00:00Z', 'America/New_York'), '2024-11-03T08:00:00.000Z');
+    // 02:30 doesn't exist on the day clocks spring forward.
+    assert.equal(next('02:30', '2024-03-09T12:00:00Z', 'America/New_York'), '2024-03-11T06:30:00.000Z');
+  });
+
+  test('matches either day field when both are restricted, as cron does', () => {
+    assert.equal(next('0 9 13 * fri', '2024-09-01T00:00:00Z'), '2024-09-06T09:00:00.000Z');
+    assert.equal(next('0 9 * * mon', '2024-09-01T00:00:00Z'), '2024-09-02T09:00:00.000Z');
+  });
+
+  test('finds rare dates and gives up on impossible ones', () => {
+    assert.equal(next('0 0 29 2 *', '2024-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+    assert.equal(next('0 0 31 2 *', '2024-03-01T00:00:00Z'), undefined);
+  });
+});
+
+describe('startDaemon', () => {
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('tries a run that found the lock taken again a minute later', async t => {
+    const saved = config.schedule;
+    config.schedule = { expression: '03:00', timeZone: 'UTC', catchUp: false, stateFile: join(tmpdir(), `scheduler-test-${process.pid}.json`) };
+    t.mock.method(console, 'log', () => {});
+    t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: new Date('2026-10-19T02:59:50Z') });
+
+    const runs = [];
+    const daemon = startDaemon(async () => {
+      runs.push(new Date().toISOString());
+      return runs.length > 1;
+    });
+    try {
+      t.mock.timers.tick(30 * 1000);
+      await flush();
+      assert.deepEqual(runs, ['2026-10-19T03:00:20.000Z']);
+
+      t.mock.timers.tick(60 * 1000);
+      await flush();
+      assert.deepEqual(runs, ['2026-10-19T03:00:20.000Z', '2026-10-19T03:01:20.000Z']);
+
+      t.mock.timers.tick(5 * 60 * 1000);
+      await flush();
+      assert.equal(runs.length, 2);
+    } finally {
+      await daemon.stop();
+      rmSync(config.schedule.stateFile, { force: true });
+      config.schedule = saved;
+    }
+  });
+});
@@ -0,0 +1,68 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSeriesStats, formatSeriesStats, groupBySeries, seriesIdOf } from '../src/libs/series.mjs';
+
+const task = (page_id, date_completed, date_recurring, extra = {}) => ({ page_id, name: "Clip Dog's Nails", recurring: '1 week', date_completed, date_recurring, ...extra });
+
+describe('computeSeriesStats', () => {
+  test('compares actual intervals and completion dates with the schedule', () => {
+    const stats = computeSeriesStats([
+      task('c', '2024-05-17', '2024-05-24'),
+      task('a', '2024-05-01', '2024-05-08'),
+      task('b', '2024-05-10', '2024-05-17')
+    ], 'UTC');
+
+    assert.equal(stats.completions, 3);
+    assert.equal(stats.averageInterval, 8);
+    assert.equal(stats.targetInterval, 7);
+    assert.equal(stats.averageOffset, 1);
+    assert.equal(stats.currentStreak, 1);
+    assert.equal(stats.lastCompleted, '2024-05-17');
+  });
+
+  test('prefers a task\'s own due date and ignores tasks that were never completed', () => {
+    const stats = computeSeriesStats([
+      task('a', '2024-05-01', '2024-05-08'),
+      task('b', '2024-05-06', '2024-05-13', { due: '2024-05-05' }),
+      task('c', undefined, undefined)
+    ], 'UTC');
+
+    assert.equal(stats.completions, 2);
+    assert.equal(stats.averageOffset, 1);
+    assert.equal(stats.currentStreak, 0);
+  });
+
+  test('reads completion times in the configured time zone', () => {
+    const stats = computeSeriesStats([
+      task('a', '2024-05-01', '2024-05-08'),
+      task('b', '2024-05-08T23:30:00.000-07:00', '2024-05-15')
+    ], 'America/Los_Angeles');
+
+    assert.equal(stats.averageOffset, 0);
+    assert.equal(stats.currentStreak, 1);
+  });
+});
+
+describe('formatSeriesStats', () => {
+  test('describes the series in one line', () => {
+    assert.equal(
+      formatSeriesStats({ completions: 5, averageInterval: 9.2, targetInterval: 7, averageOffset: 1.4, currentStreak: 3 }),
+      'Done 5 times, every 9.2 days on average (target 7), 1.4 days late on average, 3 on time in a row.'
+    );
+    assert.equal(formatSeriesStats({ completions: 1, averageInterval: null, targetInterval: 7, averageOffset: null, currentStreak: 0 }), 'Done 1 time.');
+  });
+});
+
+describe('groupBySeries', () => {
+  test('groups by series ID, falling back to the name', () => {
+    const groups = groupBySeries([
+      task('a', '2024-05-01', '2024-05-08', { series_id: 'a' }),
+      task('b', '2024-05-10', '2024-05-17', { series_id: 'a', name: 'Renamed' }),
+      task('old', '2024-04-01', '2024-04-08')
+    ]);
+
+    assert.equal(groups.length, 2);
+    assert.deepEqual(groups.map(group => [group.name, group.tasks.length]), [['Renamed', 2], ["Clip Dog's Nails", 1]]);
+    assert.equal(seriesIdOf(task('x', null, null)), 'x');
+  });
+});
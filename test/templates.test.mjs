@@ -0,0 +1,102 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasPlaceholders, renderTemplate, templateValues, renderPropertyTemplates, seriesNameFilter, shiftDate, propertyRuleTypes } from '../src/libs/templates.mjs';
+
+const text = content => [{ type: 'text', text: { content }, plain_text: content }];
+const db = { timeZone: 'UTC', properties: { template: null } };
+const task = (properties, extra = {}) => ({ page_id: 'p1', recurring: 'monthly', date_recurring: '2026-11-01', date_completed: '2026-10-03T18:00:00.000Z', occurrence: 4, properties, ...extra });
+
+describe('renderTemplate', () => {
+  const values = { date_recurring: new Date(2026, 10, 1), occurrence: 5, recurring: 'monthly' };
+
+  test('fills in values and formats dates', () => {
+    assert.equal(renderTemplate('Rent {{date_recurring:MMMM yyyy}} #{{occurrence}}', values), 'Rent November 2026 #5');
+    assert.equal(renderTemplate('Due {{ date_recurring }}, {{recurring}}', values), 'Due 2026-11-01, monthly');
+  });
+
+  test('leaves unknown values and invalid formats untouched', () => {
+    assert.equal(renderTemplate('{{nope}} {{date_completed}}', values), '{{nope}} {{date_completed}}');
+    assert.equal(renderTemplate('{{date_recurring:jjj}}', values), '{{date_recurring:jjj}}');
+  });
+
+  test('detects placeholders', () => {
+    assert.equal(hasPlaceholders('Rent {{date_recurring}}'), true);
+    assert.equal(hasPlaceholders('Rent {date}'), false);
+    assert.equal(hasPlaceholders(undefined), false);
+  });
+});
+
+describe('templateValues', () => {
+  test('reads dates as calendar days in the time zone and counts the next occurrence', () => {
+    const values = templateValues(task({}), { ...db, timeZone: 'Asia/Tokyo' }, new Date('2026-10-19T20:00:00Z'));
+    assert.equal(renderTemplate('{{date_recurring}} {{date_completed}} {{today}} {{occurrence}}', values), '2026-11-01 2026-10-04 2026-10-20 5');
+  });
+
+  test('starts counting at 2 without an occurrence', () => {
+    assert.equal(templateValues(task({}, { occurrence: undefined }), db).occurrence, 2);
+  });
+});
+
+describe('renderPropertyTemplates', () => {
+  test('renders title and text properties with placeholders only', () => {
+    const { properties, title } = renderPropertyTemplates(task({
+      Name: { type: 'title', title: text('Rent {{date_recurring:MMMM}}') },
+      Notes: { type: 'rich_text', rich_text: text('plain') },
+      Tag: { type: 'select', select: { name: '{{occurrence}}' } }
+    }), db);
+
+    assert.equal(title, 'Rent November');
+    assert.deepEqual(properties, { Name: { title: [{ type: 'text', text: { content: 'Rent November' } }] } });
+  });
+
+  test('remembers templates in the template property and renders them again', () => {
+    const templateDb = { ...db, properties: { template: 'Template' } };
+    const first = renderPropertyTemplates(task({ Name: { type: 'title', title: text('Review #{{occurrence}}') } }), templateDb);
+    assert.deepEqual(first.properties.Template, { rich_text: [{ type: 'text', text: { content: '{"Name":"Review #{{occurrence}}"}' } }] });
+
+    const second = renderPropertyTemplates(task({
+      Name: { type: 'title', title: text('Review #5') },
+      Template: { type: 'rich_text', rich_text: text('{"Name":"Review #{{occurrence}}"}') }
+    }, { occurrence: 5 }), templateDb);
+    assert.equal(second.title, 'Review #6');
+  });
+
+  test('renders nothing without templates', () => {
+    assert.deepEqual(renderPropertyTemplates(task({ Name: { type: 'title', title: text('Rent') } }), db), { properties: {}, title: undefined });
+  });
+});
+
+describe('seriesNameFilter', () => {
+  const templateDb = { ...db, properties: { name: 'Name', template: 'Template' } };
+
+  test('matches tasks by title when it has no template', () => {
+    const filter = seriesNameFilter(task({ Name: { type: 'title', title: text('Rent') } }, { name: 'Rent' }), templateDb);
+    assert.deepEqual(filter, { property: 'Name', title: { equals: 'Rent' } });
+  });
+
+  test('matches rendered occurrences through the remembered template', () => {
+    const rendered = task({
+      Name: { type: 'title', title: text('Rent November') },
+      Template: { type: 'rich_text', rich_text: text('{"Name":"Rent {{date_recurring:MMMM}}"}') }
+    }, { name: 'Rent November' });
+    assert.deepEqual(seriesNameFilter(rendered, templateDb), {
+      or: [
+        { property: 'Name', title: { equals: 'Rent {{date_recurring:MMMM}}' } },
+        { property: 'Template', rich_text: { contains: '"Name":"Rent {{date_recurring:MMMM}}"' } }
+      ]
+    });
+  });
+});
+
+describe('property rules', () => {
+  test('shifts dates by whole days, keeping times and offsets', () => {
+    assert.deepEqual(shiftDate({ start: '2026-09-28T09:00:00.000+02:00', end: '2026-09-30', time_zone: null }, 31),
+      { start: '2026-10-29T09:00:00.000+02:00', end: '2026-10-31', time_zone: null });
+    assert.deepEqual(shiftDate({ start: '2026-03-01', end: null }, -1), { start: '2026-02-28', end: null });
+  });
+
+  test('lists the property type each rule needs', () => {
+    assert.deepEqual(propertyRuleTypes({ Start: 'shift', Notes: 'clear', Owner: { rotate: ['Bob'] } }),
+      [{ name: 'Start', type: 'date' }, { name: 'Owner', type: 'people' }]);
+  });
+});
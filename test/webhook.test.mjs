@@ -0,0 +1,40 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { isAuthorized, pageIdsFromPayload } from '../src/libs/webhook.mjs';
+
+const pageId = '1b2c3d4e-5f60-4718-8a9b-0c1d2e3f4a5b';
+const compactPageId = '1b2c3d4e5f6047188a9b0c1d2e3f4a5b';
+
+describe('isAuthorized', () => {
+  const body = JSON.stringify({ pageId });
+
+  test('accepts the secret in a header, as a bearer token or as a body signature', () => {
+    assert.equal(isAuthorized({ 'x-webhook-secret': 's3cret' }, body, 's3cret'), true);
+    assert.equal(isAuthorized({ authorization: 'Bearer s3cret' }, body, 's3cret'), true);
+    const signature = `sha256=${createHmac('sha256', 's3cret').update(body).digest('hex')}`;
+    assert.equal(isAuthorized({ 'x-notion-signature': signature }, body, 's3cret'), true);
+  });
+
+  test('rejects a wrong or missing secret, a signature over another body and an unset secret', () => {
+    assert.equal(isAuthorized({ 'x-webhook-secret': 'guess' }, body, 's3cret'), false);
+    assert.equal(isAuthorized({}, body, 's3cret'), false);
+    const signature = `sha256=${createHmac('sha256', 's3cret').update('{}').digest('hex')}`;
+    assert.equal(isAuthorized({ 'x-notion-signature': signature }, body, 's3cret'), false);
+    assert.equal(isAuthorized({ 'x-webhook-secret': '' }, body, ''), false);
+  });
+});
+
+describe('pageIdsFromPayload', () => {
+  test('reads automation, integration event and plain payloads', () => {
+    assert.deepEqual(pageIdsFromPayload({ source: { type: 'automation' }, data: { object: 'page', id: pageId } }), [compactPageId]);
+    assert.deepEqual(pageIdsFromPayload({ type: 'page.properties_updated', entity: { type: 'page', id: pageId } }), [compactPageId]);
+    assert.deepEqual(pageIdsFromPayload({ pageIds: [pageId, compactPageId.toUpperCase()] }), [compactPageId]);
+  });
+
+  test('ignores payloads that name no page', () => {
+    assert.deepEqual(pageIdsFromPayload({ data: { object: 'database', id: pageId } }), []);
+    assert.deepEqual(pageIdsFromPayload({ pageId: 'not-an-id' }), []);
+    assert.deepEqual(pageIdsFromPayload(null), []);
+  });
+});